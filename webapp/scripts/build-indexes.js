@@ -0,0 +1,43 @@
+#!/usr/bin/env node
+/**
+ * Script to build lookup indexes for the webapp from timetable.json and station-groups.json
+ * This runs during Docker build time, after the other generation scripts, to generate indexes.json
+ *
+ * The indexes let the webapp find the trips of the selected stations directly instead of
+ * scanning every trip stop:
+ *   stop_trips  - stop_id -> IDs of the trips calling there
+ *   group_stops - station group id -> stop IDs of its stations
+ * The trip -> ordered stops index is timetable.json's trip_stops itself.
+ *
+ * Usage: node scripts/build-indexes.js [--data <dir>]
+ *   --data       Snapshot directory (default: public/data in Docker, else data/latest)
+ */
+
+import { resolve } from 'path';
+import { parseArgs } from 'util';
+import { getDataDir, readDataFile, writeDataFile } from './lib/data.js';
+import { buildIndexes } from './lib/indexes.js';
+
+// Main execution
+try {
+  const { values } = parseArgs({
+    options: {
+      data: { type: 'string' }
+    }
+  });
+  const dataDir = values.data ? resolve(values.data) : getDataDir();
+  console.log(`Reading generated data from ${dataDir}...`);
+
+  const { trip_stops: tripStops } = readDataFile(dataDir, 'timetable.json');
+  const stationGroups = readDataFile(dataDir, 'station-groups.json');
+
+  const indexes = buildIndexes(tripStops, stationGroups);
+  console.log(`Indexed ${Object.keys(indexes.stop_trips).length} stops and ${Object.keys(indexes.group_stops).length} station groups`);
+
+  writeDataFile(dataDir, 'indexes.json', indexes);
+
+  console.log('Done!');
+} catch (error) {
+  console.error('Error building indexes:', error);
+  process.exit(1);
+}
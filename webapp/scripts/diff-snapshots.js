@@ -0,0 +1,337 @@
+#!/usr/bin/env node
+/**
+ * Script to describe the changes between two data snapshots, e.g. for a pull request comment
+ *
+ * Compares trips (including their stops and times), routes, stops and agencies and lists
+ * what was added, removed or modified in human terms, like "NJ 40425: new stop Mainz Hbf"
+ * or "route 142: is_active Y → N".
+ *
+ * Usage: node scripts/diff-snapshots.js <old> [new] [--json] [--output <file>]
+ *   old, new   Snapshot directory, git revision (uses data/latest of that revision) or
+ *              revision:path. new defaults to the repository's data/latest.
+ *   --json     Write JSON instead of Markdown
+ *   --output   Write the report to a file instead of stdout
+ *
+ * Example: node scripts/diff-snapshots.js origin/main HEAD --output changes.md
+ */
+
+import { execFileSync } from 'child_process';
+import { existsSync, readFileSync, statSync, writeFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join, resolve } from 'path';
+import { parseArgs } from 'util';
+import { getFileSchema } from './lib/schema.js';
+import { parseTime, formatTime, parseSheetsDuration, formatDuration } from '../src/utils/time.js';
+import { parseServiceDate } from '../src/utils/serviceCalendar.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const DEFAULT_SNAPSHOT_PATH = 'data/latest';
+const MAX_LISTED = 50;
+
+// Entities compared between the snapshots, with how to name an entry in the report
+const ENTITIES = [
+  { name: 'trips', file: 'trips.json', label: (id, trip) => trip.trip_short_name || id },
+  { name: 'routes', file: 'routes.json', label: (id) => `route ${id}` },
+  { name: 'stops', file: 'stops.json', label: (id, stop) => stop.stop_name || id },
+  { name: 'agencies', file: 'agencies.json', label: (id, agency) => agency.agency_name ? `${agency.agency_name} (${id})` : id }
+];
+
+const FILES = [...new Set([...ENTITIES.map(entity => entity.file), 'trip_stop.json'])];
+
+/**
+ * Run git in the repository and return its output
+ */
+function git(args) {
+  return execFileSync('git', args, {
+    cwd: __dirname,
+    encoding: 'utf-8',
+    maxBuffer: 256 * 1024 * 1024,
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+}
+
+/**
+ * Resolve a command line argument to a snapshot source
+ * @param {string} arg - Directory, git revision or revision:path
+ * @param {string} label - Name of the snapshot in the report
+ * @returns {Object} { label, read(fileName) } where read returns the parsed file or null if missing
+ */
+function resolveSource(arg, label = arg) {
+  const dir = resolve(arg);
+  if (existsSync(dir) && statSync(dir).isDirectory()) {
+    return {
+      label,
+      read: (fileName) => {
+        const path = join(dir, fileName);
+        return existsSync(path) ? JSON.parse(readFileSync(path, 'utf-8')) : null;
+      }
+    };
+  }
+
+  const separator = arg.indexOf(':');
+  const revision = separator === -1 ? arg : arg.slice(0, separator);
+  const path = separator === -1 ? DEFAULT_SNAPSHOT_PATH : arg.slice(separator + 1).replace(/\/$/, '');
+  try {
+    git(['rev-parse', '--verify', '--quiet', `${revision}^{commit}`]);
+  } catch {
+    throw new Error(`"${arg}" is neither a directory nor a git revision`);
+  }
+  const root = git(['rev-parse', '--show-toplevel']).trim();
+  const prefix = resolve(root, path).slice(root.length + 1);
+
+  return {
+    label: `${revision}:${prefix}`,
+    read: (fileName) => {
+      try {
+        return JSON.parse(git(['show', `${revision}:${prefix}/${fileName}`]));
+      } catch {
+        return null;
+      }
+    }
+  };
+}
+
+/**
+ * Format a value for the report according to its column type
+ */
+function formatValue(value, type) {
+  if (value === '' || value === null || value === undefined) {
+    return '(empty)';
+  }
+  if (type === 'time') {
+    const minutes = parseTime(value);
+    return minutes === null ? String(value) : formatTime(minutes);
+  }
+  if (type === 'duration') {
+    const minutes = parseSheetsDuration(value);
+    return minutes === null ? String(value) : formatDuration(minutes);
+  }
+  if (type === 'date') {
+    const date = parseServiceDate(value);
+    return date === null ? String(value) : String(date).replace(/(\d{4})(\d{2})(\d{2})/, '$1-$2-$3');
+  }
+  return String(value);
+}
+
+/**
+ * List the changed columns of an entry
+ * @returns {Array} Descriptions like "is_active Y → N"
+ */
+function diffFields(oldRow, newRow, schema) {
+  // Columns outside the schema of closed files are spreadsheet artifacts, not data
+  const columns = schema && !schema.open
+    ? Object.keys(schema.columns)
+    : [...new Set([...Object.keys(oldRow), ...Object.keys(newRow)])];
+
+  return columns.flatMap(column => {
+    const type = schema?.columns[column]?.type;
+    const before = formatValue(oldRow[column], type);
+    const after = formatValue(newRow[column], type);
+    return before === after ? [] : [`${column} ${before} → ${after}`];
+  });
+}
+
+/**
+ * Group trip stops by trip, in stop_sequence order
+ */
+function groupTripStops(tripStops) {
+  const stopsByTrip = new Map();
+  Object.values(tripStops || {}).forEach(ts => {
+    if (!stopsByTrip.has(ts.trip_id)) {
+      stopsByTrip.set(ts.trip_id, []);
+    }
+    stopsByTrip.get(ts.trip_id).push(ts);
+  });
+  stopsByTrip.forEach(stops => stops.sort((a, b) => a.stop_sequence - b.stop_sequence));
+  return stopsByTrip;
+}
+
+/**
+ * Describe how the stops of a trip changed
+ * @returns {Array} Descriptions like "new stop Mainz Hbf" or "Linz Hbf departure 01:10 → 01:25"
+ */
+function diffTripStops(oldStops, newStops, stopName) {
+  const changes = [];
+  // Trips can call at a stop twice (e.g. reversing), so stops are matched by occurrence
+  const withKeys = (stops) => {
+    const seen = new Map();
+    return stops.map(ts => {
+      const occurrence = seen.get(ts.stop_id) ?? 0;
+      seen.set(ts.stop_id, occurrence + 1);
+      return { key: `${ts.stop_id}\n${occurrence}`, ts };
+    });
+  };
+  const oldKeyed = withKeys(oldStops);
+  const newKeyed = withKeys(newStops);
+  const oldByKey = new Map(oldKeyed.map(({ key, ts }) => [key, ts]));
+  const newByKey = new Map(newKeyed.map(({ key, ts }) => [key, ts]));
+
+  newKeyed
+    .filter(({ key }) => !oldByKey.has(key))
+    .forEach(({ ts }) => changes.push(`new stop ${stopName(ts.stop_id)}`));
+  oldKeyed
+    .filter(({ key }) => !newByKey.has(key))
+    .forEach(({ ts }) => changes.push(`stop ${stopName(ts.stop_id)} removed`));
+
+  const commonOld = oldKeyed.filter(({ key }) => newByKey.has(key)).map(({ key }) => key);
+  const commonNew = newKeyed.filter(({ key }) => oldByKey.has(key));
+  if (commonOld.join('\t') !== commonNew.map(({ key }) => key).join('\t')) {
+    changes.push(`stop order changed: ${commonNew.map(({ ts }) => stopName(ts.stop_id)).join(' - ')}`);
+  }
+
+  const schema = getFileSchema('trip_stop.json');
+  commonNew.forEach(({ key, ts }) => {
+    const before = oldByKey.get(key);
+    ['arrival_time', 'departure_time', 'no_entry', 'no_exit', 'border_control'].forEach(column => {
+      const type = schema.columns[column].type;
+      const from = formatValue(before[column], type);
+      const to = formatValue(ts[column], type);
+      // Empty and 0 flags mean the same
+      if (from !== to && !(type === 'flag' && Number(before[column] || 0) === Number(ts[column] || 0))) {
+        changes.push(`${stopName(ts.stop_id)} ${column.replace('_time', '')} ${from} → ${to}`);
+      }
+    });
+  });
+
+  return changes;
+}
+
+/**
+ * Compare two snapshots
+ * @returns {Object} Report with added, removed and modified entries per entity
+ */
+function diffSnapshots(oldSource, newSource) {
+  const load = (source) => Object.fromEntries(FILES.map(file => [file, source.read(file)]));
+  const oldData = load(oldSource);
+  const newData = load(newSource);
+
+  const missingFiles = {
+    old: FILES.filter(file => oldData[file] === null),
+    new: FILES.filter(file => newData[file] === null)
+  };
+
+  const newStopsData = newData['stops.json'] || oldData['stops.json'] || {};
+  const stopName = (stopId) => newStopsData[stopId]?.stop_name || stopId;
+  const oldTripStops = groupTripStops(oldData['trip_stop.json']);
+  const newTripStops = groupTripStops(newData['trip_stop.json']);
+
+  const entities = {};
+  ENTITIES.forEach(({ name, file, label }) => {
+    const before = oldData[file] || {};
+    const after = newData[file] || {};
+    const schema = getFileSchema(file);
+    const describe = (id, row) => ({ id, label: label(id, row) });
+
+    const added = Object.keys(after).filter(id => !(id in before)).map(id => describe(id, after[id]));
+    const removed = Object.keys(before).filter(id => !(id in after)).map(id => describe(id, before[id]));
+    const modified = [];
+
+    Object.keys(after).filter(id => id in before).forEach(id => {
+      const changes = diffFields(before[id], after[id], schema);
+      if (name === 'trips') {
+        changes.push(...diffTripStops(oldTripStops.get(id) || [], newTripStops.get(id) || [], stopName));
+      }
+      if (changes.length > 0) {
+        modified.push({ ...describe(id, after[id]), changes });
+      }
+    });
+
+    entities[name] = { added, removed, modified };
+  });
+
+  return { old: oldSource.label, new: newSource.label, missingFiles, entities };
+}
+
+/**
+ * Render a list of lines, folding long lists so PR comments stay readable
+ */
+function renderList(title, lines) {
+  if (lines.length === 0) {
+    return [];
+  }
+  const items = lines.slice(0, MAX_LISTED).map(line => `- ${line}`);
+  if (lines.length > MAX_LISTED) {
+    items.push(`- ... and ${lines.length - MAX_LISTED} more`);
+  }
+  if (lines.length <= 10) {
+    return [`**${title}**`, '', ...items, ''];
+  }
+  return ['<details>', `<summary><b>${title}</b> (${lines.length})</summary>`, '', ...items, '', '</details>', ''];
+}
+
+/**
+ * Render the report as Markdown
+ */
+function renderMarkdown(report) {
+  const lines = [`## Data changes: \`${report.old}\` → \`${report.new}\``, ''];
+
+  const names = Object.keys(report.entities);
+  lines.push('| | Added | Removed | Modified |', '|---|---:|---:|---:|');
+  names.forEach(name => {
+    const { added, removed, modified } = report.entities[name];
+    lines.push(`| ${name} | ${added.length} | ${removed.length} | ${modified.length} |`);
+  });
+  lines.push('');
+
+  const missingInBoth = report.missingFiles.old.filter(file => report.missingFiles.new.includes(file));
+  if (missingInBoth.length > 0) {
+    lines.push(`> Missing in both snapshots: ${missingInBoth.join(', ')}`, '');
+  }
+  ['old', 'new'].forEach(side => {
+    const missing = report.missingFiles[side].filter(file => !missingInBoth.includes(file));
+    if (missing.length > 0) {
+      lines.push(`> Missing in ${side} snapshot: ${missing.join(', ')}`, '');
+    }
+  });
+
+  names.forEach(name => {
+    const { added, removed, modified } = report.entities[name];
+    if (added.length + removed.length + modified.length === 0) {
+      return;
+    }
+    lines.push(`### ${name[0].toUpperCase()}${name.slice(1)}`, '');
+    lines.push(...renderList('Added', added.map(entry => entry.label)));
+    lines.push(...renderList('Removed', removed.map(entry => entry.label)));
+    lines.push(...renderList('Modified', modified.flatMap(entry => entry.changes.map(change => `${entry.label}: ${change}`))));
+  });
+
+  if (names.every(name => Object.values(report.entities[name]).every(list => list.length === 0))) {
+    lines.push('No changes to trips, routes, stops or agencies.', '');
+  }
+
+  return lines.join('\n');
+}
+
+// Main execution
+try {
+  const { values, positionals } = parseArgs({
+    options: {
+      json: { type: 'boolean', default: false },
+      output: { type: 'string' }
+    },
+    allowPositionals: true
+  });
+  if (positionals.length < 1 || positionals.length > 2) {
+    console.error('Usage: node scripts/diff-snapshots.js <old> [new] [--json] [--output <file>]');
+    process.exit(1);
+  }
+
+  const oldSource = resolveSource(positionals[0]);
+  const newSource = positionals[1]
+    ? resolveSource(positionals[1])
+    : resolveSource(join(__dirname, '..', '..', DEFAULT_SNAPSHOT_PATH), DEFAULT_SNAPSHOT_PATH);
+  const report = diffSnapshots(oldSource, newSource);
+  const output = values.json ? JSON.stringify(report, null, 2) : renderMarkdown(report);
+
+  if (values.output) {
+    writeFileSync(values.output, `${output}\n`);
+    console.log(`Report saved to ${values.output}`);
+  } else {
+    console.log(output);
+  }
+} catch (error) {
+  console.error('Error comparing snapshots:', error.message);
+  process.exit(1);
+}
@@ -0,0 +1,396 @@
+#!/usr/bin/env node
+/**
+ * Script to export a data snapshot as a GTFS feed, without the Google Sheets access that
+ * scripts/gtfs_exporter.py needs
+ *
+ * Writes agency.txt, stops.txt, routes.txt, trips.txt, stop_times.txt, calendar.txt,
+ * calendar_dates.txt, translations.txt and feed_info.txt (required next to translations.txt).
+ * As in gtfs_exporter.py, routes.agency_1 becomes agency_id, and stop_times.stop_id refers to
+ * the station (train_stop_id is only the row key of trip_stop.json).
+ *
+ * GTFS counts times from the start of the service day in the agency's time zone: stops reached
+ * after midnight get times past 24:00:00 ("25:10:00"), and the local times of stops in other
+ * time zones are converted to the agency's time zone.
+ *
+ * Usage: node scripts/export-gtfs.js [output file] [--data <dir>] [--include-inactive]
+ *   output file         ZIP file to write (default: out/gtfs.zip in the repository)
+ *   --data              Snapshot directory (default: public/data in Docker, else data/latest)
+ *   --include-inactive  Also export routes and trips with is_active "N"
+ */
+
+import { existsSync, mkdirSync, writeFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join, resolve } from 'path';
+import { parseArgs } from 'util';
+import { getDataDir, readDataFile } from './lib/data.js';
+import { getAgencyTimezone, getCountryTimezone, getStandardOffset } from './lib/timezones.js';
+import { createZip } from './lib/zip.js';
+import { getStopTimeline, formatGtfsTime } from '../src/utils/time.js';
+import { buildServiceCalendar, addDays } from '../src/utils/serviceCalendar.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const DEFAULT_OUTPUT = join(__dirname, '..', '..', 'out', 'gtfs.zip');
+const GTFS_WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+const FEED_PUBLISHER = { name: 'Back-on-Track', url: 'https://back-on-track.eu/night-train-map/' };
+
+// Columns of the exported files, in output order
+const COLUMNS = {
+  agency: ['agency_id', 'agency_name', 'agency_url', 'agency_timezone', 'agency_lang', 'agency_phone', 'agency_fare_url', 'agency_email'],
+  stops: ['stop_id', 'stop_name', 'stop_lat', 'stop_lon', 'stop_timezone'],
+  routes: ['route_id', 'agency_id', 'route_short_name', 'route_long_name', 'route_desc', 'route_type', 'route_url'],
+  trips: ['route_id', 'service_id', 'trip_id', 'trip_headsign', 'trip_short_name', 'direction_id', 'wheelchair_accessible', 'bikes_allowed'],
+  stop_times: ['trip_id', 'arrival_time', 'departure_time', 'stop_id', 'stop_sequence', 'pickup_type', 'drop_off_type'],
+  calendar: ['service_id', ...GTFS_WEEKDAYS, 'start_date', 'end_date'],
+  calendar_dates: ['service_id', 'date', 'exception_type'],
+  translations: ['table_name', 'field_name', 'language', 'translation', 'record_id', 'record_sub_id', 'field_value'],
+  feed_info: ['feed_publisher_name', 'feed_publisher_url', 'feed_lang', 'feed_version']
+};
+
+// translations.json table names that differ from the GTFS file names
+const TRANSLATION_TABLES = { agencies: 'agency' };
+
+function isEmpty(value) {
+  return value === '' || value === null || value === undefined;
+}
+
+/**
+ * Render rows as CSV with the given columns
+ */
+function toCsv(columns, rows) {
+  const escape = (value) => {
+    const text = isEmpty(value) ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [columns, ...rows.map(row => columns.map(column => row[column]))]
+    .map(values => values.map(escape).join(','))
+    .join('\n') + '\n';
+}
+
+/**
+ * Collects warnings, counting repeated ones with their first example instead of printing each
+ */
+function createWarnings() {
+  const warnings = new Map();
+  return {
+    add(message, example) {
+      if (!warnings.has(message)) {
+        warnings.set(message, { count: 0, example });
+      }
+      warnings.get(message).count++;
+    },
+    print() {
+      warnings.forEach(({ count, example }, message) => {
+        console.warn(`Warning: ${message}${count > 1 ? ` (${count}x)` : ''}, e.g. ${example}`);
+      });
+    }
+  };
+}
+
+/**
+ * Expand the exception ranges of buildServiceCalendar into GTFS exception types per date
+ * @param {Array} exceptions - Array of { start, end, added }
+ * @returns {Map} Map of YYYYMMDD date to exception_type; removals win over additions
+ */
+function expandExceptions(exceptions) {
+  const dates = new Map();
+  exceptions.forEach(({ start, end, added }) => {
+    for (let date = start; date <= end; date = addDays(date, 1)) {
+      if (dates.get(date) !== 2) {
+        dates.set(date, added ? 1 : 2);
+      }
+    }
+  });
+  return dates;
+}
+
+/**
+ * Build calendar.txt and calendar_dates.txt rows for the services used by the exported trips.
+ * Trips with their own exceptions in calendar_dates.json (train_id) get a service of their own.
+ * @returns {Object} { calendar, calendarDates, serviceIdByTrip }
+ */
+function buildServices(trips, serviceCalendar, warnings) {
+  const calendar = [];
+  const calendarDates = [];
+  const serviceIdByTrip = new Map();
+  const exported = new Set();
+
+  const exportService = (serviceId, baseServiceId, exceptions) => {
+    if (exported.has(serviceId)) {
+      return true;
+    }
+    const service = serviceCalendar.services.get(baseServiceId);
+    const hasCalendar = service && service.startDate !== null && service.endDate !== null;
+    const dates = expandExceptions(exceptions);
+    if (!hasCalendar && dates.size === 0) {
+      return false;
+    }
+
+    if (hasCalendar) {
+      const weekdays = Object.fromEntries(GTFS_WEEKDAYS.map((day, index) => [day, service.weekdays[(index + 1) % 7] ? 1 : 0]));
+      calendar.push({ service_id: serviceId, ...weekdays, start_date: service.startDate, end_date: service.endDate });
+    }
+    [...dates.keys()].sort().forEach(date => {
+      calendarDates.push({ service_id: serviceId, date, exception_type: dates.get(date) });
+    });
+    exported.add(serviceId);
+    return true;
+  };
+
+  trips.forEach(trip => {
+    const serviceExceptions = serviceCalendar.exceptionsByService.get(trip.service_id) || [];
+    const tripExceptions = serviceCalendar.exceptionsByTrip.get(trip.trip_id) || [];
+    const serviceId = tripExceptions.length > 0 ? `${trip.service_id} (${trip.trip_id})` : trip.service_id;
+
+    if (exportService(serviceId, trip.service_id, [...serviceExceptions, ...tripExceptions])) {
+      serviceIdByTrip.set(trip.trip_id, serviceId);
+    } else {
+      warnings.add('trip without dates in calendar.json or calendar_dates.json skipped', `"${trip.trip_id}" (${trip.service_id})`);
+    }
+  });
+
+  return { calendar, calendarDates, serviceIdByTrip };
+}
+
+/**
+ * Build stop_times.txt rows for one trip
+ * @returns {Array|null} Rows, or null if the trip can't be exported
+ */
+function buildStopTimes(trip, tripStops, stops, agencyTimezone, warnings) {
+  const agencyOffset = getStandardOffset(agencyTimezone);
+  const usable = tripStops.filter(ts => {
+    if (!stops[ts.stop_id]) {
+      warnings.add('stop without coordinates in stops.json left out of trips', `"${ts.stop_id}"`);
+      return false;
+    }
+    return true;
+  });
+
+  const shifts = usable.map(ts => {
+    const stopTimezone = getCountryTimezone(stops[ts.stop_id].stop_country) || agencyTimezone;
+    return agencyOffset - getStandardOffset(stopTimezone);
+  });
+  const timeline = getStopTimeline(usable, shifts);
+
+  const rows = usable.map((ts, index) => {
+    // GTFS needs both times where one is known; trains usually only list one at the terminus
+    const { arrival, departure } = timeline[index];
+    return {
+      trip_id: trip.trip_id,
+      arrival_time: formatGtfsTime(arrival ?? departure),
+      departure_time: formatGtfsTime(departure ?? arrival),
+      stop_id: ts.stop_id,
+      stop_sequence: ts.stop_sequence,
+      pickup_type: Number(ts.no_entry) === 1 ? 1 : 0,
+      drop_off_type: Number(ts.no_exit) === 1 ? 1 : 0
+    };
+  });
+
+  if (rows.length < 2 || !rows[0].departure_time || !rows[rows.length - 1].arrival_time) {
+    warnings.add('trip without two timed stops skipped', `"${trip.trip_id}"`);
+    return null;
+  }
+  return rows;
+}
+
+/**
+ * Build translations.txt rows for the tables and fields that are part of the feed
+ */
+function buildTranslations(translations, exportedIds) {
+  return Object.values(translations || {})
+    .map(entry => ({ ...entry, table_name: TRANSLATION_TABLES[entry.table_name] ?? entry.table_name }))
+    .filter(entry => COLUMNS[entry.table_name]?.includes(entry.field_name) && !isEmpty(entry.translation))
+    .filter(entry => isEmpty(entry.record_id) || exportedIds[entry.table_name]?.has(String(entry.record_id)))
+    .map(entry => ({
+      table_name: entry.table_name,
+      field_name: entry.field_name,
+      language: entry.language_code,
+      translation: entry.translation,
+      // GTFS allows either a record_id or a field_value
+      record_id: entry.record_id,
+      field_value: isEmpty(entry.record_id) ? entry.field_value : ''
+    }));
+}
+
+/**
+ * Convert the snapshot into the rows of the GTFS files
+ * @returns {Object} Rows per GTFS file name (without .txt)
+ */
+function buildFeed(data, { includeInactive }, warnings) {
+  const isActive = (row) => includeInactive || row.is_active !== 'N';
+
+  // Routes need a route_type (REQUIRED_FIELDS in gtfs_exporter.py) and a single agency
+  const routes = Object.values(data.routes)
+    .filter(route => isActive(route) && !isEmpty(route.route_type))
+    .map(route => ({
+      route_id: route.route_id,
+      agency_id: route.agency_1 || String(route.agency_id).split('/')[0].trim(),
+      route_short_name: route.route_short_name,
+      route_long_name: route.route_long_name,
+      route_desc: route.route_desc,
+      route_type: route.route_type,
+      route_url: route.source
+    }))
+    .filter(route => {
+      if (!data.agencies[route.agency_id]) {
+        warnings.add('route with unknown agency skipped', `route ${route.route_id} ("${route.agency_id}")`);
+        return false;
+      }
+      return true;
+    });
+  const routeIds = new Set(routes.map(route => String(route.route_id)));
+
+  const stopsByTrip = new Map();
+  Object.values(data.tripStops).forEach(ts => {
+    // stop_sequence is required (REQUIRED_FIELDS in gtfs_exporter.py)
+    if (isEmpty(ts.stop_sequence) || isEmpty(ts.stop_id)) {
+      return;
+    }
+    if (!stopsByTrip.has(ts.trip_id)) {
+      stopsByTrip.set(ts.trip_id, []);
+    }
+    stopsByTrip.get(ts.trip_id).push(ts);
+  });
+
+  const candidates = Object.values(data.trips).filter(trip => {
+    if (!isActive(trip)) {
+      return false;
+    }
+    if (!routeIds.has(String(trip.route_id))) {
+      warnings.add('trip of a route that is not exported skipped', `"${trip.trip_id}" (route ${trip.route_id})`);
+      return false;
+    }
+    return true;
+  });
+
+  const stopTimes = [];
+  const timedTrips = candidates.filter(trip => {
+    const agencyId = String(trip.agency_id).split('/')[0].trim();
+    const tripStops = (stopsByTrip.get(trip.trip_id) || []).slice().sort((a, b) => a.stop_sequence - b.stop_sequence);
+    const rows = buildStopTimes(trip, tripStops, data.stops, getAgencyTimezone(data.agencies[agencyId]), warnings);
+    if (rows) {
+      stopTimes.push(...rows);
+    }
+    return rows !== null;
+  });
+
+  const serviceCalendar = buildServiceCalendar(data.calendar, data.calendarDates);
+  const { calendar, calendarDates, serviceIdByTrip } = buildServices(timedTrips, serviceCalendar, warnings);
+
+  const trips = timedTrips
+    .filter(trip => serviceIdByTrip.has(trip.trip_id))
+    .map(trip => ({
+      route_id: trip.route_id,
+      service_id: serviceIdByTrip.get(trip.trip_id),
+      trip_id: trip.trip_id,
+      trip_headsign: trip.trip_headsign,
+      trip_short_name: trip.trip_short_name,
+      direction_id: trip.direction_id,
+      wheelchair_accessible: trip.wheelchair_accessible,
+      bikes_allowed: trip.bikes_allowed
+    }));
+  const tripIds = new Set(trips.map(trip => trip.trip_id));
+
+  // Only list routes, stops and agencies that are used by an exported trip
+  const usedRoutes = new Set(trips.map(trip => String(trip.route_id)));
+  const exportedRoutes = routes.filter(route => usedRoutes.has(String(route.route_id)));
+  const exportedStopTimes = stopTimes.filter(row => tripIds.has(row.trip_id));
+  const usedStops = new Set(exportedStopTimes.map(row => row.stop_id));
+  const usedAgencies = new Set(exportedRoutes.map(route => route.agency_id));
+
+  const agency = [...usedAgencies].map(agencyId => {
+    const row = data.agencies[agencyId];
+    return { ...row, agency_timezone: getAgencyTimezone(row) || row.agency_timezone };
+  });
+  const stops = [...usedStops].map(stopId => {
+    const stop = data.stops[stopId];
+    return {
+      stop_id: stopId,
+      stop_name: stop.stop_name || stopId,
+      stop_lat: stop.stop_lat,
+      stop_lon: stop.stop_lon,
+      stop_timezone: getCountryTimezone(stop.stop_country) || ''
+    };
+  });
+
+  const translations = buildTranslations(data.translations, {
+    agency: usedAgencies,
+    stops: usedStops,
+    routes: usedRoutes,
+    trips: tripIds
+  });
+
+  const today = new Date();
+  const feedInfo = [{
+    feed_publisher_name: FEED_PUBLISHER.name,
+    feed_publisher_url: FEED_PUBLISHER.url,
+    feed_lang: 'mul',
+    feed_version: today.getFullYear() * 10000 + (today.getMonth() + 1) * 100 + today.getDate()
+  }];
+
+  return {
+    agency,
+    stops,
+    routes: exportedRoutes,
+    trips,
+    stop_times: exportedStopTimes,
+    calendar,
+    calendar_dates: calendarDates,
+    translations,
+    feed_info: feedInfo
+  };
+}
+
+// Main execution
+try {
+  const { values, positionals } = parseArgs({
+    options: {
+      data: { type: 'string' },
+      'include-inactive': { type: 'boolean', default: false }
+    },
+    allowPositionals: true
+  });
+  const dataDir = values.data ? resolve(values.data) : getDataDir();
+  const output = resolve(positionals[0] ?? DEFAULT_OUTPUT);
+
+  // Stops only have coordinates in stops.json, so unlike the webapp scripts it is required here
+  if (!existsSync(join(dataDir, 'stops.json'))) {
+    console.error(`stops.json is missing from ${dataDir}, but stops.txt needs its coordinates.`);
+    console.error('Fetch it first: run "python scripts/get_snapshot.py" in the repository root (it writes all tables to data/latest), or save the "stops" table linked in the README as stops.json.');
+    process.exit(1);
+  }
+
+  console.log(`Reading snapshot from ${dataDir}...`);
+  const data = {
+    agencies: readDataFile(dataDir, 'agencies.json'),
+    stops: readDataFile(dataDir, 'stops.json'),
+    routes: readDataFile(dataDir, 'routes.json'),
+    trips: readDataFile(dataDir, 'trips.json'),
+    tripStops: readDataFile(dataDir, 'trip_stop.json'),
+    calendar: readDataFile(dataDir, 'calendar.json'),
+    calendarDates: readDataFile(dataDir, 'calendar_dates.json'),
+    translations: readDataFile(dataDir, 'translations.json', { optional: true })
+  };
+
+  // stop_times.txt may only reference stops that can be placed on a map
+  data.stops = Object.fromEntries(
+    Object.entries(data.stops).filter(([, stop]) => !isEmpty(stop.stop_lat) && !isEmpty(stop.stop_lon))
+  );
+
+  const warnings = createWarnings();
+  const feed = buildFeed(data, { includeInactive: values['include-inactive'] }, warnings);
+  warnings.print();
+
+  const files = Object.entries(feed).map(([name, rows]) => {
+    console.log(`${name}.txt: ${rows.length} rows`);
+    return { name: `${name}.txt`, content: toCsv(COLUMNS[name], rows) };
+  });
+
+  mkdirSync(dirname(output), { recursive: true });
+  writeFileSync(output, createZip(files));
+  console.log(`GTFS feed saved to ${output}`);
+} catch (error) {
+  console.error('Error exporting GTFS:', error);
+  process.exit(1);
+}
@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+/**
+ * Script to export the trips of all active routes as GeoJSON, KML or GPX, e.g. for uMap,
+ * QGIS or Google My Maps. The webapp's export button writes the same formats for the
+ * currently filtered trips.
+ *
+ * Usage: node scripts/export-routes.js [output file] [--format geojson|kml|gpx] [--data <dir>]
+ *   output file  File to write (default: out/night-trains.<format> in the repository)
+ *   --format     Output format (default: geojson, or the extension of the output file)
+ *   --data       Snapshot directory (default: public/data in Docker, else data/latest)
+ */
+
+import { mkdirSync, writeFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, extname, join, resolve } from 'path';
+import { parseArgs } from 'util';
+import { getDataDir, readDataFile } from './lib/data.js';
+import { normalizeTimetable } from './lib/timetable.js';
+import { EXPORT_FORMATS } from '../src/utils/geoExport.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+/**
+ * Collect the active trips of active routes with their ordered stops, with the normalized
+ * GTFS-style times of timetable.json
+ * @param {Object} routes - routes.json entries
+ * @param {Object} timetable - Result of normalizeTimetable
+ * @returns {Array} Array of { trip, stops }
+ */
+function getActiveTrips(routes, timetable) {
+  const activeRoutes = new Set(
+    Object.values(routes).filter(route => route.is_active !== 'N').map(route => String(route.route_id))
+  );
+
+  return Object.values(timetable.trips)
+    .filter(trip => trip.is_active !== 'N' && activeRoutes.has(String(trip.route_id)))
+    .map(trip => ({ trip, stops: timetable.trip_stops[trip.trip_id] || [] }));
+}
+
+// Main execution
+try {
+  const { values, positionals } = parseArgs({
+    options: {
+      format: { type: 'string' },
+      data: { type: 'string' }
+    },
+    allowPositionals: true
+  });
+
+  const format = values.format ?? (positionals[0] ? extname(positionals[0]).slice(1).toLowerCase() : 'geojson');
+  if (!EXPORT_FORMATS[format]) {
+    console.error(`Unknown format "${format}", use one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+    process.exit(1);
+  }
+  const { extension, build } = EXPORT_FORMATS[format];
+  const output = resolve(positionals[0] ?? join(__dirname, '..', '..', 'out', `night-trains.${extension}`));
+
+  const dataDir = values.data ? resolve(values.data) : getDataDir();
+  console.log(`Reading snapshot from ${dataDir}...`);
+  const stops = readDataFile(dataDir, 'stops.json');
+  const routes = readDataFile(dataDir, 'routes.json');
+  const trips = readDataFile(dataDir, 'trips.json');
+  const tripStops = readDataFile(dataDir, 'trip_stop.json');
+  const agencies = readDataFile(dataDir, 'agencies.json');
+
+  const activeTrips = getActiveTrips(routes, normalizeTimetable(trips, tripStops, agencies, stops));
+  console.log(`Exporting ${activeTrips.length} active trips`);
+
+  mkdirSync(dirname(output), { recursive: true });
+  writeFileSync(output, build(activeTrips, stops, 'Back-on-Track night trains'));
+  console.log(`${format} export saved to ${output}`);
+} catch (error) {
+  console.error('Error exporting routes:', error);
+  process.exit(1);
+}
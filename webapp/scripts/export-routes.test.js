@@ -0,0 +1,110 @@
+/**
+ * Tests of scripts/export-routes.js on a small snapshot written to a temporary directory
+ *
+ * Run with: npm test
+ */
+
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const SCRIPT = join(__dirname, 'export-routes.js');
+
+/**
+ * Google Sheets time value of a wall-clock time
+ */
+function sheetsTime(time) {
+  return time ? `1899-12-30T${time}:00.000Z` : '';
+}
+
+function tripStop(trip_id, stop_sequence, stop_id, arrival, departure) {
+  return {
+    train_stop_id: `${trip_id}:${stop_sequence}`,
+    trip_id,
+    stop_sequence,
+    stop_id,
+    arrival_time: sheetsTime(arrival),
+    departure_time: sheetsTime(departure)
+  };
+}
+
+// A CFR train in Romanian time (EET) that enters Hungary (CET) after midnight, with a stop
+// whose stop_sequence is missing in the spreadsheet
+const TRIP_ID = 'CFR IC 79';
+const SNAPSHOT = {
+  'agencies.json': {
+    CFR: { agency_id: 'CFR', agency_name: 'CFR Călători', agency_timezone: 'EET', agency_state: 'RO' }
+  },
+  'routes.json': {
+    1: { route_id: 1, agency_id: 'CFR', route_type: 2, is_active: 'Y' }
+  },
+  'trips.json': {
+    [TRIP_ID]: {
+      route_id: 1,
+      agency_id: 'CFR',
+      trip_id: TRIP_ID,
+      trip_short_name: 'IC 79',
+      is_active: 'Y',
+      service_id: 'Daily',
+      origin_departure_time: sheetsTime('18:00'),
+      destination_arrival_time: sheetsTime('02:30')
+    }
+  },
+  'trip_stop.json': Object.fromEntries([
+    tripStop(TRIP_ID, 0, 'București Nord', '', '18:00'),
+    tripStop(TRIP_ID, 1, 'Arad', '23:40', '23:50'),
+    tripStop(TRIP_ID, '', 'Glogovăț', '23:45', '23:45'),
+    tripStop(TRIP_ID, 2, 'Curtici', '00:05', '00:25'),
+    tripStop(TRIP_ID, 3, 'Lőkösháza', '23:35', '23:45'),
+    tripStop(TRIP_ID, 4, 'Budapest-Keleti', '02:30', '')
+  ].map(ts => [ts.train_stop_id, ts])),
+  'stops.json': {
+    'București Nord': { stop_name: 'București Nord', stop_lat: 44.446, stop_lon: 26.074, stop_country: 'RO' },
+    Arad: { stop_name: 'Arad', stop_lat: 46.190, stop_lon: 21.328, stop_country: 'RO' },
+    'Glogovăț': { stop_name: 'Glogovăț', stop_lat: 46.178, stop_lon: 21.392, stop_country: 'RO' },
+    Curtici: { stop_name: 'Curtici', stop_lat: 46.349, stop_lon: 21.304, stop_country: 'RO' },
+    'Lőkösháza': { stop_name: 'Lőkösháza', stop_lat: 46.430, stop_lon: 21.236, stop_country: 'HU' },
+    'Budapest-Keleti': { stop_name: 'Budapest-Keleti', stop_lat: 47.500, stop_lon: 19.083, stop_country: 'HU' }
+  }
+};
+
+let dataDir;
+
+before(() => {
+  dataDir = mkdtempSync(join(tmpdir(), 'export-routes-'));
+  Object.entries(SNAPSHOT).forEach(([file, data]) => writeFileSync(join(dataDir, file), JSON.stringify(data)));
+});
+
+after(() => rmSync(dataDir, { recursive: true, force: true }));
+
+describe('export-routes', () => {
+  test('exports the normalized times of timetable.json', () => {
+    const output = join(dataDir, 'out.geojson');
+    const result = spawnSync(process.execPath, [SCRIPT, output, '--data', dataDir], { encoding: 'utf-8' });
+    assert.equal(result.status, 0, result.stderr);
+
+    const { features } = JSON.parse(readFileSync(output, 'utf-8'));
+    const line = features.find(feature => feature.geometry.type === 'LineString');
+    assert.equal(line.properties.departure_time, '18:00:00');
+    assert.equal(line.properties.arrival_time, '26:30:00');
+
+    // Stops without stop_sequence are left out; Lőkösháza keeps its local (CET) time
+    const times = features
+      .filter(feature => feature.geometry.type === 'Point')
+      .map(({ properties }) => [properties.stop_id, properties.arrival_time, properties.departure_time]);
+    assert.deepEqual(times, [
+      ['București Nord', '', '18:00:00'],
+      ['Arad', '23:40:00', '23:50:00'],
+      ['Curtici', '24:05:00', '24:25:00'],
+      ['Lőkösháza', '23:35:00', '23:45:00'],
+      ['Budapest-Keleti', '26:30:00', '']
+    ]);
+  });
+});
@@ -2,16 +2,29 @@
 /**
  * Script to pre-compute station groups from stops.json
  * This runs during Docker build time to generate station-groups.json
+ *
+ * Stations are grouped by distance and by city: stations of different cities are never
+ * grouped, stations of the same city may be further apart. Groups that had to be formed
+ * without knowing the city of all their stations, and stations of different cities that
+ * are close to each other, are listed in station-groups-report.json for review.
+ *
+ * Options:
+ *   --max-distance <km>          Maximum distance between grouped stations (default 25)
+ *   --city-distance <km>         Maximum distance between stations of the same city (default 40)
+ *   --country-distance <CC=km>   Maximum distance for stations in one country, may be repeated
+ *   --data <dir>                 Snapshot directory (default: public/data in Docker, else data/latest)
  */
 
-import { existsSync, readFileSync, writeFileSync } from 'fs';
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
+import { resolve } from 'path';
+import { parseArgs } from 'util';
 import distance from '@turf/distance';
-import { point } from '@turf/helpers';
+import { point, earthRadius } from '@turf/helpers';
+import { computeGroupId } from '../src/utils/stationGroups.js';
+import { getDataDir, readDataFile, writeDataFile } from './lib/data.js';
+import { buildCityAliases, getStopCity } from './lib/names.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
+const DEFAULT_MAX_DISTANCE = 25;
+const DEFAULT_CITY_DISTANCE = 40;
 
 /**
  * Remove fields with empty string values from an object
@@ -70,6 +83,75 @@ function longestCommonPrefix(strings) {
   return first.substring(0, i).trim();
 }
 
+/**
+ * Pick the name of the city most stations of a group belong to.
+ * Among the spellings of that city, the one used by most station names wins (e.g. "München"
+ * over "Munich" for "München Hbf"), then the alphabetically first one.
+ * @returns {Object|null} { key, name } or null if no station has a known city
+ */
+function getMostCommonCity(cities, stationNames) {
+  const known = cities.filter(Boolean);
+  if (known.length === 0) {
+    return null;
+  }
+
+  const keyCounts = new Map();
+  known.forEach(city => keyCounts.set(city.key, (keyCounts.get(city.key) || 0) + 1));
+  const [key] = [...keyCounts.entries()].reduce((a, b) => (b[1] > a[1] || (b[1] === a[1] && b[0] < a[0]) ? b : a));
+
+  const lowerNames = stationNames.map(name => name.toLowerCase());
+  const score = (name) => known.filter(city => city.name === name).length
+    + lowerNames.filter(stationName => stationName.includes(name.toLowerCase())).length;
+  const names = [...new Set(known.filter(city => city.key === key).map(city => city.name))];
+  const name = names.reduce((a, b) => (score(b) > score(a) || (score(b) === score(a) && b < a) ? b : a));
+
+  return { key, name };
+}
+
+/**
+ * Parse the command line options
+ * @returns {Object} { maxDistance, cityDistance, countryDistances, dataDir }
+ */
+function parseOptions(args) {
+  const { values } = parseArgs({
+    args,
+    options: {
+      'max-distance': { type: 'string' },
+      'city-distance': { type: 'string' },
+      'country-distance': { type: 'string', multiple: true },
+      data: { type: 'string' }
+    }
+  });
+
+  const parseKilometers = (value, name) => {
+    const km = parseFloat(value);
+    if (isNaN(km) || km < 0) {
+      throw new Error(`Invalid distance for ${name}: "${value}"`);
+    }
+    return km;
+  };
+
+  const countryDistances = new Map();
+  (values['country-distance'] || []).forEach(value => {
+    const [country, km] = value.split('=');
+    if (!country || km === undefined) {
+      throw new Error(`Invalid --country-distance "${value}", expected e.g. DE=30`);
+    }
+    countryDistances.set(country.trim().toUpperCase(), parseKilometers(km, `--country-distance ${country}`));
+  });
+
+  return {
+    maxDistance: values['max-distance'] !== undefined
+      ? parseKilometers(values['max-distance'], '--max-distance')
+      : DEFAULT_MAX_DISTANCE,
+    cityDistance: values['city-distance'] !== undefined
+      ? parseKilometers(values['city-distance'], '--city-distance')
+      : DEFAULT_CITY_DISTANCE,
+    countryDistances,
+    dataDir: values.data ? resolve(values.data) : getDataDir()
+  };
+}
+
 /**
  * Calculate distance between two stations in kilometers
  */
@@ -79,13 +161,91 @@ function calculateDistance(station1, station2) {
   return distance(from, to, { units: 'kilometers' });
 }
 
+/**
+ * Convert a station to a point on the unit sphere
+ */
+function toUnitVector(station) {
+  const lat = station.lat * Math.PI / 180;
+  const lon = station.lon * Math.PI / 180;
+  return [Math.cos(lat) * Math.cos(lon), Math.cos(lat) * Math.sin(lon), Math.sin(lat)];
+}
+
+/**
+ * Find all pairs of stations within maxDistance kilometers of each other.
+ * Stations are put into a uniform 3D grid over their positions on the unit sphere, with
+ * cells as large as the straight-line (chord) length of maxDistance. Any two stations
+ * within maxDistance are then in the same or in adjacent cells, so only those need to be
+ * compared instead of all pairs.
+ * @returns {Array} Pairs { i, j, dist } with i < j, sorted by distance, then i, then j
+ */
+function findNeighborPairs(stations, maxDistance) {
+  const radius = earthRadius / 1000;
+  // Slightly larger cells so rounding never hides a pair right at the threshold
+  const cellSize = 2 * Math.sin(Math.min(maxDistance / (2 * radius), Math.PI / 2)) * 1.001;
+
+  const cellOf = (vector) => vector.map(coordinate => Math.floor(coordinate / cellSize));
+  const cellKey = (cell) => cell.join(',');
+
+  const grid = new Map();
+  const cells = stations.map((station, index) => {
+    const cell = cellOf(toUnitVector(station));
+    const key = cellKey(cell);
+    if (!grid.has(key)) {
+      grid.set(key, []);
+    }
+    grid.get(key).push(index);
+    return cell;
+  });
+
+  const pairs = [];
+  cells.forEach(([x, y, z], i) => {
+    if (i % 1000 === 0) {
+      console.log(`  Processed ${i}/${stations.length} stations...`);
+    }
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dz = -1; dz <= 1; dz++) {
+          const candidates = grid.get(cellKey([x + dx, y + dy, z + dz])) || [];
+          for (const j of candidates) {
+            if (j <= i) continue;
+            const dist = calculateDistance(stations[i], stations[j]);
+            if (dist <= maxDistance) {
+              pairs.push({ i, j, dist });
+            }
+          }
+        }
+      }
+    }
+  });
+
+  // Same order as comparing all pairs in index order and stable-sorting by distance
+  return pairs.sort((a, b) => a.dist - b.dist || a.i - b.i || a.j - b.j);
+}
+
+/**
+ * Short description of a station for the report
+ */
+function describeStation(station, city) {
+  return {
+    stop_id: station.stop_id,
+    stop_name: station.stop_name,
+    stop_country: station.stop_country,
+    city: city ? city.name : null
+  };
+}
+
 /**
  * Group stations using Complete Linkage clustering algorithm
  * Complete Linkage ensures that the maximum distance between any two points
- * in a cluster is at most the threshold distance.
+ * in a cluster is at most the threshold distance. The threshold of a pair of stations
+ * is the smaller one of their countries, or the city distance if both are in the same city.
+ * @param {Object} stops - stops.json entries keyed by stop_id
+ * @param {Object} options - { maxDistance, cityDistance, countryDistances, cityAliases }
+ * @returns {Object} { groups, report }
  */
-function groupStations(stops, maxDistance = 25) {
+function groupStations(stops, options) {
   const MIN_GROUP_NAME_LENGTH = 3;
+  const { maxDistance, cityDistance, countryDistances, cityAliases } = options;
   
   // Convert stops to array with coordinates
   const stopsArray = Object.entries(stops).map(([stopId, stop]) => {
@@ -109,30 +269,43 @@ function groupStations(stops, maxDistance = 25) {
   console.log(`Processing ${stopsArray.length} valid stations...`);
   
   const n = stopsArray.length;
+  const cities = stopsArray.map(stop => getStopCity(stop, cityAliases));
+  const thresholds = stopsArray.map(stop => countryDistances.get(stop.stop_country) ?? maxDistance);
+  const searchDistance = Math.max(maxDistance, cityDistance, ...countryDistances.values());
   
-  // Build neighbor list for each station (only within maxDistance)
+  // Build the merge queue from the pairs of stations within their threshold
   console.log('Building neighbor lists and merge queue...');
-  const mergeQueue = [];
-  
-  for (let i = 0; i < n; i++) {
-    if (i % 1000 === 0) {
-      console.log(`  Processed ${i}/${n} stations...`);
+  const keptApart = [];
+  const mergeQueue = findNeighborPairs(stopsArray, searchDistance).filter(({ i, j, dist }) => {
+    const threshold = Math.min(thresholds[i], thresholds[j]);
+    if (!cities[i] || !cities[j]) {
+      return dist <= threshold;
     }
-    for (let j = i + 1; j < n; j++) {
-      const dist = calculateDistance(stopsArray[i], stopsArray[j]);
-      if (dist <= maxDistance) {
-        mergeQueue.push({ i, j, dist });
-      }
+    if (cities[i].key === cities[j].key) {
+      return dist <= Math.max(threshold, cityDistance);
     }
-  }
+    if (dist <= threshold) {
+      keptApart.push({
+        stations: [describeStation(stopsArray[i], cities[i]), describeStation(stopsArray[j], cities[j])],
+        distance: Math.round(dist * 100) / 100
+      });
+    }
+    return false;
+  });
   
-  console.log(`Found ${mergeQueue.length} pairs within ${maxDistance}km`);
-  console.log('Sorting merge queue...');
-  mergeQueue.sort((a, b) => a.dist - b.dist);
+  console.log(`Found ${mergeQueue.length} pairs within their threshold (${keptApart.length} kept apart by city)`);
   
   // Union-Find for cluster tracking
   const parent = new Array(n).fill(0).map((_, i) => i);
-  const clusterStations = new Array(n).fill(null).map((_, i) => [i]);
+  
+  // Cached complete linkage distances: for each cluster, the max pairwise distance to every
+  // cluster that is entirely within maxDistance of it. Clusters without an entry have at
+  // least one pair of stations further apart, which the merge queue leaves out.
+  const linkage = new Array(n).fill(null).map(() => new Map());
+  for (const { i, j, dist } of mergeQueue) {
+    linkage[i].set(j, dist);
+    linkage[j].set(i, dist);
+  }
   
   function find(x) {
     if (parent[x] !== x) {
@@ -158,27 +331,26 @@ function groupStations(stops, maxDistance = 25) {
     if (rootI === rootJ) continue; // Already in same cluster
     
     // Check complete linkage constraint: max distance between any two points
-    const stationsI = clusterStations[rootI];
-    const stationsJ = clusterStations[rootJ];
-    
-    let valid = true;
+    const valid = linkage[rootI].has(rootJ);
     
-    for (const si of stationsI) {
-      if (!valid) break;
-      for (const sj of stationsJ) {
-        const d = calculateDistance(stopsArray[si], stopsArray[sj]);
-        if (d > maxDistance) {
-          valid = false;
-          break;
-        }
-      }
-    }
-    
-    // Merge if valid
+    // Merge if valid; the merged cluster is only linked to clusters both parts were linked to,
+    // at the larger of the two distances
     if (valid) {
       parent[rootJ] = rootI;
-      clusterStations[rootI] = stationsI.concat(stationsJ);
-      clusterStations[rootJ] = [];
+      linkage[rootI].delete(rootJ);
+      linkage[rootJ].delete(rootI);
+      linkage[rootI].forEach((distI, other) => {
+        linkage[other].delete(rootI);
+        if (linkage[rootJ].has(other)) {
+          const combined = Math.max(distI, linkage[rootJ].get(other));
+          linkage[rootI].set(other, combined);
+          linkage[other].set(rootI, combined);
+        } else {
+          linkage[rootI].delete(other);
+        }
+      });
+      linkage[rootJ].forEach((_, other) => linkage[other].delete(rootJ));
+      linkage[rootJ] = null;
       merged++;
     }
   }
@@ -193,7 +365,7 @@ function groupStations(stops, maxDistance = 25) {
     if (!clusterMap.has(root)) {
       clusterMap.set(root, []);
     }
-    clusterMap.get(root).push(stopsArray[i]);
+    clusterMap.get(root).push(i);
   }
   
   console.log(`Final number of clusters: ${clusterMap.size}`);
@@ -201,12 +373,17 @@ function groupStations(stops, maxDistance = 25) {
   // Convert clusters to groups
   console.log('Converting clusters to groups...');
   const groups = [];
+  const mergedWithoutCity = [];
   
-  clusterMap.forEach((stations) => {
+  clusterMap.forEach((indices) => {
+    const stations = indices.map(i => stopsArray[i]);
+    const stationCities = indices.map(i => cities[i]);
+    
     if (stations.length === 1) {
       // Single station cluster
       const station = stations[0];
       groups.push({
+        id: computeGroupId([station.stop_id]),
         groupName: station.stop_name,
         displayName: station.stop_name,
         isGroup: false,
@@ -216,9 +393,10 @@ function groupStations(stops, maxDistance = 25) {
         stop_country: station.stop_country
       });
     } else {
-      // Multi-station cluster - use longest common prefix as name
+      // Multi-station cluster - use the city as name, or the longest common prefix if unknown
       const stationNames = stations.map(s => s.stop_name);
-      let groupName = longestCommonPrefix(stationNames);
+      const city = getMostCommonCity(stationCities, stationNames);
+      let groupName = city ? city.name : longestCommonPrefix(stationNames);
       
       // If the prefix is too short or empty, use a more meaningful name
       if (!groupName || groupName.length < MIN_GROUP_NAME_LENGTH) {
@@ -231,6 +409,7 @@ function groupStations(stops, maxDistance = 25) {
       const avgLon = stations.reduce((sum, s) => sum + s.lon, 0) / stations.length;
       
       groups.push({
+        id: computeGroupId(stations.map(s => s.stop_id)),
         groupName: groupName,
         displayName: `${groupName} (${stations.length} stations)`,
         isGroup: true,
@@ -239,47 +418,51 @@ function groupStations(stops, maxDistance = 25) {
         lon: avgLon,
         stop_country: getMostCommonCountry(stations)
       });
+      
+      if (stationCities.some(stationCity => !stationCity)) {
+        mergedWithoutCity.push({
+          id: groups[groups.length - 1].id,
+          groupName,
+          stations: indices.map(i => describeStation(stopsArray[i], cities[i]))
+        });
+      }
     }
   });
   
-  return groups;
+  const report = {
+    settings: {
+      maxDistance,
+      cityDistance,
+      countryDistances: Object.fromEntries(countryDistances)
+    },
+    mergedWithoutCity,
+    keptApart
+  };
+  
+  return { groups, report };
 }
 
 // Main execution
 try {
-  console.log('Reading stops.json...');
-  let runningInDocker = true;
-  let stopsPath = join(__dirname, '..', 'public', 'data', 'stops.json');
-  if (!existsSync(stopsPath)) {
-    runningInDocker = false;
-    stopsPath = join(__dirname, '..', '..', 'data', 'latest', 'stops.json');
-  }
+  const { dataDir, ...options } = parseOptions(process.argv.slice(2));
   
-  let stopsData;
-  try {
-    stopsData = JSON.parse(readFileSync(stopsPath, 'utf-8'));
-  } catch (err) {
-    console.error(`Failed to read stops.json from ${stopsPath}:`, err.message);
-    process.exit(1);
-  }
+  console.log(`Reading stops.json from ${dataDir}...`);
+  const stopsData = readDataFile(dataDir, 'stops.json');
+  const translations = readDataFile(dataDir, 'translations.json', { optional: true }) || {};
   
   console.log(`Loaded ${Object.keys(stopsData).length} stops`);
   
   console.log('Generating station groups...');
-  const groups = groupStations(stopsData);
+  const { groups, report } = groupStations(stopsData, {
+    ...options,
+    cityAliases: buildCityAliases(translations, stopsData)
+  });
   
   console.log(`Generated ${groups.length} station groups`);
+  console.log(`${report.mergedWithoutCity.length} groups contain stations without a known city, ${report.keptApart.length} nearby pairs were kept apart`);
   
-  const outputPath = runningInDocker
-    ? join(__dirname, '..', 'public', 'data', 'station-groups.json')
-    : join(__dirname, '..', '..', 'data', 'latest', 'station-groups.json');
-  try {
-    writeFileSync(outputPath, JSON.stringify(groups));
-    console.log(`Station groups saved to ${outputPath}`);
-  } catch (err) {
-    console.error(`Failed to write station-groups.json to ${outputPath}:`, err.message);
-    process.exit(1);
-  }
+  writeDataFile(dataDir, 'station-groups.json', groups);
+  writeDataFile(dataDir, 'station-groups-report.json', report);
   
   console.log('Done!');
 } catch (error) {
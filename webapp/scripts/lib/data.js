@@ -0,0 +1,60 @@
+/**
+ * Helpers shared by the build scripts to locate and read the snapshot data
+ */
+
+import { existsSync, readFileSync, writeFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+/**
+ * Directory holding the snapshot JSON files.
+ * Inside Docker the data is copied to public/data, otherwise the repository's data/latest is used.
+ */
+export function getDataDir() {
+  const publicDataDir = join(__dirname, '..', '..', 'public', 'data');
+  if (existsSync(join(publicDataDir, 'trips.json'))) {
+    return publicDataDir;
+  }
+  return join(__dirname, '..', '..', '..', 'data', 'latest');
+}
+
+/**
+ * Read and parse a JSON file from the data directory
+ * @param {string} dataDir - Data directory
+ * @param {string} fileName - File name, e.g. "trips.json"
+ * @param {Object} options - { optional: return null instead of exiting if the file is missing }
+ * @returns {*} Parsed JSON content, or null for a missing optional file
+ */
+export function readDataFile(dataDir, fileName, { optional = false } = {}) {
+  const path = join(dataDir, fileName);
+  if (optional && !existsSync(path)) {
+    console.log(`${fileName} not found, continuing without it`);
+    return null;
+  }
+  try {
+    return JSON.parse(readFileSync(path, 'utf-8'));
+  } catch (err) {
+    console.error(`Failed to read ${fileName} from ${path}:`, err.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * Serialize data as JSON into the data directory
+ * @param {string} dataDir - Data directory
+ * @param {string} fileName - File name, e.g. "timetable.json"
+ * @param {*} data - Data to write
+ */
+export function writeDataFile(dataDir, fileName, data) {
+  const path = join(dataDir, fileName);
+  try {
+    writeFileSync(path, JSON.stringify(data));
+    console.log(`${fileName} saved to ${path}`);
+  } catch (err) {
+    console.error(`Failed to write ${fileName} to ${path}:`, err.message);
+    process.exit(1);
+  }
+}
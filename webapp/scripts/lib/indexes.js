@@ -0,0 +1,32 @@
+/**
+ * Lookup indexes of indexes.json, used by scripts/build-indexes.js and by the query API
+ * for snapshots without a generated indexes.json
+ */
+
+/**
+ * Build the stop -> trips and group -> stops indexes
+ * @param {Object} tripStops - timetable.json trip_stops (trip ID -> ordered stops)
+ * @param {Array} stationGroups - Station groups of station-groups.json
+ * @returns {Object} { stop_trips, group_stops }
+ */
+export function buildIndexes(tripStops, stationGroups) {
+  const stopTrips = {};
+  Object.entries(tripStops).forEach(([tripId, stopsOfTrip]) => {
+    stopsOfTrip.forEach(ts => {
+      if (!stopTrips[ts.stop_id]) {
+        stopTrips[ts.stop_id] = [];
+      }
+      // A trip may call at the same stop twice, e.g. when reversing
+      if (stopTrips[ts.stop_id][stopTrips[ts.stop_id].length - 1] !== tripId) {
+        stopTrips[ts.stop_id].push(tripId);
+      }
+    });
+  });
+
+  const groupStops = {};
+  stationGroups.forEach(group => {
+    groupStops[group.id] = group.stations.map(station => station.stop_id);
+  });
+
+  return { stop_trips: stopTrips, group_stops: groupStops };
+}
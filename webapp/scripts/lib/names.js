@@ -0,0 +1,105 @@
+/**
+ * Helpers to compare station and city names across scripts, languages and spellings
+ */
+
+// Cyrillic and Greek letters, close to what cyrtranslit + unidecode produce in gtfs_exporter.py
+const TRANSLITERATION = {
+  а: 'a', б: 'b', в: 'v', г: 'g', ґ: 'g', д: 'd', ђ: 'dj', е: 'e', ё: 'e', є: 'ie', ж: 'zh',
+  з: 'z', и: 'i', і: 'i', ї: 'i', й: 'i', ј: 'j', к: 'k', л: 'l', љ: 'lj', м: 'm', н: 'n',
+  њ: 'nj', о: 'o', п: 'p', р: 'r', с: 's', т: 't', ћ: 'c', у: 'u', ў: 'u', ф: 'f', х: 'kh',
+  ц: 'ts', ч: 'ch', џ: 'dz', ш: 'sh', щ: 'shch', ъ: '', ы: 'y', ь: '', э: 'e', ю: 'iu', я: 'ia',
+  α: 'a', ά: 'a', β: 'v', γ: 'g', δ: 'd', ε: 'e', έ: 'e', ζ: 'z', η: 'i', ή: 'i', θ: 'th',
+  ι: 'i', ί: 'i', ϊ: 'i', κ: 'k', λ: 'l', μ: 'm', ν: 'n', ξ: 'x', ο: 'o', ό: 'o', π: 'p',
+  ρ: 'r', σ: 's', ς: 's', τ: 't', υ: 'y', ύ: 'y', φ: 'f', χ: 'ch', ψ: 'ps', ω: 'o', ώ: 'o'
+};
+
+/**
+ * Transliterate Cyrillic and Greek letters and strip diacritics
+ * @param {string} value - Name in any script
+ * @returns {string} Latin-only name, lower case
+ */
+export function transliterate(value) {
+  return [...value.toLowerCase()]
+    .map(char => TRANSLITERATION[char] ?? char)
+    .join('')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/ß/g, 'ss')
+    .replace(/ø/g, 'o')
+    .replace(/æ/g, 'ae')
+    .replace(/ł/g, 'l');
+}
+
+/**
+ * Normalize a name for comparisons: transliterated, lower case, letters and digits only
+ * @param {string} value - Name
+ * @returns {string} Normalized name, or empty string
+ */
+export function normalizeName(value) {
+  if (typeof value !== 'string') {
+    return '';
+  }
+  return transliterate(value).replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Build a lookup of city name aliases from the stop_cityname translations.
+ * All spellings that translations.json links together (e.g. "Zürich", "Zurich", "Zurigo")
+ * map to the same key.
+ * @param {Object} translations - translations.json entries
+ * @param {Object} stops - stops.json entries keyed by stop_id, to resolve record_id references
+ * @returns {Map} Map of normalized name to city key
+ */
+export function buildCityAliases(translations, stops) {
+  const parent = new Map();
+  const find = (name) => {
+    if (!parent.has(name)) {
+      parent.set(name, name);
+    }
+    const root = parent.get(name);
+    if (root === name) {
+      return name;
+    }
+    const result = find(root);
+    parent.set(name, result);
+    return result;
+  };
+  const union = (a, b) => {
+    const rootA = find(a);
+    const rootB = find(b);
+    if (rootA !== rootB) {
+      // The alphabetically first spelling becomes the key, so the result is order independent
+      parent.set(rootA < rootB ? rootB : rootA, rootA < rootB ? rootA : rootB);
+    }
+  };
+
+  Object.values(translations || {}).forEach(entry => {
+    if (entry.table_name !== 'stops' || entry.field_name !== 'stop_cityname') {
+      return;
+    }
+    const stop = stops[entry.record_id];
+    const names = [entry.field_value, entry.translation, stop && stop.stop_cityname, stop && stop.stop_cityname_romanized]
+      .map(normalizeName)
+      .filter(Boolean);
+    names.slice(1).forEach(name => union(names[0], name));
+  });
+
+  const aliases = new Map();
+  parent.forEach((_, name) => aliases.set(name, find(name)));
+  return aliases;
+}
+
+/**
+ * Get the city a stop belongs to
+ * @param {Object} stop - Stop from stops.json
+ * @param {Map} cityAliases - Result of buildCityAliases
+ * @returns {Object|null} { key, name } with a key for comparisons and a display name, or null if unknown
+ */
+export function getStopCity(stop, cityAliases) {
+  const name = stop.stop_cityname || stop.stop_cityname_romanized;
+  const normalized = normalizeName(name);
+  if (!normalized) {
+    return null;
+  }
+  return { key: cityAliases.get(normalized) ?? normalized, name: name.trim() };
+}
@@ -0,0 +1,215 @@
+/**
+ * Description of the snapshot files in data/latest: their key column, the columns they are
+ * expected to have and how the files reference each other
+ *
+ * Column types:
+ *   id        - non-empty string or number
+ *   text      - any string or number
+ *   integer   - whole number
+ *   number    - any number
+ *   flag      - 0 or 1 (GTFS booleans such as no_entry)
+ *   amenity   - 0, 1 or 2 (GTFS "unknown", "yes", "no")
+ *   weekday   - 0 or 1 in calendar.json
+ *   exception - 1 (service added) or 2 (service removed) in calendar_dates.json
+ *   yesNo     - "Y" or "N"
+ *   time      - Sheets time ("1899-12-30T20:30:00.000Z") or "HH:MM(:SS)"
+ *   duration  - Sheets duration (offset from 1899-12-30)
+ *   date      - Sheets date, YYYYMMDD or YYYY-MM-DD
+ *   url       - http(s) URL
+ *   timezone  - IANA time zone or one of the abbreviations in agencies.json
+ * Empty strings are allowed for all columns that are not marked as required.
+ */
+
+const WEEKDAY_COLUMNS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+/**
+ * Snapshot files. `key` is the column the entries are keyed by (null if the keys carry no
+ * meaning), `open` files may contain columns that are not listed, and `optional` files may be missing.
+ */
+export const SNAPSHOT_FILES = [
+  {
+    file: 'agencies.json',
+    key: 'agency_id',
+    columns: {
+      agency_id: { type: 'id', required: true },
+      agency_name: { type: 'text', required: true },
+      agency_url: { type: 'url' },
+      agency_timezone: { type: 'timezone', required: true },
+      agency_lang: { type: 'text' },
+      agency_phone: { type: 'text' },
+      agency_fare_url: { type: 'url' },
+      agency_email: { type: 'text' },
+      agency_name_romanized: { type: 'text' },
+      agency_name_brand: { type: 'text' },
+      agency_state: { type: 'text' },
+      agency_logo_url: { type: 'url' }
+    }
+  },
+  {
+    file: 'stops.json',
+    key: 'stop_id',
+    open: true,
+    columns: {
+      stop_name: { type: 'text', required: true },
+      stop_lat: { type: 'number', required: true },
+      stop_lon: { type: 'number', required: true },
+      stop_country: { type: 'text' }
+    }
+  },
+  {
+    file: 'routes.json',
+    key: 'route_id',
+    columns: {
+      route_id: { type: 'id', required: true },
+      agency_id: { type: 'id', required: true },
+      agency_1: { type: 'id' },
+      agency_2: { type: 'id' },
+      agency_3: { type: 'id' },
+      route_short_name: { type: 'text' },
+      route_long_name: { type: 'text' },
+      route_desc: { type: 'text' },
+      route_type: { type: 'integer', required: true },
+      version: { type: 'text' },
+      is_active: { type: 'yesNo' },
+      origin_trip_0: { type: 'text' },
+      destination_trip_0: { type: 'text' },
+      distance: { type: 'number' },
+      emissions: { type: 'number' },
+      classes: { type: 'text' },
+      countries: { type: 'text' },
+      source: { type: 'url' },
+      source_interrail: { type: 'url' },
+      picture: { type: 'url' },
+      emissions_relation: { type: 'text' }
+    }
+  },
+  {
+    file: 'trips.json',
+    key: 'trip_id',
+    columns: {
+      route_id: { type: 'id', required: true },
+      agency_id: { type: 'id', required: true },
+      trip_id: { type: 'id', required: true },
+      trip_origin: { type: 'text' },
+      origin_departure_time: { type: 'time' },
+      trip_headsign: { type: 'text' },
+      destination_arrival_time: { type: 'time' },
+      trip_short_name: { type: 'text' },
+      direction_id: { type: 'integer' },
+      version: { type: 'text' },
+      countries: { type: 'text' },
+      is_active: { type: 'yesNo' },
+      irregularities: { type: 'text' },
+      service_id: { type: 'id', required: true },
+      classes: { type: 'text' },
+      connections: { type: 'text' },
+      catering: { type: 'amenity' },
+      plugs: { type: 'amenity' },
+      wheelchair_accessible: { type: 'amenity' },
+      bikes_allowed: { type: 'amenity' },
+      car_transport: { type: 'amenity' },
+      duration: { type: 'duration' },
+      distance: { type: 'number' },
+      emissions_co2e: { type: 'number' },
+      co2_per_km: { type: 'number' },
+      via: { type: 'text' }
+    }
+  },
+  {
+    file: 'trip_stop.json',
+    key: 'train_stop_id',
+    columns: {
+      train_stop_id: { type: 'id', required: true },
+      trip_id: { type: 'id', required: true },
+      stop_sequence: { type: 'integer', required: true },
+      stop_id: { type: 'id', required: true },
+      arrival_time: { type: 'time' },
+      departure_time: { type: 'time' },
+      no_exit: { type: 'flag' },
+      no_entry: { type: 'flag' },
+      border_control: { type: 'flag' }
+    }
+  },
+  {
+    file: 'calendar.json',
+    key: 'service_id',
+    columns: {
+      service_id: { type: 'id', required: true },
+      ...Object.fromEntries(WEEKDAY_COLUMNS.map(day => [day, { type: 'weekday', required: true }])),
+      start_date: { type: 'date' },
+      end_date: { type: 'date' }
+    }
+  },
+  {
+    file: 'calendar_dates.json',
+    key: 'UID',
+    columns: {
+      UID: { type: 'id', required: true },
+      train_id: { type: 'id' },
+      service_id: { type: 'id' },
+      date: { type: 'date' },
+      date_from: { type: 'date' },
+      date_until: { type: 'date' },
+      exception_type: { type: 'exception', required: true }
+    }
+  },
+  {
+    file: 'classes.json',
+    key: 'class_id',
+    columns: {
+      class_id: { type: 'id', required: true },
+      class_main: { type: 'text', required: true }
+    }
+  },
+  {
+    file: 'translations.json',
+    key: null,
+    columns: {
+      table_name: { type: 'id', required: true },
+      field_name: { type: 'id', required: true },
+      language_code: { type: 'id', required: true },
+      translation: { type: 'text', required: true },
+      record_id: { type: 'id', required: true },
+      field_value: { type: 'text' }
+    }
+  },
+  // Views computed in the spreadsheet; only their keys and references are checked
+  { file: 'view_ontd_cities.json', key: 'stop_id', open: true, optional: true, columns: {} },
+  { file: 'view_ontd_list.json', key: 'route_id', open: true, optional: true, columns: {} },
+  { file: 'view_ontd_map.json', key: 'route_id', open: true, optional: true, columns: {} },
+  { file: 'view_ontd_details.json', key: 'route_id', open: true, optional: true, columns: {} }
+];
+
+/**
+ * References between the snapshot files: the values of `column` in `file` must be keys of `target`.
+ * Trains run jointly by several operators list all of them in agency_id, e.g. "CFR/MÁV",
+ * so agency references are split by `separator`. Empty values are not checked; use
+ * `required` columns for that.
+ */
+export const REFERENCES = [
+  { file: 'trip_stop.json', column: 'trip_id', target: 'trips.json' },
+  { file: 'trip_stop.json', column: 'stop_id', target: 'stops.json' },
+  { file: 'trips.json', column: 'route_id', target: 'routes.json' },
+  { file: 'trips.json', column: 'agency_id', target: 'agencies.json', separator: '/' },
+  { file: 'trips.json', column: 'service_id', target: 'calendar.json' },
+  { file: 'routes.json', column: 'agency_id', target: 'agencies.json', separator: '/' },
+  { file: 'routes.json', column: 'agency_1', target: 'agencies.json' },
+  { file: 'routes.json', column: 'agency_2', target: 'agencies.json' },
+  { file: 'routes.json', column: 'agency_3', target: 'agencies.json' },
+  { file: 'calendar_dates.json', column: 'train_id', target: 'trips.json' },
+  { file: 'calendar_dates.json', column: 'service_id', target: 'calendar.json' },
+  { file: 'view_ontd_list.json', column: 'route_id', target: 'routes.json' },
+  { file: 'view_ontd_map.json', column: 'route_id', target: 'routes.json' },
+  { file: 'view_ontd_map.json', column: 'agency_id', target: 'agencies.json', separator: '/' },
+  { file: 'view_ontd_details.json', column: 'route_id', target: 'routes.json' },
+  { file: 'view_ontd_details.json', column: 'agency_id', target: 'agencies.json', separator: '/' }
+];
+
+/**
+ * Get the description of a snapshot file
+ * @param {string} file - File name, e.g. "trips.json"
+ * @returns {Object|undefined} Entry of SNAPSHOT_FILES
+ */
+export function getFileSchema(file) {
+  return SNAPSHOT_FILES.find(schema => schema.file === file);
+}
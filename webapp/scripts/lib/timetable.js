@@ -0,0 +1,162 @@
+/**
+ * Normalization of the Google Sheets time values of trips.json and trip_stop.json into
+ * timetable.json, used by scripts/normalize-timetable.js and by the query API for snapshots
+ * that weren't normalized yet
+ */
+
+import { getAgencyTimezone, getCountryTimezone, getStandardOffset } from './timezones.js';
+import { getStopTimeline, parseTime, parseSheetsDuration, formatGtfsTime } from '../../src/utils/time.js';
+
+const MINUTES_PER_DAY = 24 * 60;
+
+// Trip fields passed through unchanged; other columns (e.g. from merge tools) are dropped
+const TRIP_FIELDS = [
+  'route_id', 'agency_id', 'trip_id', 'trip_origin', 'trip_headsign', 'trip_short_name',
+  'direction_id', 'version', 'countries', 'is_active', 'irregularities', 'service_id',
+  'classes', 'connections', 'catering', 'plugs', 'wheelchair_accessible', 'bikes_allowed',
+  'car_transport', 'distance', 'emissions_co2e', 'co2_per_km', 'via'
+];
+
+const TRIP_STOP_FIELDS = [
+  'train_stop_id', 'trip_id', 'stop_sequence', 'stop_id', 'no_exit', 'no_entry', 'border_control'
+];
+
+/**
+ * Copy the listed fields of an object
+ */
+function pick(obj, fields) {
+  const result = {};
+  fields.forEach(field => {
+    if (field in obj) {
+      result[field] = obj[field];
+    }
+  });
+  return result;
+}
+
+/**
+ * Normalize the stops of one trip
+ * @param {Array} tripStops - Raw trip_stop entries of the trip sorted by stop_sequence
+ * @param {Object} stops - stops.json entries (may be empty)
+ * @param {string|null} tripTimezone - Time zone of the operating agency
+ * @returns {Array} Normalized trip_stop entries
+ */
+function normalizeTripStops(tripStops, stops, tripTimezone) {
+  const timezones = tripStops.map(ts => (stops[ts.stop_id] && getCountryTimezone(stops[ts.stop_id].stop_country)) || tripTimezone);
+
+  // Stops abroad list local times. They are compared in the time zone of the first stop, as
+  // export-gtfs.js does in the agency's, so a train entering an earlier time zone doesn't seem
+  // to pass midnight; the output keeps the local times.
+  const referenceOffset = getStandardOffset(timezones[0]);
+  const shifts = timezones.map(timezone => (timezone ? referenceOffset - getStandardOffset(timezone) : 0));
+  const timeline = getStopTimeline(tripStops, shifts);
+  const toLocal = (minutes, shift) => (minutes === null ? null : minutes - shift);
+
+  return tripStops.map((ts, index) => {
+    const arrival = toLocal(timeline[index].arrival, shifts[index]);
+    const departure = toLocal(timeline[index].departure, shifts[index]);
+    const first = arrival ?? departure;
+
+    return {
+      ...pick(ts, TRIP_STOP_FIELDS),
+      arrival_time: formatGtfsTime(arrival),
+      departure_time: formatGtfsTime(departure),
+      day_offset: first === null ? null : Math.floor(first / MINUTES_PER_DAY),
+      timezone: timezones[index]
+    };
+  });
+}
+
+/**
+ * Normalize a trip using its already normalized stops
+ * @param {Object} trip - Raw trip from trips.json
+ * @param {Array} normalizedStops - Normalized stops of the trip
+ * @param {string|null} timezone - Time zone of the operating agency
+ * @returns {Object} Normalized trip
+ */
+function normalizeTrip(trip, normalizedStops, timezone) {
+  const departure = parseTime(trip.origin_departure_time);
+  let duration = parseSheetsDuration(trip.duration);
+
+  // The last stop knows on which day the train arrives; otherwise fall back to the duration
+  let arrival = null;
+  const lastStop = normalizedStops[normalizedStops.length - 1];
+  if (lastStop && lastStop.arrival_time) {
+    arrival = parseTime(lastStop.arrival_time);
+  } else if (departure !== null && duration !== null) {
+    arrival = departure + duration;
+  } else {
+    arrival = parseTime(trip.destination_arrival_time);
+    if (arrival !== null && departure !== null && arrival < departure) {
+      arrival += MINUTES_PER_DAY;
+    }
+  }
+
+  if (duration === null && departure !== null && arrival !== null) {
+    duration = arrival - departure;
+  }
+
+  return {
+    ...pick(trip, TRIP_FIELDS),
+    origin_departure_time: formatGtfsTime(departure),
+    destination_arrival_time: formatGtfsTime(arrival),
+    duration_minutes: duration,
+    timezone
+  };
+}
+
+/**
+ * Check whether a trip stop has a stop_sequence; stops without one can't be placed in
+ * their trip (sorting would treat them as the first stop), so they are left out
+ * @param {Object} ts - trip_stop.json entry
+ * @returns {boolean}
+ */
+export function hasStopSequence(ts) {
+  return ts.stop_sequence !== '' && ts.stop_sequence !== null && ts.stop_sequence !== undefined;
+}
+
+/**
+ * Normalize the trips and trip stops of a snapshot
+ * @param {Object} trips - trips.json entries
+ * @param {Object} tripStops - trip_stop.json entries
+ * @param {Object} agencies - agencies.json entries
+ * @param {Object} stops - stops.json entries (may be empty)
+ * @returns {Object} { trips, trip_stops } as written to timetable.json
+ */
+export function normalizeTimetable(trips, tripStops, agencies, stops) {
+  const stopsByTrip = new Map();
+  Object.values(tripStops).filter(hasStopSequence).forEach(ts => {
+    if (!stopsByTrip.has(ts.trip_id)) {
+      stopsByTrip.set(ts.trip_id, []);
+    }
+    stopsByTrip.get(ts.trip_id).push(ts);
+  });
+
+  const normalizedTrips = {};
+  const normalizedTripStops = {};
+
+  Object.entries(trips).forEach(([tripId, trip]) => {
+    // Trips run by several operators ("CFR/MÁV") use the time zone of the first one
+    const timezone = getAgencyTimezone(agencies[String(trip.agency_id).split('/')[0].trim()]);
+    const sortedStops = (stopsByTrip.get(tripId) || [])
+      .slice()
+      .sort((a, b) => a.stop_sequence - b.stop_sequence);
+
+    const normalizedStops = normalizeTripStops(sortedStops, stops, timezone);
+    if (normalizedStops.length > 0) {
+      normalizedTripStops[tripId] = normalizedStops;
+    }
+    normalizedTrips[tripId] = normalizeTrip(trip, normalizedStops, timezone);
+  });
+
+  // Keep trip stops whose trip is missing from trips.json, they are still valid timetable rows
+  stopsByTrip.forEach((tripStopsOfTrip, tripId) => {
+    if (trips[tripId]) {
+      return;
+    }
+    const sortedStops = tripStopsOfTrip.slice().sort((a, b) => a.stop_sequence - b.stop_sequence);
+    normalizedTripStops[tripId] = normalizeTripStops(sortedStops, stops, null);
+  });
+
+  return { trips: normalizedTrips, trip_stops: normalizedTripStops };
+}
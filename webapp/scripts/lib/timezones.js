@@ -0,0 +1,134 @@
+/**
+ * Time zone lookup for agencies and stops.
+ * agencies.json uses abbreviations like "CET" next to IANA names, so they are resolved
+ * to the IANA zone of the agency's (or stop's) country where the standard offsets agree.
+ */
+
+// IANA time zone and standard UTC offset (minutes) per ISO country code used in the data
+const COUNTRY_TIMEZONES = {
+  AL: ['Europe/Tirane', 60],
+  AT: ['Europe/Vienna', 60],
+  BA: ['Europe/Sarajevo', 60],
+  BE: ['Europe/Brussels', 60],
+  BG: ['Europe/Sofia', 120],
+  BY: ['Europe/Minsk', 180],
+  CH: ['Europe/Zurich', 60],
+  CZ: ['Europe/Prague', 60],
+  DE: ['Europe/Berlin', 60],
+  DK: ['Europe/Copenhagen', 60],
+  EE: ['Europe/Tallinn', 120],
+  ES: ['Europe/Madrid', 60],
+  FI: ['Europe/Helsinki', 120],
+  FR: ['Europe/Paris', 60],
+  GB: ['Europe/London', 0],
+  GR: ['Europe/Athens', 120],
+  HR: ['Europe/Zagreb', 60],
+  HU: ['Europe/Budapest', 60],
+  IE: ['Europe/Dublin', 0],
+  IT: ['Europe/Rome', 60],
+  LI: ['Europe/Vaduz', 60],
+  LT: ['Europe/Vilnius', 120],
+  LU: ['Europe/Luxembourg', 60],
+  LV: ['Europe/Riga', 120],
+  MD: ['Europe/Chisinau', 120],
+  ME: ['Europe/Podgorica', 60],
+  MK: ['Europe/Skopje', 60],
+  NL: ['Europe/Amsterdam', 60],
+  NO: ['Europe/Oslo', 60],
+  PL: ['Europe/Warsaw', 60],
+  PT: ['Europe/Lisbon', 0],
+  RO: ['Europe/Bucharest', 120],
+  RS: ['Europe/Belgrade', 60],
+  RU: ['Europe/Moscow', 180],
+  SE: ['Europe/Stockholm', 60],
+  SI: ['Europe/Ljubljana', 60],
+  SK: ['Europe/Bratislava', 60],
+  TR: ['Europe/Istanbul', 180],
+  UA: ['Europe/Kyiv', 120],
+  UK: ['Europe/London', 0]
+};
+
+// Standard offset and fallback IANA zone for the abbreviations found in agencies.json
+const ABBREVIATIONS = {
+  WET: [0, 'Europe/Lisbon'],
+  GMT: [0, 'Europe/London'],
+  CET: [60, 'Europe/Berlin'],
+  EET: [120, 'Europe/Bucharest'],
+  MSK: [180, 'Europe/Moscow']
+};
+
+/**
+ * Get the IANA time zone of a country
+ * @param {string} country - ISO country code (e.g. "AT")
+ * @returns {string|null} IANA time zone, or null if unknown
+ */
+export function getCountryTimezone(country) {
+  const entry = COUNTRY_TIMEZONES[(country || '').trim().toUpperCase()];
+  return entry ? entry[0] : null;
+}
+
+/**
+ * Resolve the time zone of an agency
+ * @param {Object} agency - Agency from agencies.json
+ * @returns {string|null} IANA time zone, or null if unknown
+ */
+export function getAgencyTimezone(agency) {
+  if (!agency) {
+    return null;
+  }
+  const timezone = (agency.agency_timezone || '').trim();
+  if (timezone.includes('/')) {
+    return timezone;
+  }
+
+  const abbreviation = ABBREVIATIONS[timezone.toUpperCase()];
+  const country = COUNTRY_TIMEZONES[(agency.agency_state || '').trim().toUpperCase()];
+  if (!abbreviation) {
+    return country ? country[0] : null;
+  }
+  // Prefer the agency's own country if it observes the same standard time
+  if (country && country[1] === abbreviation[0]) {
+    return country[0];
+  }
+  return abbreviation[1];
+}
+
+/**
+ * Check whether a time zone value from agencies.json can be resolved
+ * @param {string} timezone - IANA time zone or abbreviation, e.g. "CET"
+ * @returns {boolean} True for valid IANA zones and known abbreviations
+ */
+export function isKnownTimezone(timezone) {
+  const value = (timezone || '').trim();
+  if (ABBREVIATIONS[value.toUpperCase()]) {
+    return true;
+  }
+  try {
+    new Intl.DateTimeFormat('en', { timeZone: value });
+    return value.includes('/');
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Get the standard (winter) UTC offset of a time zone
+ * @param {string|null} timezone - IANA time zone
+ * @returns {number} Offset in minutes east of UTC, 0 if unknown
+ */
+export function getStandardOffset(timezone) {
+  if (!timezone) {
+    return 0;
+  }
+  try {
+    const parts = new Intl.DateTimeFormat('en', { timeZone: timezone, timeZoneName: 'longOffset' })
+      .formatToParts(new Date(Date.UTC(2025, 0, 15)));
+    const match = parts.find(part => part.type === 'timeZoneName').value.match(/GMT([+-])(\d{2}):(\d{2})/);
+    if (!match) {
+      return 0;
+    }
+    return (match[1] === '-' ? -1 : 1) * (parseInt(match[2], 10) * 60 + parseInt(match[3], 10));
+  } catch {
+    return 0;
+  }
+}
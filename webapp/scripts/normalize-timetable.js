@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+/**
+ * Script to normalize the Google Sheets time values of trips.json and trip_stop.json
+ * This runs during Docker build time to generate timetable.json
+ *
+ * Sheets exports times as "1899-12-30T20:30:00.000Z" strings, which lose the information
+ * whether a stop is reached after midnight. The output uses GTFS-style times instead
+ * ("25:10:00" is 01:10 on the day after departure), day offsets per stop, durations in
+ * minutes and the IANA time zones of the agencies and stops.
+ *
+ * Trip stops are written per trip in stop_sequence order, so the webapp can look up the
+ * stops of a trip without scanning all of them.
+ *
+ * Usage: node scripts/normalize-timetable.js [--data <dir>]
+ *   --data       Snapshot directory (default: public/data in Docker, else data/latest)
+ */
+
+import { resolve } from 'path';
+import { parseArgs } from 'util';
+import { getDataDir, readDataFile, writeDataFile } from './lib/data.js';
+import { hasStopSequence, normalizeTimetable } from './lib/timetable.js';
+
+// Main execution
+try {
+  const { values } = parseArgs({
+    options: {
+      data: { type: 'string' }
+    }
+  });
+  const dataDir = values.data ? resolve(values.data) : getDataDir();
+  console.log(`Reading snapshot from ${dataDir}...`);
+
+  const trips = readDataFile(dataDir, 'trips.json');
+  const tripStops = readDataFile(dataDir, 'trip_stop.json');
+  const agencies = readDataFile(dataDir, 'agencies.json');
+  const stops = readDataFile(dataDir, 'stops.json', { optional: true }) || {};
+
+  console.log(`Loaded ${Object.keys(trips).length} trips and ${Object.keys(tripStops).length} trip stops`);
+
+  const skippedCount = Object.values(tripStops).filter(ts => !hasStopSequence(ts)).length;
+  if (skippedCount > 0) {
+    console.warn(`Skipping ${skippedCount} trip stops without stop_sequence`);
+  }
+
+  const timetable = normalizeTimetable(trips, tripStops, agencies, stops);
+
+  const tripStopCount = Object.values(timetable.trip_stops).reduce((sum, list) => sum + list.length, 0);
+  console.log(`Normalized ${Object.keys(timetable.trips).length} trips and ${tripStopCount} trip stops`);
+
+  writeDataFile(dataDir, 'timetable.json', timetable);
+
+  console.log('Done!');
+} catch (error) {
+  console.error('Error normalizing timetable:', error);
+  process.exit(1);
+}
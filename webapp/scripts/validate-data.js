@@ -0,0 +1,334 @@
+#!/usr/bin/env node
+/**
+ * Script to validate a data snapshot before it is built into the webapp
+ * This runs at the start of the Docker build, so broken snapshots fail the build early
+ *
+ * Every file is checked against the description in lib/schema.js: missing files and
+ * columns, values of the wrong type, Sheets error values such as "#REF!" and "#N/A", and
+ * references between the files (e.g. trip_stop.stop_id must exist in stops.json).
+ * Problems the build can live with, like unexpected columns or placeholder rows, are
+ * reported as warnings.
+ *
+ * Usage: node scripts/validate-data.js [data directory] [--strict | --warn-only]
+ *   data directory  Snapshot to check (default: public/data in Docker, else data/latest)
+ *   --strict        Also fail on warnings
+ *   --warn-only     Report errors without failing, to review a snapshot with known problems
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import { join, resolve } from 'path';
+import { parseArgs } from 'util';
+import { getDataDir } from './lib/data.js';
+import { SNAPSHOT_FILES, REFERENCES, getFileSchema } from './lib/schema.js';
+import { isKnownTimezone } from './lib/timezones.js';
+import { parseTime, parseSheetsDuration } from '../src/utils/time.js';
+import { parseServiceDate } from '../src/utils/serviceCalendar.js';
+
+const SHEET_ERROR = /^#(REF!|N\/A|VALUE!|DIV\/0!|NAME\?|NUM!|NULL!|ERROR!)$/;
+const MAX_EXAMPLES = 5;
+
+/**
+ * Convert a value to a number; empty strings and other types are NaN
+ */
+function toNumber(value) {
+  if (typeof value === 'number') {
+    return value;
+  }
+  return typeof value === 'string' && value.trim() !== '' ? Number(value) : NaN;
+}
+
+// Checks for non-empty values per column type, see lib/schema.js
+const TYPE_CHECKS = {
+  id: value => typeof value === 'number' || (typeof value === 'string' && value.trim() !== ''),
+  text: value => typeof value === 'string' || typeof value === 'number',
+  integer: value => Number.isInteger(toNumber(value)),
+  number: value => Number.isFinite(toNumber(value)),
+  flag: value => [0, 1].includes(toNumber(value)),
+  amenity: value => [0, 1, 2].includes(toNumber(value)),
+  weekday: value => [0, 1].includes(toNumber(value)),
+  exception: value => [1, 2].includes(toNumber(value)),
+  yesNo: value => value === 'Y' || value === 'N',
+  time: value => typeof value === 'string' && parseTime(value) !== null,
+  duration: value => parseSheetsDuration(value) !== null,
+  date: value => parseServiceDate(value) !== null,
+  url: value => typeof value === 'string' && /^https?:\/\/\S+$/.test(value.trim()),
+  timezone: value => isKnownTimezone(value)
+};
+
+function isEmpty(value) {
+  return value === '' || value === null || value === undefined;
+}
+
+/**
+ * Collects issues, merging repeated issues of the same kind into one line with examples
+ */
+function createReport() {
+  const issues = new Map();
+  const rowCounts = new Map();
+
+  return {
+    add(severity, file, message, example = null) {
+      const id = `${file}\n${severity}\n${message}`;
+      if (!issues.has(id)) {
+        issues.set(id, { severity, file, message, count: 0, examples: [] });
+      }
+      const issue = issues.get(id);
+      issue.count++;
+      if (example !== null && issue.examples.length < MAX_EXAMPLES) {
+        issue.examples.push(example);
+      }
+    },
+    setRowCount(file, count) {
+      rowCounts.set(file, count);
+    },
+    issues: () => [...issues.values()],
+    rowCount: (file) => rowCounts.get(file)
+  };
+}
+
+/**
+ * Read a snapshot file, reporting missing or unreadable files
+ * @returns {Object|null} Parsed entries, or null if the file can't be used
+ */
+function loadFile(dataDir, schema, report) {
+  const path = join(dataDir, schema.file);
+  if (!existsSync(path)) {
+    // scripts/get_snapshot.py in the repository root fetches every table of the spreadsheet
+    report.add(schema.optional ? 'warning' : 'error', schema.file, 'file is missing (fetch it with scripts/get_snapshot.py)');
+    return null;
+  }
+
+  let data;
+  try {
+    data = JSON.parse(readFileSync(path, 'utf-8'));
+  } catch (err) {
+    report.add('error', schema.file, `file is not valid JSON: ${err.message}`);
+    return null;
+  }
+  if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+    report.add('error', schema.file, 'file does not contain an object of rows');
+    return null;
+  }
+  report.setRowCount(schema.file, Object.keys(data).length);
+  return data;
+}
+
+/**
+ * Check whether a row carries no data at all in its required columns, like the
+ * "-- 2024 --" separator rows of calendar.json
+ */
+function isPlaceholderRow(row, schema) {
+  const required = Object.entries(schema.columns)
+    .filter(([column, spec]) => spec.required && column !== schema.key)
+    .map(([column]) => column);
+  return required.length > 0 && required.every(column => isEmpty(row[column]));
+}
+
+/**
+ * Check the keys, columns and values of one file
+ */
+function validateRows(data, schema, report) {
+  const referencingColumns = new Set(
+    REFERENCES.filter(reference => reference.file === schema.file).map(reference => reference.column)
+  );
+
+  Object.entries(data).forEach(([key, row]) => {
+    if (row === null || typeof row !== 'object') {
+      report.add('error', schema.file, 'row is not an object', JSON.stringify(key));
+      return;
+    }
+
+    if (schema.key) {
+      if (SHEET_ERROR.test(key)) {
+        report.add('error', schema.file, `row key is the sheet error ${key}`, JSON.stringify(key));
+      } else if (schema.key in row && String(row[schema.key]).trim() !== key.trim()) {
+        report.add('error', schema.file, `row key does not match ${schema.key}`, `${JSON.stringify(key)} / ${JSON.stringify(row[schema.key])}`);
+      }
+    }
+
+    if (isPlaceholderRow(row, schema)) {
+      report.add('warning', schema.file, 'placeholder row without data', JSON.stringify(key));
+      return;
+    }
+
+    if (!schema.open) {
+      Object.keys(row)
+        .filter(column => !(column in schema.columns))
+        .forEach(column => report.add('warning', schema.file, `unexpected column "${column}"`, JSON.stringify(key)));
+    }
+
+    Object.entries(schema.columns).forEach(([column, spec]) => {
+      if (!(column in row)) {
+        report.add(spec.required ? 'error' : 'warning', schema.file, `column "${column}" is missing`, JSON.stringify(key));
+        return;
+      }
+
+      const value = row[column];
+      if (typeof value === 'string' && SHEET_ERROR.test(value.trim())) {
+        const isIdentifier = spec.required || column === schema.key || referencingColumns.has(column);
+        report.add(isIdentifier ? 'error' : 'warning', schema.file, `sheet error ${value.trim()} in column "${column}"`, JSON.stringify(key));
+      } else if (isEmpty(value)) {
+        if (spec.required) {
+          report.add('error', schema.file, `missing value in required column "${column}"`, JSON.stringify(key));
+        }
+      } else if (!TYPE_CHECKS[spec.type](value)) {
+        report.add('error', schema.file, `invalid ${spec.type} in column "${column}"`, `${JSON.stringify(key)}: ${JSON.stringify(value)}`);
+      }
+    });
+
+    // Sheet errors in columns of open files are not covered by the column checks above
+    if (schema.open) {
+      Object.entries(row)
+        .filter(([column, value]) => !(column in schema.columns) && typeof value === 'string' && SHEET_ERROR.test(value.trim()))
+        .forEach(([column, value]) => {
+          const isIdentifier = column === schema.key || referencingColumns.has(column);
+          report.add(isIdentifier ? 'error' : 'warning', schema.file, `sheet error ${value.trim()} in column "${column}"`, JSON.stringify(key));
+        });
+    }
+  });
+}
+
+/**
+ * Check that values referencing another file exist there
+ */
+function validateReferences(files, report) {
+  REFERENCES.forEach(({ file, column, target, separator }) => {
+    const data = files.get(file);
+    if (!data) {
+      return;
+    }
+    const targetData = files.get(target);
+    if (!targetData) {
+      report.add('warning', file, `${column} not checked, ${target} is not available`);
+      return;
+    }
+
+    const targetSchema = getFileSchema(target);
+    const targetKeys = new Set(Object.keys(targetData).map(key => key.trim()));
+    Object.values(targetData).forEach(row => {
+      if (row && !isEmpty(row[targetSchema.key])) {
+        targetKeys.add(String(row[targetSchema.key]).trim());
+      }
+    });
+
+    Object.entries(data).forEach(([key, row]) => {
+      const value = row && row[column];
+      if (isEmpty(value) || (typeof value === 'string' && SHEET_ERROR.test(value.trim()))) {
+        return;
+      }
+      const ids = separator ? String(value).split(separator) : [String(value)];
+      ids.filter(id => !targetKeys.has(id.trim())).forEach(id => {
+        report.add('error', file, `${column} not found in ${target}`, `${JSON.stringify(key)}: ${JSON.stringify(id.trim())}`);
+      });
+    });
+  });
+}
+
+/**
+ * Check that trips have a usable sequence of stops
+ */
+function validateTripStops(files, report) {
+  const trips = files.get('trips.json');
+  const tripStops = files.get('trip_stop.json');
+  if (!trips || !tripStops) {
+    return;
+  }
+
+  const sequencesByTrip = new Map();
+  Object.entries(tripStops).forEach(([key, ts]) => {
+    if (!ts || isEmpty(ts.trip_id) || isEmpty(ts.stop_sequence)) {
+      return;
+    }
+    if (!sequencesByTrip.has(ts.trip_id)) {
+      sequencesByTrip.set(ts.trip_id, new Set());
+    }
+    const sequences = sequencesByTrip.get(ts.trip_id);
+    if (sequences.has(ts.stop_sequence)) {
+      report.add('error', 'trip_stop.json', 'stop_sequence used twice within a trip', JSON.stringify(key));
+    }
+    sequences.add(ts.stop_sequence);
+  });
+
+  Object.keys(trips).forEach(tripId => {
+    const count = sequencesByTrip.get(tripId)?.size ?? 0;
+    if (count < 2) {
+      report.add('warning', 'trips.json', count === 0 ? 'trip has no stops' : 'trip has only one stop', JSON.stringify(tripId));
+    }
+  });
+}
+
+/**
+ * Print the issues grouped by file
+ */
+function printReport(report, dataDir) {
+  const issues = report.issues();
+  console.log(`Validating snapshot in ${dataDir}\n`);
+
+  SNAPSHOT_FILES.forEach(({ file }) => {
+    const fileIssues = issues
+      .filter(issue => issue.file === file)
+      .sort((a, b) => (a.severity === b.severity ? 0 : a.severity === 'error' ? -1 : 1));
+    const rows = report.rowCount(file);
+    const header = rows === undefined ? file : `${file} (${rows} rows)`;
+
+    if (fileIssues.length === 0) {
+      console.log(`${header}: OK`);
+      return;
+    }
+    console.log(header);
+    fileIssues.forEach(issue => {
+      const label = issue.severity === 'error' ? 'ERROR' : 'WARN ';
+      const count = issue.count > 1 ? ` (${issue.count}x)` : '';
+      console.log(`  ${label} ${issue.message}${count}`);
+      if (issue.examples.length > 0) {
+        const more = issue.count > issue.examples.length ? ', ...' : '';
+        console.log(`         e.g. ${issue.examples.join(', ')}${more}`);
+      }
+    });
+  });
+
+  const errors = issues.filter(issue => issue.severity === 'error').reduce((sum, issue) => sum + issue.count, 0);
+  const warnings = issues.filter(issue => issue.severity === 'warning').reduce((sum, issue) => sum + issue.count, 0);
+  console.log(`\n${errors} errors, ${warnings} warnings`);
+  return { errors, warnings };
+}
+
+// Main execution
+try {
+  const { values, positionals } = parseArgs({
+    options: {
+      strict: { type: 'boolean', default: false },
+      'warn-only': { type: 'boolean', default: false }
+    },
+    allowPositionals: true
+  });
+  if (values.strict && values['warn-only']) {
+    console.error('--strict and --warn-only cannot be combined');
+    process.exit(1);
+  }
+  const dataDir = positionals[0] ? resolve(positionals[0]) : getDataDir();
+
+  const report = createReport();
+  const files = new Map();
+  SNAPSHOT_FILES.forEach(schema => {
+    const data = loadFile(dataDir, schema, report);
+    if (data) {
+      validateRows(data, schema, report);
+      files.set(schema.file, data);
+    }
+  });
+  validateReferences(files, report);
+  validateTripStops(files, report);
+
+  const { errors, warnings } = printReport(report, dataDir);
+  if (values['warn-only']) {
+    if (errors > 0) {
+      console.log('Not failing because of --warn-only');
+    }
+  } else if (errors > 0 || (values.strict && warnings > 0)) {
+    process.exit(1);
+  }
+} catch (error) {
+  console.error('Error validating data:', error);
+  process.exit(1);
+}
@@ -0,0 +1,348 @@
+/**
+ * Request handling of the query API: JSON endpoints for the stations, trips, journeys,
+ * routes and agencies of a snapshot, with pagination and CORS. Stations, trips, routes
+ * and agencies are returned in the shape of the data files, so the webapp's documentation
+ * of station-groups.json, timetable.json, routes.json and agencies.json applies.
+ */
+
+import { searchStationGroups } from '../src/utils/searchInStationGroups.js';
+import { resolveGroupKeys } from '../src/utils/stationGroups.js';
+import { findJourneys, getStopIdsOfGroups, getTripIdsAtStops } from '../src/utils/journeys.js';
+import { tripRunsOn, parseServiceDate } from '../src/utils/serviceCalendar.js';
+import { getMainAgencyId, getTripAgencyIds } from '../src/utils/agencies.js';
+import { getTripCountries } from '../src/utils/countries.js';
+import { getRouteAgencies } from '../src/utils/routes.js';
+import { formatGtfsTime } from '../src/utils/time.js';
+
+export const DEFAULT_LIMIT = 50;
+export const MAX_LIMIT = 500;
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type'
+};
+
+// Responses only change with the snapshot, which is refreshed at most hourly like the webapp's data
+const CACHE_CONTROL = 'public, max-age=3600';
+
+/**
+ * Create an error that is answered with the given HTTP status
+ */
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Read a parameter that may be repeated or comma-separated, e.g. ?station=a&station=b or ?station=a,b
+ * @returns {Array} Values, empty if the parameter is missing
+ */
+function getListParam(query, name) {
+  return query.getAll(name)
+    .flatMap(value => value.split(','))
+    .map(value => value.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Read an integer parameter
+ * @returns {number} Value, or the default if the parameter is missing
+ */
+function getIntegerParam(query, name, defaultValue, min, max = Infinity) {
+  const value = query.get(name);
+  if (value === null || value === '') {
+    return defaultValue;
+  }
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw httpError(400, `${name} must be an integer from ${min}${max !== Infinity ? ` to ${max}` : ''}`);
+  }
+  return number;
+}
+
+/**
+ * Read a boolean parameter such as ?grouping=false
+ */
+function getBooleanParam(query, name, defaultValue) {
+  const value = query.get(name);
+  if (value === null || value === '') {
+    return defaultValue;
+  }
+  if (value !== 'true' && value !== 'false') {
+    throw httpError(400, `${name} must be true or false`);
+  }
+  return value === 'true';
+}
+
+/**
+ * Read the date parameter as YYYYMMDD number
+ * @returns {number|null} Date, or null if no date was given
+ */
+function getDateParam(query) {
+  const value = query.get('date');
+  if (value === null || value === '') {
+    return null;
+  }
+  const date = parseServiceDate(value);
+  if (date === null) {
+    throw httpError(400, 'date must be a date such as 2025-06-30 or 20250630');
+  }
+  return date;
+}
+
+/**
+ * Page through a list with the limit and offset parameters
+ * @returns {Object} { total, limit, offset, items }
+ */
+function paginate(items, query) {
+  const limit = getIntegerParam(query, 'limit', DEFAULT_LIMIT, 1, MAX_LIMIT);
+  const offset = getIntegerParam(query, 'offset', 0, 0);
+  return { total: items.length, limit, offset, items: items.slice(offset, offset + limit) };
+}
+
+/**
+ * Resolve station parameters (group IDs, or names like in old webapp links) to station groups
+ */
+function resolveStations(snapshot, keys, name) {
+  const groups = resolveGroupKeys(keys, [...snapshot.stationsById.values()]);
+  if (groups.length < keys.length) {
+    const found = new Set(groups.flatMap(group => [group.id, group.groupName]));
+    throw httpError(404, `Unknown ${name}: ${keys.filter(key => !found.has(key)).join(', ')}`);
+  }
+  return groups;
+}
+
+/**
+ * Trips running on the date parameter, or all trips without one; trips with an unknown
+ * schedule are left out for a date, like in the webapp
+ */
+function getRunningTrips(snapshot, query) {
+  const date = getDateParam(query);
+  const trips = Object.values(snapshot.trips);
+  return date === null ? trips : trips.filter(trip => tripRunsOn(snapshot.serviceCalendar, trip, date) === true);
+}
+
+function getIndex(snapshot) {
+  return {
+    snapshot: {
+      stations: snapshot.stationGroups.length,
+      trips: Object.keys(snapshot.trips).length,
+      routes: Object.keys(snapshot.routes).length,
+      agencies: Object.keys(snapshot.agencies).length
+    },
+    endpoints: [
+      'GET /api/stations?q=&grouping=true|false&country=',
+      'GET /api/stations/:id',
+      'GET /api/trips?station=&stop=&operator=&country=&date=',
+      'GET /api/trips/:tripId',
+      'GET /api/journeys?from=&to=&date=',
+      'GET /api/routes?operator=&active=true|false',
+      'GET /api/routes/:routeId',
+      'GET /api/agencies',
+      'GET /api/agencies/:agencyId'
+    ],
+    pagination: { limit: DEFAULT_LIMIT, maxLimit: MAX_LIMIT, offset: 0 }
+  };
+}
+
+function listStations(snapshot, query) {
+  const groups = getBooleanParam(query, 'grouping', true) ? snapshot.stationGroups : snapshot.stations;
+  const searchTerm = query.get('q')?.trim() ?? '';
+  const countries = getListParam(query, 'country').map(code => code.toUpperCase());
+
+  // Without a search term all stations are listed by name
+  let matches = searchTerm
+    ? searchStationGroups(groups, searchTerm, Infinity)
+    : [...groups].sort((a, b) => a.displayName.localeCompare(b.displayName));
+  if (countries.length > 0) {
+    matches = matches.filter(group => countries.includes(group.stop_country));
+  }
+  return paginate(matches, query);
+}
+
+function getStation(snapshot, query, id) {
+  const [group] = resolveStations(snapshot, [id], 'station');
+  const tripIds = getTripIdsAtStops(snapshot.indexes.stop_trips, getStopIdsOfGroups([group], snapshot.indexes.group_stops));
+  return { ...group, trip_ids: [...tripIds] };
+}
+
+function listTrips(snapshot, query) {
+  const stationKeys = getListParam(query, 'station');
+  const stopIds = getListParam(query, 'stop');
+  const operators = getListParam(query, 'operator');
+  const countries = getListParam(query, 'country').map(code => code.toUpperCase());
+
+  // Trips calling at any of the given stations or stops, looked up in the stop -> trips index
+  let tripIds = null;
+  if (stationKeys.length > 0 || stopIds.length > 0) {
+    const groups = resolveStations(snapshot, stationKeys, 'station');
+    const allStopIds = new Set([...getStopIdsOfGroups(groups, snapshot.indexes.group_stops), ...stopIds]);
+    tripIds = getTripIdsAtStops(snapshot.indexes.stop_trips, allStopIds);
+  }
+
+  const trips = getRunningTrips(snapshot, query)
+    .filter(trip => tripIds === null || tripIds.has(trip.trip_id))
+    .filter(trip => operators.length === 0 || getTripAgencyIds(trip).some(id => operators.includes(id)))
+    .filter(trip => countries.every(code => getTripCountries(trip).includes(code)))
+    .sort((a, b) => a.trip_id.localeCompare(b.trip_id));
+  return paginate(trips, query);
+}
+
+function getTrip(snapshot, query, tripId) {
+  // The files are plain objects, so IDs such as "constructor" must not reach their prototype
+  const trip = Object.hasOwn(snapshot.trips, tripId) ? snapshot.trips[tripId] : null;
+  if (!trip) {
+    throw httpError(404, `Unknown trip: ${tripId}`);
+  }
+  return { ...trip, stops: (Object.hasOwn(snapshot.tripStops, tripId) && snapshot.tripStops[tripId]) || [] };
+}
+
+function listJourneys(snapshot, query) {
+  const fromKeys = getListParam(query, 'from');
+  const toKeys = getListParam(query, 'to');
+  if (fromKeys.length === 0 || toKeys.length === 0) {
+    throw httpError(400, 'from and to are required, e.g. ?from=Wien Hbf&to=Venezia Santa Lucia');
+  }
+  const fromStopIds = getStopIdsOfGroups(resolveStations(snapshot, fromKeys, 'from station'), snapshot.indexes.group_stops);
+  const toStopIds = getStopIdsOfGroups(resolveStations(snapshot, toKeys, 'to station'), snapshot.indexes.group_stops);
+
+  // Only trips calling at both an origin and a destination stop can connect them
+  const fromTripIds = getTripIdsAtStops(snapshot.indexes.stop_trips, fromStopIds);
+  const toTripIds = getTripIdsAtStops(snapshot.indexes.stop_trips, toStopIds);
+  const candidates = getRunningTrips(snapshot, query)
+    .filter(trip => fromTripIds.has(trip.trip_id) && toTripIds.has(trip.trip_id));
+
+  const journeys = findJourneys(candidates, snapshot.tripStops, fromStopIds, toStopIds)
+    .map(({ trip, journey }) => ({
+      trip,
+      board: journey.board,
+      alight: journey.alight,
+      departure_time: formatGtfsTime(journey.departure),
+      arrival_time: formatGtfsTime(journey.arrival),
+      duration_minutes: journey.duration
+    }));
+  return paginate(journeys, query);
+}
+
+function listRoutes(snapshot, query) {
+  const operators = getListParam(query, 'operator');
+  const active = query.get('active') === null ? null : getBooleanParam(query, 'active', null);
+  const routes = Object.values(snapshot.routes)
+    .filter(route => active === null || (route.is_active !== 'N') === active)
+    .filter(route => operators.length === 0 ||
+      getRouteAgencies(route, snapshot.agencies).some(agency => operators.includes(agency.id)));
+  return paginate(routes, query);
+}
+
+function getRoute(snapshot, query, routeId) {
+  const route = Object.hasOwn(snapshot.routes, routeId) ? snapshot.routes[routeId] : null;
+  if (!route) {
+    throw httpError(404, `Unknown route: ${routeId}`);
+  }
+  return {
+    ...route,
+    agencies: getRouteAgencies(route, snapshot.agencies),
+    trip_ids: (snapshot.tripsByRoute.get(String(route.route_id)) || []).map(trip => trip.trip_id)
+  };
+}
+
+function listAgencies(snapshot, query) {
+  const agencies = Object.values(snapshot.agencies)
+    .sort((a, b) => String(a.agency_name).localeCompare(String(b.agency_name)));
+  return paginate(agencies, query);
+}
+
+function getAgency(snapshot, query, agencyId) {
+  const agency = Object.hasOwn(snapshot.agencies, agencyId) ? snapshot.agencies[agencyId] : null;
+  if (!agency) {
+    throw httpError(404, `Unknown agency: ${agencyId}`);
+  }
+  const tripIds = Object.values(snapshot.trips)
+    .filter(trip => getMainAgencyId(trip) === agencyId)
+    .map(trip => trip.trip_id);
+  return { ...agency, trip_ids: tripIds };
+}
+
+// Path patterns and their handlers, which get the decoded path parameters after the query
+const ROUTES = [
+  [/^\/api\/?$/, getIndex],
+  [/^\/api\/stations$/, listStations],
+  [/^\/api\/stations\/([^/]+)$/, getStation],
+  [/^\/api\/trips$/, listTrips],
+  [/^\/api\/trips\/([^/]+)$/, getTrip],
+  [/^\/api\/journeys$/, listJourneys],
+  [/^\/api\/routes$/, listRoutes],
+  [/^\/api\/routes\/([^/]+)$/, getRoute],
+  [/^\/api\/agencies$/, listAgencies],
+  [/^\/api\/agencies\/([^/]+)$/, getAgency]
+];
+
+/**
+ * Decode a path parameter; malformed escapes such as "%E0%A4%A" are the client's error
+ */
+function decodePathParam(param) {
+  try {
+    return decodeURIComponent(param);
+  } catch {
+    throw httpError(400, `Malformed path parameter: ${param}`);
+  }
+}
+
+/**
+ * Parse the request target; a target such as "//[" is not a valid URL
+ */
+function parseRequestUrl(target) {
+  try {
+    return new URL(target, 'http://localhost');
+  } catch {
+    throw httpError(400, `Malformed request target: ${target}`);
+  }
+}
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    ...CORS_HEADERS,
+    ...headers
+  });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Create the request handler for node:http serving a snapshot
+ * @param {Object} snapshot - Result of loadSnapshot
+ * @returns {Function} (req, res) handler
+ */
+export function createRequestHandler(snapshot) {
+  return (req, res) => {
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, CORS_HEADERS);
+      res.end();
+      return;
+    }
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      sendJson(res, 405, { error: `Method ${req.method} not allowed` }, { Allow: 'GET, HEAD, OPTIONS' });
+      return;
+    }
+
+    try {
+      const url = parseRequestUrl(req.url);
+      for (const [pattern, handler] of ROUTES) {
+        const match = url.pathname.match(pattern);
+        if (match) {
+          const params = match.slice(1).map(decodePathParam);
+          sendJson(res, 200, handler(snapshot, url.searchParams, ...params), { 'Cache-Control': CACHE_CONTROL });
+          return;
+        }
+      }
+      throw httpError(404, `Unknown endpoint ${url.pathname}, see /api for the endpoints`);
+    } catch (error) {
+      if (!error.status) {
+        console.error(`Error handling ${req.method} ${req.url}:`, error);
+      }
+      sendJson(res, error.status ?? 500, { error: error.status ? error.message : 'Internal server error' });
+    }
+  };
+}
@@ -0,0 +1,329 @@
+/**
+ * Tests of the query API against the repository's snapshot in data/latest
+ *
+ * Run with: npm test
+ */
+
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'http';
+import { connect } from 'net';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { loadSnapshot } from './snapshot.js';
+import { createRequestHandler, DEFAULT_LIMIT, MAX_LIMIT } from './api.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const DATA_DIR = join(__dirname, '..', '..', 'data', 'latest');
+
+// Zürich HB - Basel SBB - ... - Amsterdam Centraal, daily from 2023-12-10 to 2024-12-14
+const TRIP_ID = 'ÖBB NJ 402';
+const ROUTE_ID = '44';
+
+let snapshot;
+let server;
+let baseUrl;
+
+/**
+ * Send a raw HTTP request, for request targets fetch would normalize or reject
+ * @returns {Promise<string>} Raw response
+ */
+function rawRequest(target) {
+  return new Promise((resolve, reject) => {
+    const socket = connect(server.address().port, '127.0.0.1');
+    let response = '';
+    socket.on('data', chunk => { response += chunk; });
+    socket.on('end', () => resolve(response));
+    socket.on('error', reject);
+    socket.write(`GET ${target} HTTP/1.1\r\nHost: localhost\r\nConnection: close\r\n\r\n`);
+  });
+}
+
+/**
+ * Request a path of the API
+ * @returns {Promise<Object>} { status, headers, body } with the parsed JSON body
+ */
+async function request(path, options = {}) {
+  const response = await fetch(`${baseUrl}${path}`, options);
+  const text = await response.text();
+  return { status: response.status, headers: response.headers, body: text ? JSON.parse(text) : null };
+}
+
+function query(params) {
+  return new URLSearchParams(params).toString();
+}
+
+before(async () => {
+  snapshot = loadSnapshot(DATA_DIR);
+  server = createServer(createRequestHandler(snapshot));
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+describe('GET /api', () => {
+  test('lists the snapshot counts and endpoints', async () => {
+    const { status, body } = await request('/api');
+    assert.equal(status, 200);
+    assert.equal(body.snapshot.trips, Object.keys(snapshot.trips).length);
+    assert.equal(body.snapshot.stations, snapshot.stationGroups.length);
+    assert.ok(body.endpoints.includes('GET /api/journeys?from=&to=&date='));
+    assert.deepEqual(body.pagination, { limit: DEFAULT_LIMIT, maxLimit: MAX_LIMIT, offset: 0 });
+  });
+
+  test('answers unknown paths with 404', async () => {
+    const { status, body } = await request('/api/unknown');
+    assert.equal(status, 404);
+    assert.match(body.error, /Unknown endpoint/);
+  });
+});
+
+describe('stations', () => {
+  test('searches stations by name', async () => {
+    const { status, body } = await request(`/api/stations?${query({ q: 'Zürich', grouping: 'false' })}`);
+    assert.equal(status, 200);
+    assert.ok(body.items.some(station => station.groupName === 'Zürich HB'));
+  });
+
+  test('lists all stations by name without a search term', async () => {
+    const { body } = await request(`/api/stations?limit=${MAX_LIMIT}`);
+    const names = body.items.map(station => station.displayName);
+    assert.equal(body.total, snapshot.stationGroups.length);
+    assert.deepEqual(names, [...names].sort((a, b) => a.localeCompare(b)));
+  });
+
+  test('filters stations by country', async () => {
+    const { status, body } = await request('/api/stations?country=ch');
+    assert.equal(status, 200);
+    assert.ok(body.items.every(station => station.stop_country === 'CH'));
+  });
+
+  test('rejects invalid booleans', async () => {
+    const { status, body } = await request('/api/stations?grouping=maybe');
+    assert.equal(status, 400);
+    assert.equal(body.error, 'grouping must be true or false');
+  });
+
+  test('returns a station by name or ID with the trips calling there', async () => {
+    const byName = await request(`/api/stations/${encodeURIComponent('Zürich HB')}`);
+    assert.equal(byName.status, 200);
+    assert.ok(byName.body.trip_ids.includes(TRIP_ID));
+
+    const byId = await request(`/api/stations/${encodeURIComponent(byName.body.id)}`);
+    assert.equal(byId.status, 200);
+    assert.deepEqual(byId.body, byName.body);
+  });
+
+  test('answers unknown stations with 404', async () => {
+    const { status, body } = await request('/api/stations/Atlantis');
+    assert.equal(status, 404);
+    assert.equal(body.error, 'Unknown station: Atlantis');
+  });
+
+  test('answers malformed path escapes with 400', async () => {
+    const { status, body } = await request('/api/stations/%E0%A4%A');
+    assert.equal(status, 400);
+    assert.match(body.error, /Malformed path parameter/);
+  });
+
+  test('answers malformed request targets with 400 and keeps running', async () => {
+    const response = await rawRequest('//[');
+    assert.match(response, /^HTTP\/1\.1 400 /);
+    assert.match(response, /Malformed request target/);
+
+    const { status } = await request('/api');
+    assert.equal(status, 200);
+  });
+});
+
+describe('trips', () => {
+  test('lists trips by station, stop, operator and country', async () => {
+    const queries = [
+      { station: 'Zürich HB' },
+      { stop: 'Amsterdam Centraal' },
+      { operator: 'ÖBB' },
+      { country: 'nl' },
+      { station: 'Zürich HB', operator: 'ÖBB', country: 'CH' }
+    ];
+    for (const params of queries) {
+      const { status, body } = await request(`/api/trips?${query({ ...params, limit: MAX_LIMIT })}`);
+      assert.equal(status, 200, JSON.stringify(params));
+      assert.ok(body.items.some(trip => trip.trip_id === TRIP_ID), JSON.stringify(params));
+    }
+  });
+
+  test('only lists trips of the operator', async () => {
+    const { body } = await request(`/api/trips?operator=MÁV&limit=${MAX_LIMIT}`);
+    assert.ok(body.total > 0);
+    assert.ok(body.items.every(trip => trip.agency_id.split('/').map(id => id.trim()).includes('MÁV')));
+  });
+
+  test('filters trips by date', async () => {
+    const running = await request(`/api/trips?${query({ station: 'Zürich HB', date: '2024-06-12' })}`);
+    assert.ok(running.body.items.some(trip => trip.trip_id === TRIP_ID));
+
+    const afterSchedule = await request(`/api/trips?${query({ station: 'Zürich HB', date: '20300101' })}`);
+    assert.ok(!afterSchedule.body.items.some(trip => trip.trip_id === TRIP_ID));
+
+    const invalid = await request('/api/trips?date=tomorrow');
+    assert.equal(invalid.status, 400);
+  });
+
+  test('returns a trip with its stops', async () => {
+    const { status, body } = await request(`/api/trips/${encodeURIComponent(TRIP_ID)}`);
+    assert.equal(status, 200);
+    assert.equal(body.trip_id, TRIP_ID);
+    assert.equal(body.stops[0].stop_id, 'Zürich HB');
+    assert.equal(body.stops[body.stops.length - 1].stop_id, 'Amsterdam Centraal');
+  });
+
+  test('answers unknown trips with 404', async () => {
+    const { status } = await request('/api/trips/NJ%200');
+    assert.equal(status, 404);
+  });
+});
+
+describe('journeys', () => {
+  test('finds trips from the origin to the destination', async () => {
+    const { status, body } = await request(`/api/journeys?${query({ from: 'Zürich HB', to: 'Basel SBB' })}`);
+    assert.equal(status, 200);
+    const journey = body.items.find(item => item.trip.trip_id === TRIP_ID);
+    assert.ok(journey);
+    assert.equal(journey.board.stop_id, 'Zürich HB');
+    assert.equal(journey.alight.stop_id, 'Basel SBB');
+    assert.equal(journey.departure_time, '21:34:00');
+    assert.ok(journey.duration_minutes > 0);
+  });
+
+  test('does not find journeys against the direction of travel', async () => {
+    const { body } = await request(`/api/journeys?${query({ from: 'Basel SBB', to: 'Zürich HB' })}`);
+    assert.ok(!body.items.some(item => item.trip.trip_id === TRIP_ID));
+  });
+
+  test('requires from and to', async () => {
+    const { status, body } = await request(`/api/journeys?${query({ from: 'Zürich HB' })}`);
+    assert.equal(status, 400);
+    assert.match(body.error, /from and to are required/);
+  });
+
+  test('answers unknown stations with 404', async () => {
+    const { status, body } = await request(`/api/journeys?${query({ from: 'Zürich HB', to: 'Atlantis' })}`);
+    assert.equal(status, 404);
+    assert.equal(body.error, 'Unknown to station: Atlantis');
+  });
+});
+
+describe('routes', () => {
+  test('lists routes by activity and operator', async () => {
+    const all = await request(`/api/routes?limit=${MAX_LIMIT}`);
+    const active = await request(`/api/routes?active=true&limit=${MAX_LIMIT}`);
+    const inactive = await request(`/api/routes?active=false&limit=${MAX_LIMIT}`);
+    assert.equal(active.body.total + inactive.body.total, all.body.total);
+    assert.ok(inactive.body.items.every(route => route.is_active === 'N'));
+
+    const operator = await request(`/api/routes?operator=ÖBB&limit=${MAX_LIMIT}`);
+    assert.ok(operator.body.items.some(route => String(route.route_id) === ROUTE_ID));
+  });
+
+  test('returns a route with its agencies and trips', async () => {
+    const { status, body } = await request(`/api/routes/${ROUTE_ID}`);
+    assert.equal(status, 200);
+    assert.ok(body.trip_ids.includes(TRIP_ID));
+    assert.ok(body.agencies.some(agency => agency.id === 'ÖBB'));
+  });
+});
+
+describe('agencies', () => {
+  test('lists agencies by name', async () => {
+    const { body } = await request(`/api/agencies?limit=${MAX_LIMIT}`);
+    const names = body.items.map(agency => String(agency.agency_name));
+    assert.equal(body.total, Object.keys(snapshot.agencies).length);
+    assert.deepEqual(names, [...names].sort((a, b) => a.localeCompare(b)));
+  });
+
+  test('returns an agency with the trips it mainly operates', async () => {
+    const { status, body } = await request(`/api/agencies/${encodeURIComponent('ÖBB')}`);
+    assert.equal(status, 200);
+    assert.ok(body.trip_ids.includes(TRIP_ID));
+  });
+});
+
+describe('lookups by ID', () => {
+  // Names of Object.prototype members must not be found in the plain objects of the snapshot
+  for (const path of ['/api/trips/constructor', '/api/routes/toString', '/api/agencies/hasOwnProperty', '/api/trips/__proto__']) {
+    test(`answers ${path} with 404`, async () => {
+      const { status } = await request(path);
+      assert.equal(status, 404);
+    });
+  }
+});
+
+describe('pagination', () => {
+  test('pages with limit and offset', async () => {
+    const all = await request(`/api/agencies?limit=${MAX_LIMIT}`);
+    const page = await request('/api/agencies?limit=5&offset=3');
+    assert.equal(page.body.total, all.body.total);
+    assert.equal(page.body.limit, 5);
+    assert.equal(page.body.offset, 3);
+    assert.deepEqual(page.body.items, all.body.items.slice(3, 8));
+  });
+
+  test('uses the default limit', async () => {
+    const { body } = await request('/api/trips');
+    assert.equal(body.limit, DEFAULT_LIMIT);
+    assert.equal(body.offset, 0);
+    assert.equal(body.items.length, DEFAULT_LIMIT);
+    assert.equal(body.total, Object.keys(snapshot.trips).length);
+  });
+
+  test('returns no items past the end', async () => {
+    const { status, body } = await request('/api/agencies?offset=1000');
+    assert.equal(status, 200);
+    assert.deepEqual(body.items, []);
+  });
+
+  test('rejects invalid limits and offsets', async () => {
+    for (const params of ['limit=0', `limit=${MAX_LIMIT + 1}`, 'limit=ten', 'offset=-1', 'offset=1.5']) {
+      const { status, body } = await request(`/api/agencies?${params}`);
+      assert.equal(status, 400, params);
+      assert.match(body.error, /must be an integer/, params);
+    }
+  });
+});
+
+describe('CORS and methods', () => {
+  test('allows cross-origin requests, including errors', async () => {
+    const ok = await request('/api/agencies', { headers: { Origin: 'https://example.org' } });
+    assert.equal(ok.headers.get('access-control-allow-origin'), '*');
+    assert.match(ok.headers.get('cache-control'), /max-age/);
+
+    const notFound = await request('/api/trips/NJ%200');
+    assert.equal(notFound.headers.get('access-control-allow-origin'), '*');
+  });
+
+  test('answers preflight requests', async () => {
+    const { status, headers } = await request('/api/trips', {
+      method: 'OPTIONS',
+      headers: { Origin: 'https://example.org', 'Access-Control-Request-Method': 'GET' }
+    });
+    assert.equal(status, 204);
+    assert.equal(headers.get('access-control-allow-origin'), '*');
+    assert.match(headers.get('access-control-allow-methods'), /GET/);
+  });
+
+  test('answers HEAD requests without a body', async () => {
+    const { status, body } = await request('/api/agencies', { method: 'HEAD' });
+    assert.equal(status, 200);
+    assert.equal(body, null);
+  });
+
+  test('rejects other methods', async () => {
+    const { status, headers, body } = await request('/api/trips', { method: 'POST' });
+    assert.equal(status, 405);
+    assert.equal(headers.get('allow'), 'GET, HEAD, OPTIONS');
+    assert.equal(body.error, 'Method POST not allowed');
+  });
+});
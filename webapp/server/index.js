@@ -0,0 +1,54 @@
+#!/usr/bin/env node
+/**
+ * Query API over a snapshot: serves the stations, trips, journeys, routes and agencies of
+ * the webapp's data as JSON, for other sites and tools that want to look up night trains
+ * without loading the whole snapshot. See api.js for the endpoints.
+ *
+ * Uses the generated files if the generate scripts were run (see the README); without them
+ * the timetable and indexes are derived on startup and every stop is a station of its own.
+ *
+ * Usage: node server/index.js [--port <port>] [--data <dir>]
+ *   --port  Port to listen on (default: PORT environment variable or 32517)
+ *   --data  Snapshot directory (default: public/data in Docker, else data/latest)
+ */
+
+import { createServer } from 'http';
+import { resolve } from 'path';
+import { parseArgs } from 'util';
+import { getDataDir } from '../scripts/lib/data.js';
+import { loadSnapshot } from './snapshot.js';
+import { createRequestHandler } from './api.js';
+
+const DEFAULT_PORT = 32517;
+
+// Main execution
+try {
+  const { values } = parseArgs({
+    options: {
+      port: { type: 'string' },
+      data: { type: 'string' }
+    }
+  });
+
+  const port = Number(values.port ?? process.env.PORT ?? DEFAULT_PORT);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    console.error(`Invalid port "${values.port ?? process.env.PORT}"`);
+    process.exit(1);
+  }
+
+  const dataDir = values.data ? resolve(values.data) : getDataDir();
+  console.log(`Reading snapshot from ${dataDir}...`);
+  const snapshot = loadSnapshot(dataDir);
+  console.log(`Loaded ${Object.keys(snapshot.trips).length} trips and ${snapshot.stationGroups.length} stations`);
+
+  const server = createServer(createRequestHandler(snapshot));
+  server.listen(port, () => {
+    console.log(`Query API listening on http://localhost:${port}/api`);
+  });
+
+  // Let docker stop the container without waiting for its timeout
+  process.on('SIGTERM', () => server.close(() => process.exit(0)));
+} catch (error) {
+  console.error('Error starting the query API:', error);
+  process.exit(1);
+}
@@ -0,0 +1,94 @@
+/**
+ * Loading of the snapshot served by the query API: the data files of data/latest and the
+ * files generated from them by the build scripts (timetable.json, indexes.json,
+ * station-groups.json), with the lookups the API needs
+ */
+
+import { readDataFile } from '../scripts/lib/data.js';
+import { normalizeTimetable } from '../scripts/lib/timetable.js';
+import { buildIndexes } from '../scripts/lib/indexes.js';
+import { computeGroupId, flattenStationGroups, getGroupKey } from '../src/utils/stationGroups.js';
+import { buildServiceCalendar } from '../src/utils/serviceCalendar.js';
+
+/**
+ * Station groups of single stations for the stops of the timetable, for snapshots without
+ * station-groups.json (which needs the coordinates of stops.json)
+ * @param {Object} tripStops - timetable.json trip_stops
+ * @param {Object} stops - stops.json entries (may be empty)
+ * @returns {Array} Station groups in the shape of station-groups.json
+ */
+function getSingleStationGroups(tripStops, stops) {
+  const stopIds = new Set(Object.values(tripStops).flatMap(stopsOfTrip => stopsOfTrip.map(ts => ts.stop_id)));
+  return [...stopIds].filter(Boolean).sort().map(stopId => {
+    const stop = stops[stopId] || {};
+    const lat = parseFloat(stop.stop_lat);
+    const lon = parseFloat(stop.stop_lon);
+    const station = {
+      ...stop,
+      stop_id: stopId,
+      stop_name: stop.stop_name || stopId,
+      ...(Number.isFinite(lat) && Number.isFinite(lon) ? { lat, lon } : {})
+    };
+    return {
+      id: computeGroupId([stopId]),
+      groupName: station.stop_name,
+      displayName: station.stop_name,
+      isGroup: false,
+      stations: [station],
+      lat: station.lat,
+      lon: station.lon,
+      stop_country: station.stop_country
+    };
+  });
+}
+
+/**
+ * Read a snapshot from a data directory. Files the generate scripts didn't write yet are
+ * derived from the data files instead (without station-groups.json every stop is a station
+ * of its own). Exits if a data file is missing.
+ * @param {string} dataDir - Data directory
+ * @returns {Object} Snapshot with the parsed files and lookups
+ */
+export function loadSnapshot(dataDir) {
+  const routes = readDataFile(dataDir, 'routes.json');
+  const agencies = readDataFile(dataDir, 'agencies.json');
+  const calendar = readDataFile(dataDir, 'calendar.json');
+  const calendarDates = readDataFile(dataDir, 'calendar_dates.json');
+  const stops = readDataFile(dataDir, 'stops.json', { optional: true }) || {};
+
+  const timetable = readDataFile(dataDir, 'timetable.json', { optional: true }) ||
+    normalizeTimetable(readDataFile(dataDir, 'trips.json'), readDataFile(dataDir, 'trip_stop.json'), agencies, stops);
+  const { trips, trip_stops: tripStops } = timetable;
+  const stationGroups = readDataFile(dataDir, 'station-groups.json', { optional: true }) ||
+    getSingleStationGroups(tripStops, stops);
+  const indexes = readDataFile(dataDir, 'indexes.json', { optional: true }) ||
+    buildIndexes(tripStops, stationGroups);
+
+  // Stations can be looked up as groups and as single stations, like with the webapp's grouping toggle
+  const stations = flattenStationGroups(stationGroups);
+  const stationsById = new Map([...stationGroups, ...stations].map(group => [getGroupKey(group), group]));
+
+  // Trips per route, in the order of their trip IDs
+  const tripsByRoute = new Map();
+  Object.values(trips).forEach(trip => {
+    const routeId = String(trip.route_id);
+    if (!tripsByRoute.has(routeId)) {
+      tripsByRoute.set(routeId, []);
+    }
+    tripsByRoute.get(routeId).push(trip);
+  });
+
+  return {
+    trips,
+    tripStops,
+    indexes,
+    stationGroups,
+    stations,
+    stationsById,
+    routes,
+    agencies,
+    stops,
+    tripsByRoute,
+    serviceCalendar: buildServiceCalendar(calendar, calendarDates)
+  };
+}
@@ -1,95 +1,272 @@
-import { useState, useEffect, useRef, useMemo } from 'react'
+import { useState, useEffect, useRef, useMemo, useCallback } from 'react'
 import StationAutocomplete from './components/StationAutocomplete'
 import TripMap from './components/TripMap'
-import { saveSelectedStationGroups, loadSelectedStationGroups, loadGroupingEnabled, saveGroupingEnabled } from './utils/localStorage'
+import TripDetails from './components/TripDetails'
+import TripFilters from './components/TripFilters'
+import TripExport from './components/TripExport'
+import CountrySelector from './components/CountrySelector'
+import DestinationList from './components/DestinationList'
+import EmissionsTotal from './components/EmissionsTotal'
+import TripEmissions from './components/TripEmissions'
+import LanguageSwitcher from './components/LanguageSwitcher'
+import DataStatus from './components/DataStatus'
+import EmbedSnippet from './components/EmbedSnippet'
+import {
+  saveSelectedStationGroups,
+  loadSelectedStationGroups,
+  loadGroupingEnabled,
+  saveGroupingEnabled,
+  saveFilterMode,
+  loadFilterMode,
+  saveJourneyStationGroups,
+  loadJourneyStationGroups,
+  saveTransferSettings,
+  loadTransferSettings,
+  saveTripFilters,
+  loadTripFilters,
+  saveMapLayer,
+  loadMapLayer,
+  saveCountrySelection,
+  loadCountrySelection,
+  saveLanguage,
+  loadLanguage
+} from './utils/localStorage'
+import { findJourneys, getStopIdsOfGroups, getTripIdsAtStops } from './utils/journeys'
+import { findConnections, DEFAULT_MIN_TRANSFER_MINUTES } from './utils/connections'
+import { formatTime, formatDuration, formatDayOffset } from './utils/time'
+import { buildServiceCalendar, tripRunsOn, parseServiceDate, addDays } from './utils/serviceCalendar'
+import { buildClassMapping, getClassCategories, matchesTripFilters } from './utils/tripAttributes'
+import { flattenStationGroups, getGroupKey, resolveGroupKeys, resolveGroupReferences } from './utils/stationGroups'
+import { hasUrlState, parseUrlState, buildUrlSearch, isSelectionChange } from './utils/urlState'
+import { getOperators, getMainAgencyId } from './utils/agencies'
+import { getCountryCounts, getCountryOutline, matchesCountrySelection } from './utils/countries'
+import { findDestinations, sortDestinations, getDestinationColor } from './utils/destinations'
+import { compareEmissions, compareItineraryEmissions, sumEmissions } from './utils/emissions'
+import { buildTranslationIndex } from './utils/translations'
+import { createI18n, getBrowserLanguage, LANGUAGES, DEFAULT_LANGUAGE } from './i18n'
+import { I18nContext } from './i18n/I18nContext'
 import './App.css'
 
 function App() {
   const [stops, setStops] = useState({})
   const [trips, setTrips] = useState({})
   const [tripStops, setTripStops] = useState({})
+  const [indexes, setIndexes] = useState({ stop_trips: {}, group_stops: {} })
+  const [routes, setRoutes] = useState({})
+  const [agencies, setAgencies] = useState({})
+  const [routeMapEntries, setRouteMapEntries] = useState({})
+  const [translations, setTranslations] = useState({})
+  const [dataDate, setDataDate] = useState(null)
+  const [language, setLanguage] = useState(() => {
+    const saved = loadLanguage(getBrowserLanguage())
+    return saved in LANGUAGES ? saved : DEFAULT_LANGUAGE
+  })
+  const [calendar, setCalendar] = useState({})
+  const [calendarDates, setCalendarDates] = useState({})
+  const [travelDate, setTravelDate] = useState('')
+  const [classesData, setClassesData] = useState({})
+  const [tripFilters, setTripFilters] = useState(() => loadTripFilters())
   const [stationGroups, setStationGroups] = useState([])
   const [selectedStationGroups, setSelectedStationGroups] = useState([])
   const [filteredTrips, setFilteredTrips] = useState([])
+  const [hiddenAgencyIds, setHiddenAgencyIds] = useState([])
+  const [selectedTripId, setSelectedTripId] = useState(null)
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
   const [groupingEnabled, setGroupingEnabled] = useState(() => loadGroupingEnabled())
+  const [filterMode, setFilterMode] = useState(() => loadFilterMode())
+  const [fromStationGroups, setFromStationGroups] = useState([])
+  const [toStationGroups, setToStationGroups] = useState([])
+  const [countrySelection, setCountrySelection] = useState(() => loadCountrySelection())
+  const [destinationMetric, setDestinationMetric] = useState('duration')
+  const [destinationSort, setDestinationSort] = useState('duration')
+  const [transferSettings, setTransferSettings] = useState(() => loadTransferSettings(DEFAULT_MIN_TRANSFER_MINUTES))
+  const [selectedItineraryIndex, setSelectedItineraryIndex] = useState(0)
+  const [mapLayer, setMapLayer] = useState(() => loadMapLayer())
+  const [initialMapView] = useState(() => parseUrlState(window.location.search).mapView)
+  const [mapView, setMapView] = useState(initialMapView)
+  // Routes shown on their own, from a shared link or the route popup
+  const [routeIds, setRouteIds] = useState([])
+  // Embedded on another website, only the map is shown and nothing is saved, so the
+  // visitor's own selection on the full map is kept
+  const [embed] = useState(() => parseUrlState(window.location.search).embed)
   const isRestoredRef = useRef(false)
 
-  // Flatten station groups into individual stations when grouping is disabled
+  // Translations of the UI and of station, city and operator names for the selected language
+  const translationIndex = useMemo(() => buildTranslationIndex(translations), [translations])
+  const i18n = useMemo(() => createI18n(language, translationIndex), [language, translationIndex])
+  const { t, stopName, placeName, agencyName } = i18n
+
+  // Flatten station groups into individual stations when grouping is disabled.
+  // Display names are localized, so stations can be searched in the selected language
+  // as well as by their original groupName.
   const displayStationGroups = useMemo(() => {
-    if (groupingEnabled || stationGroups.length === 0) {
-      return stationGroups;
-    }
-    
-    // Flatten all groups into individual stations
-    // Each station becomes its own "group" with the same structure as grouped items
-    const flattenedStations = [];
-    stationGroups.forEach(group => {
-      group.stations.forEach(station => {
-        flattenedStations.push({
-          groupName: station.stop_name,  // Used as unique identifier
-          displayName: station.stop_name,  // Used for display in UI
-          isGroup: false,
-          stations: [station],
-          lat: station.lat,
-          lon: station.lon,
-          stop_country: station.stop_country
-        });
-      });
-    });
-    return flattenedStations;
-  }, [stationGroups, groupingEnabled]);
-
-  // Restore selected station groups from localStorage when data is loaded
+    const groups = groupingEnabled ? stationGroups : flattenStationGroups(stationGroups);
+    return groups.map(group => ({ ...group, displayName: i18n.groupName(group) }));
+  }, [stationGroups, groupingEnabled, i18n]);
+
+  // Apply a state parsed from the URL, resolving group keys against the loaded station groups
+  const applyUrlState = useCallback((urlState) => {
+    const groups = urlState.groupingEnabled ? stationGroups : flattenStationGroups(stationGroups)
+    setGroupingEnabled(urlState.groupingEnabled)
+    setFilterMode(urlState.mode)
+    setSelectedStationGroups(resolveGroupKeys(urlState.stations, groups))
+    setFromStationGroups(resolveGroupKeys(urlState.from, groups))
+    setToStationGroups(resolveGroupKeys(urlState.to, groups))
+    setCountrySelection(urlState.countrySelection)
+    setTravelDate(urlState.travelDate)
+    setTripFilters(urlState.filters)
+    setRouteIds(urlState.routes)
+    setMapLayer(urlState.mapLayer)
+    if (urlState.transfers !== null) {
+      setTransferSettings(prev => ({
+        enabled: urlState.transfers,
+        minTransferMinutes: urlState.minTransferMinutes ?? prev.minTransferMinutes
+      }))
+    }
+    setSelectedItineraryIndex(0)
+  }, [stationGroups])
+
+  // Restore the view from the URL, or the selected station groups from localStorage, when data is loaded
   useEffect(() => {
     if (stationGroups.length === 0) {
       return; // Wait for station groups to load
     }
 
+    if (hasUrlState(window.location.search)) {
+      console.log('Restoring view from URL');
+      applyUrlState(parseUrlState(window.location.search));
+      isRestoredRef.current = true;
+      return;
+    }
+
+    // Saved selections are re-resolved against the freshly loaded groups, which may have
+    // been split or merged since they were saved
+    const groups = loadGroupingEnabled() ? stationGroups : flattenStationGroups(stationGroups);
     const savedGroups = loadSelectedStationGroups();
     if (savedGroups.length > 0) {
       console.log('Restoring', savedGroups.length, 'station groups from localStorage');
-      setSelectedStationGroups(savedGroups);
+      setSelectedStationGroups(resolveGroupReferences(savedGroups, groups));
     }
+
+    const savedJourney = loadJourneyStationGroups();
+    setFromStationGroups(resolveGroupReferences(savedJourney.from, groups));
+    setToStationGroups(resolveGroupReferences(savedJourney.to, groups));
     // Mark as restored regardless of whether there were saved groups
     isRestoredRef.current = true;
-  }, [stationGroups]); // Run once when station groups are loaded
+  }, [stationGroups, applyUrlState]); // Run once when station groups are loaded
+
+  // Move through the selection history with the browser's back and forward buttons
+  useEffect(() => {
+    const handlePopState = () => {
+      applyUrlState(parseUrlState(window.location.search));
+    };
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, [applyUrlState]);
+
+  // Query string describing the current view, for the URL and the embed code
+  const urlSearch = useMemo(() => buildUrlSearch({
+    mode: filterMode,
+    stations: selectedStationGroups.map(getGroupKey),
+    from: fromStationGroups.map(getGroupKey),
+    to: toStationGroups.map(getGroupKey),
+    countrySelection,
+    groupingEnabled,
+    travelDate,
+    filters: tripFilters,
+    routes: routeIds,
+    transfers: transferSettings.enabled,
+    minTransferMinutes: transferSettings.minTransferMinutes,
+    mapLayer,
+    mapView
+  }), [filterMode, selectedStationGroups, fromStationGroups, toStationGroups, countrySelection, groupingEnabled, travelDate, tripFilters, routeIds, transferSettings, mapLayer, mapView]);
+
+  // Keep the URL in sync with the view; selection changes create a new history entry.
+  // An embedded map keeps its URL, as its history entries would end up in the host page's history.
+  useEffect(() => {
+    if (!isRestoredRef.current || embed) {
+      return;
+    }
+
+    if (urlSearch === window.location.search) {
+      return;
+    }
+
+    const url = `${window.location.pathname}${urlSearch}${window.location.hash}`;
+    if (isSelectionChange(urlSearch, window.location.search)) {
+      window.history.pushState(null, '', url);
+    } else {
+      window.history.replaceState(null, '', url);
+    }
+  }, [urlSearch, embed]);
 
   // Load data from JSON files
   useEffect(() => {
     const loadData = async () => {
       try {
         setLoading(true)
-        const [stopsRes, tripsRes, tripStopsRes, stationGroupsRes] = await Promise.all([
+        const [stopsRes, timetableRes, indexesRes, stationGroupsRes, calendarRes, calendarDatesRes, classesRes, routesRes, agenciesRes, routeMapRes, translationsRes] = await Promise.all([
           fetch('/data/stops.json'),
-          fetch('/data/trips.json'),
-          fetch('/data/trip_stop.json'),
-          fetch('/data/station-groups.json')
+          fetch('/data/timetable.json'),
+          fetch('/data/indexes.json'),
+          fetch('/data/station-groups.json'),
+          fetch('/data/calendar.json'),
+          fetch('/data/calendar_dates.json'),
+          fetch('/data/classes.json'),
+          fetch('/data/routes.json'),
+          fetch('/data/agencies.json'),
+          fetch('/data/view_ontd_map.json'),
+          fetch('/data/translations.json')
         ])
 
-        if (!stopsRes.ok || !tripsRes.ok || !tripStopsRes.ok || !stationGroupsRes.ok) {
+        if (!stopsRes.ok || !timetableRes.ok || !indexesRes.ok || !stationGroupsRes.ok || !calendarRes.ok || !calendarDatesRes.ok || !classesRes.ok || !routesRes.ok || !agenciesRes.ok) {
           throw new Error('Failed to load data')
         }
 
-        const [stopsData, tripsData, tripStopsData, stationGroupsData] = await Promise.all([
+        const [stopsData, timetableData, indexesData, stationGroupsData, calendarData, calendarDatesData, classesJson, routesData, agenciesData, routeMapData, translationsData] = await Promise.all([
           stopsRes.json(),
-          tripsRes.json(),
-          tripStopsRes.json(),
-          stationGroupsRes.json()
+          timetableRes.json(),
+          indexesRes.json(),
+          stationGroupsRes.json(),
+          calendarRes.json(),
+          calendarDatesRes.json(),
+          classesRes.json(),
+          routesRes.json(),
+          agenciesRes.json(),
+          // The map view only adds scheduled times to the route popups
+          routeMapRes.ok ? routeMapRes.json() : {},
+          // Without translations, names are shown as in the data
+          translationsRes.ok ? translationsRes.json() : {}
         ])
 
+        // timetable.json holds trips and their ordered stops with normalized GTFS-style times
+        const { trips: tripsData, trip_stops: tripStopsData } = timetableData
+
         console.log('Data loaded:', {
           stops: Object.keys(stopsData).length,
           trips: Object.keys(tripsData).length,
-          tripStops: Object.keys(tripStopsData).length,
-          stationGroups: stationGroupsData.length
+          tripsWithStops: Object.keys(tripStopsData).length,
+          stationGroups: stationGroupsData.length,
+          calendar: Object.keys(calendarData).length,
+          calendarDates: Object.keys(calendarDatesData).length
         })
 
         setStops(stopsData)
         setTrips(tripsData)
         setTripStops(tripStopsData)
+        setIndexes(indexesData)
         setStationGroups(stationGroupsData)
+        setCalendar(calendarData)
+        setCalendarDates(calendarDatesData)
+        setClassesData(classesJson)
+        setRoutes(routesData)
+        setAgencies(agenciesData)
+        setRouteMapEntries(routeMapData)
+        setTranslations(translationsData)
+        // Offline, the service worker serves the cached copy with its original headers
+        const lastModified = Date.parse(timetableRes.headers.get('Last-Modified') ?? '')
+        setDataDate(Number.isNaN(lastModified) ? null : new Date(lastModified))
         setLoading(false)
       } catch (err) {
         console.error('Error loading data:', err)
@@ -101,9 +278,142 @@ function App() {
     loadData()
   }, [])
 
+  // Station groups highlighted on the map for the active filter mode
+  const highlightedStationGroups = useMemo(
+    () => {
+      if (filterMode === 'journey') {
+        return [...fromStationGroups, ...toStationGroups]
+      }
+      if (filterMode === 'destinations') {
+        return fromStationGroups
+      }
+      return filterMode === 'countries' ? [] : selectedStationGroups
+    },
+    [filterMode, fromStationGroups, toStationGroups, selectedStationGroups]
+  )
+
+  // Service calendar lookup and the selected travel date (YYYYMMDD, or null for any date)
+  const serviceCalendar = useMemo(
+    () => buildServiceCalendar(calendar, calendarDates),
+    [calendar, calendarDates]
+  )
+  const serviceDate = useMemo(() => parseServiceDate(travelDate), [travelDate])
+
+  // Class categories from classes.json, plus classes of trips that are not listed there
+  const classMapping = useMemo(() => buildClassMapping(classesData), [classesData])
+  const classCategories = useMemo(() => {
+    const categories = new Set(Object.values(classesData).map(c => c.class_main).filter(Boolean))
+    Object.values(trips).forEach(trip => {
+      getClassCategories(trip, classMapping).forEach(category => categories.add(category))
+    })
+    return [...categories]
+  }, [classesData, trips, classMapping])
+
+  // Operators that can be picked in the filters, independent of the other filters
+  const operators = useMemo(() => getOperators(Object.values(trips), agencies, agencyName), [trips, agencies, agencyName])
+
+  // Trips run by the selected operators and offering the selected classes and amenities,
+  // limited to the selected routes if there are any
+  const tripsMatchingFilters = useMemo(
+    () => Object.values(trips).filter(trip =>
+      matchesTripFilters(trip, tripFilters, classMapping) &&
+      (routeIds.length === 0 || routeIds.includes(String(trip.route_id)))),
+    [trips, tripFilters, classMapping, routeIds]
+  )
+
+  // Trips that depart on the selected date; trips with an unknown schedule are left out
+  const runningTrips = useMemo(() => {
+    if (serviceDate === null) {
+      return tripsMatchingFilters
+    }
+    return tripsMatchingFilters.filter(trip => tripRunsOn(serviceCalendar, trip, serviceDate) === true)
+  }, [tripsMatchingFilters, serviceCalendar, serviceDate])
+
+  // Trips per country among the trips matching the other filters and the date
+  const countryCounts = useMemo(() => getCountryCounts(runningTrips, language), [runningTrips, language])
+
+  // Selected countries shaded on the map
+  const highlightedCountries = useMemo(() => {
+    if (filterMode !== 'countries') {
+      return []
+    }
+    const codes = [...new Set([...countrySelection.countries, countrySelection.from, countrySelection.to].filter(Boolean))]
+    return codes.map(code => ({
+      code,
+      name: i18n.countryName(code),
+      count: countryCounts.find(country => country.code === code)?.count ?? 0,
+      outline: getCountryOutline(code, stops)
+    }))
+  }, [filterMode, countrySelection, countryCounts, stops, i18n])
+
+  // Stop IDs of the selected station groups
+  const selectedStopIds = useMemo(
+    () => getStopIdsOfGroups(selectedStationGroups, indexes.group_stops),
+    [selectedStationGroups, indexes]
+  )
+  const fromStopIds = useMemo(
+    () => getStopIdsOfGroups(fromStationGroups, indexes.group_stops),
+    [fromStationGroups, indexes]
+  )
+  const toStopIds = useMemo(
+    () => getStopIdsOfGroups(toStationGroups, indexes.group_stops),
+    [toStationGroups, indexes]
+  )
+
+  // Itineraries with transfers between the From and To station groups
+  const showConnections = filterMode === 'journey' && transferSettings.enabled
+  const connections = useMemo(() => {
+    if (!showConnections || fromStopIds.size === 0 || toStopIds.size === 0) {
+      return []
+    }
+    // Later legs may depart on the following days, so check each leg against its own date
+    const runsOnDay = serviceDate === null
+      ? null
+      : (trip, dayOffset) => tripRunsOn(serviceCalendar, trip, addDays(serviceDate, dayOffset)) === true
+    return findConnections(
+      tripsMatchingFilters,
+      tripStops,
+      stationGroups,
+      fromStopIds,
+      toStopIds,
+      { minTransferMinutes: transferSettings.minTransferMinutes, runsOnDay }
+    )
+  }, [showConnections, tripsMatchingFilters, tripStops, stationGroups, fromStopIds, toStopIds, transferSettings.minTransferMinutes, serviceCalendar, serviceDate])
+  const selectedItinerary = connections[selectedItineraryIndex] ?? connections[0] ?? null
+
+  // Destinations reachable on a single trip from the origin, shaded by the selected metric
+  const destinations = useMemo(() => {
+    if (filterMode !== 'destinations' || fromStopIds.size === 0) {
+      return []
+    }
+    const found = findDestinations(runningTrips, tripStops, stationGroups, fromStopIds)
+    const values = found.map(destination => destination[destinationMetric]).filter(value => value !== null)
+    // Without any value (no destinations, or none with the metric) there is no range to shade
+    const min = values.length > 0 ? Math.min(...values) : 0
+    const max = values.length > 0 ? Math.max(...values) : 0
+    return sortDestinations(found.map(destination => {
+      const stop = stops[destination.stopId]
+      return {
+        ...destination,
+        name: destination.group ? i18n.groupName(destination.group) : destination.name,
+        color: getDestinationColor(destination[destinationMetric], min, max),
+        lat: destination.group?.lat ?? stop?.stop_lat,
+        lon: destination.group?.lon ?? stop?.stop_lon
+      }
+    }), destinationSort)
+  }, [filterMode, fromStopIds, runningTrips, tripStops, stationGroups, stops, destinationMetric, destinationSort, i18n])
+
   // Filter trips based on selected station groups
   useEffect(() => {
-    if (selectedStationGroups.length === 0) {
+    const hasSelection = filterMode === 'journey'
+      ? fromStationGroups.length > 0 && toStationGroups.length > 0
+      : filterMode === 'destinations'
+        ? fromStationGroups.length > 0
+        : filterMode === 'countries'
+        ? countrySelection.countries.length > 0 || (countrySelection.from && countrySelection.to) || tripFilters.agencies.length > 0 || routeIds.length > 0
+        : selectedStationGroups.length > 0 || tripFilters.agencies.length > 0 || routeIds.length > 0
+
+    if (!hasSelection) {
       setFilteredTrips([])
       return
     }
@@ -114,63 +424,208 @@ function App() {
       return
     }
 
-    // Collect all station IDs from selected groups
-    const selectedStationIds = new Set()
-    selectedStationGroups.forEach(group => {
-      group.stations.forEach(station => {
-        selectedStationIds.add(station.stop_id)
-      })
-    })
-    
-    const matchingTrips = []
+    if (filterMode === 'journey') {
+      // Only trips calling at both an origin and a destination stop can connect them
+      const fromTripIds = getTripIdsAtStops(indexes.stop_trips, fromStopIds)
+      const toTripIds = getTripIdsAtStops(indexes.stop_trips, toStopIds)
+      const candidates = runningTrips.filter(trip => fromTripIds.has(trip.trip_id) && toTripIds.has(trip.trip_id))
+      const journeys = findJourneys(candidates, tripStops, fromStopIds, toStopIds)
+      console.log(`Found ${journeys.length} trips from ${fromStationGroups.length} to ${toStationGroups.length} station group(s)`)
+      setFilteredTrips(journeys)
+      return
+    }
 
-    // For each trip, check if any of its stops match the selected stations
-    Object.values(trips).forEach(trip => {
-      const tripId = trip.trip_id
-      
-      // Find all stops for this trip
-      const stopsForTrip = Object.values(tripStops).filter(
-        ts => ts.trip_id === tripId
-      )
-
-      // Check if any stop matches the selected stations
-      const hasMatchingStation = stopsForTrip.some(
-        ts => selectedStationIds.has(ts.stop_id)
-      )
-
-      if (hasMatchingStation) {
-        matchingTrips.push({
-          trip,
-          stops: stopsForTrip.sort((a, b) => a.stop_sequence - b.stop_sequence)
-        })
-      }
-    })
+    if (filterMode === 'destinations') {
+      // Trips taking the traveller to at least one destination
+      const reachingTripIds = new Set(destinations.flatMap(destination => destination.tripIds))
+      const reachingTrips = runningTrips
+        .filter(trip => reachingTripIds.has(trip.trip_id))
+        .map(trip => ({ trip, stops: tripStops[trip.trip_id] || [] }))
+      console.log(`Found ${destinations.length} destinations on ${reachingTrips.length} trips`)
+      setFilteredTrips(reachingTrips)
+      return
+    }
+
+    if (filterMode === 'countries') {
+      const matchingTrips = runningTrips
+        .map(trip => ({ trip, stops: tripStops[trip.trip_id] || [] }))
+        .filter(({ trip, stops: tripStopList }) => matchesCountrySelection(trip, tripStopList, stops, countrySelection))
+      console.log(`Found ${matchingTrips.length} trips for ${countrySelection.countries.length} country(ies)`)
+      setFilteredTrips(matchingTrips)
+      return
+    }
+
+    // Look up the trips calling at the selected stations in the stop -> trips index.
+    // Without stations, all trips of the selected operators or routes are shown.
+    const matchingTripIds = selectedStationGroups.length > 0
+      ? getTripIdsAtStops(indexes.stop_trips, selectedStopIds)
+      : null
+    const matchingTrips = runningTrips
+      .filter(trip => matchingTripIds === null || matchingTripIds.has(trip.trip_id))
+      .map(trip => ({ trip, stops: tripStops[trip.trip_id] || [] }))
 
     console.log(`Found ${matchingTrips.length} trips for ${selectedStationGroups.length} station group(s)`)
     setFilteredTrips(matchingTrips)
-  }, [selectedStationGroups, trips, tripStops])
+  }, [filterMode, selectedStationGroups, fromStationGroups, toStationGroups, selectedStopIds, fromStopIds, toStopIds, trips, runningTrips, tripStops, indexes, tripFilters.agencies, routeIds, countrySelection, stops, destinations])
+
+  // Operators of the filtered trips for the map legend, which can hide their trips
+  const operatorLegend = useMemo(
+    () => getOperators(filteredTrips.map(({ trip }) => trip), agencies, agencyName)
+      .map(operator => ({ ...operator, hidden: hiddenAgencyIds.includes(operator.id) })),
+    [filteredTrips, agencies, agencyName, hiddenAgencyIds]
+  )
+  const visibleTrips = useMemo(
+    () => hiddenAgencyIds.length === 0
+      ? filteredTrips
+      : filteredTrips.filter(({ trip }) => !hiddenAgencyIds.includes(getMainAgencyId(trip))),
+    [filteredTrips, hiddenAgencyIds]
+  )
+
+  // CO₂e of the listed trips compared to flying, for the ridden part where a journey is given
+  const tripEmissions = useMemo(
+    () => new Map(visibleTrips.map(({ trip, stops: tripStopList, journey }) => [
+      trip.trip_id,
+      journey
+        ? compareEmissions(trip, tripStopList, stops, journey.boardIndex, journey.alightIndex)
+        : compareEmissions(trip, tripStopList, stops)
+    ])),
+    [visibleTrips, stops]
+  )
+  const emissionsTotal = useMemo(() => sumEmissions([...tripEmissions.values()]), [tripEmissions])
+  const connectionEmissions = useMemo(
+    () => connections.map(itinerary => compareItineraryEmissions(itinerary, stops)),
+    [connections, stops]
+  )
+
+  const handleOperatorToggle = useCallback((agencyId) => {
+    setHiddenAgencyIds(prev => prev.includes(agencyId)
+      ? prev.filter(id => id !== agencyId)
+      : [...prev, agencyId])
+  }, [])
+
+  // The selected trip is only shown while it is part of the visible trips
+  const selectedTrip = useMemo(
+    () => visibleTrips.find(({ trip }) => trip.trip_id === selectedTripId) ?? null,
+    [visibleTrips, selectedTripId]
+  )
 
   // Save selected station groups to localStorage whenever they change
   // Only save after initial restoration to avoid overwriting saved data
   useEffect(() => {
-    if (isRestoredRef.current) {
+    if (isRestoredRef.current && !embed) {
       saveSelectedStationGroups(selectedStationGroups);
     }
-  }, [selectedStationGroups]);
+  }, [selectedStationGroups, embed]);
+
+  // Save journey stations to localStorage whenever they change
+  useEffect(() => {
+    if (isRestoredRef.current && !embed) {
+      saveJourneyStationGroups({ from: fromStationGroups, to: toStationGroups });
+    }
+  }, [fromStationGroups, toStationGroups, embed]);
+
+  // Save trip filters to localStorage whenever they change
+  useEffect(() => {
+    if (!embed) {
+      saveTripFilters(tripFilters);
+    }
+  }, [tripFilters, embed]);
+
+  // Save transfer settings to localStorage whenever they change
+  useEffect(() => {
+    if (!embed) {
+      saveTransferSettings(transferSettings);
+    }
+  }, [transferSettings, embed]);
+
+  // Save filter mode to localStorage whenever it changes
+  useEffect(() => {
+    if (!embed) {
+      saveFilterMode(filterMode);
+    }
+  }, [filterMode, embed]);
+
+  // Save the country selection to localStorage whenever it changes
+  useEffect(() => {
+    if (!embed) {
+      saveCountrySelection(countrySelection);
+    }
+  }, [countrySelection, embed]);
+
+  // Save the map layer to localStorage whenever it changes
+  useEffect(() => {
+    if (!embed) {
+      saveMapLayer(mapLayer);
+    }
+  }, [mapLayer, embed]);
 
   // Save grouping preference to localStorage whenever it changes
   useEffect(() => {
-    saveGroupingEnabled(groupingEnabled);
-  }, [groupingEnabled]);
+    if (!embed) {
+      saveGroupingEnabled(groupingEnabled);
+    }
+  }, [groupingEnabled, embed]);
+
+  // Save the language to localStorage and announce it to the browser and screen readers
+  useEffect(() => {
+    if (!embed) {
+      saveLanguage(language);
+    }
+    document.documentElement.lang = language;
+  }, [language, embed]);
 
   const handleStationGroupAdd = (group) => {
-    if (!selectedStationGroups.find(g => g.groupName === group.groupName)) {
+    if (!selectedStationGroups.find(g => getGroupKey(g) === getGroupKey(group))) {
       setSelectedStationGroups([...selectedStationGroups, group])
     }
   }
 
-  const handleStationGroupRemove = (groupName) => {
-    setSelectedStationGroups(selectedStationGroups.filter(g => g.groupName !== groupName))
+  const handleStationGroupRemove = (groupKey) => {
+    setSelectedStationGroups(selectedStationGroups.filter(g => getGroupKey(g) !== groupKey))
+  }
+
+  const handleFromGroupAdd = (group) => {
+    if (!fromStationGroups.find(g => getGroupKey(g) === getGroupKey(group))) {
+      setFromStationGroups([...fromStationGroups, group])
+      setSelectedItineraryIndex(0)
+    }
+  }
+
+  const handleFromGroupRemove = (groupKey) => {
+    setFromStationGroups(fromStationGroups.filter(g => getGroupKey(g) !== groupKey))
+    setSelectedItineraryIndex(0)
+  }
+
+  const handleToGroupAdd = (group) => {
+    if (!toStationGroups.find(g => getGroupKey(g) === getGroupKey(group))) {
+      setToStationGroups([...toStationGroups, group])
+      setSelectedItineraryIndex(0)
+    }
+  }
+
+  const handleToGroupRemove = (groupKey) => {
+    setToStationGroups(toStationGroups.filter(g => getGroupKey(g) !== groupKey))
+    setSelectedItineraryIndex(0)
+  }
+
+  const handleToggleTransfers = () => {
+    setTransferSettings(prev => ({ ...prev, enabled: !prev.enabled }))
+    setSelectedItineraryIndex(0)
+  }
+
+  const handleMinTransferChange = (e) => {
+    const minutes = parseInt(e.target.value, 10)
+    setTransferSettings(prev => ({ ...prev, minTransferMinutes: isNaN(minutes) ? 0 : Math.max(0, minutes) }))
+    setSelectedItineraryIndex(0)
+  }
+
+  // Destinations are searched from a single origin, so a new one replaces the previous
+  const handleOriginGroupAdd = (group) => {
+    setFromStationGroups([group])
+  }
+
+  const handleTripSelect = (tripId) => {
+    setSelectedTripId(prev => prev === tripId ? null : tripId)
   }
 
   const handleToggleGrouping = () => {
@@ -178,58 +633,341 @@ function App() {
   }
 
   if (loading) {
-    return <div className="loading">Loading data...</div>
+    return <div className="loading">{t('app.loading')}</div>
   }
 
   if (error) {
-    return <div className="error">Error: {error}</div>
+    return <div className="error">{t('app.error', { message: error })}</div>
+  }
+
+  const tripMap = (
+    <TripMap
+      stops={stops}
+      filteredTrips={visibleTrips}
+      selectedStationGroups={highlightedStationGroups}
+      itinerary={showConnections ? selectedItinerary : null}
+      selectedTripId={showConnections ? null : selectedTrip?.trip.trip_id ?? null}
+      onTripSelect={handleTripSelect}
+      initialView={initialMapView}
+      onViewChange={setMapView}
+      mapLayer={mapLayer}
+      routes={routes}
+      agencies={agencies}
+      routeMapEntries={routeMapEntries}
+      operators={showConnections ? [] : operatorLegend}
+      onOperatorToggle={handleOperatorToggle}
+      onRouteSelect={embed ? null : (routeId) => setRouteIds([routeId])}
+      countries={highlightedCountries}
+      destinations={destinations}
+      tripEmissions={tripEmissions}
+      compact={embed}
+      fullMapUrl={embed ? `${window.location.origin}${window.location.pathname}${urlSearch}` : null}
+    />
+  )
+
+  if (embed) {
+    return (
+      <I18nContext.Provider value={i18n}>
+        <div className="app embed">{tripMap}</div>
+      </I18nContext.Provider>
+    )
   }
 
   return (
-    <div className="app">
-      <header className="app-header">
-        <h1>Night Train Map</h1>
-        <p>Filter trips by stations and view them on the map</p>
-      </header>
+    <I18nContext.Provider value={i18n}>
+      <div className="app">
+        <header className="app-header">
+          <div>
+            <h1>{t('app.title')}</h1>
+            <p>{t('app.subtitle')}</p>
+            <DataStatus dataDate={dataDate} />
+          </div>
+          <LanguageSwitcher language={language} onLanguageChange={setLanguage} />
+        </header>
       
-      <div className="app-content">
-        <aside className="sidebar">
-          <StationAutocomplete 
-            stationGroups={displayStationGroups}
-            selectedGroups={selectedStationGroups}
-            onGroupAdd={handleStationGroupAdd}
-            onGroupRemove={handleStationGroupRemove}
-            groupingEnabled={groupingEnabled}
-            onToggleGrouping={handleToggleGrouping}
-          />
+        <div className="app-content">
+          <aside className="sidebar">
+            <div className="mode-switch" role="group" aria-label={t('mode.label')}>
+              <button
+                className={filterMode === 'stations' ? 'active' : ''}
+                aria-pressed={filterMode === 'stations'}
+                onClick={() => setFilterMode('stations')}
+              >
+                {t('mode.stations')}
+              </button>
+              <button
+                className={filterMode === 'journey' ? 'active' : ''}
+                aria-pressed={filterMode === 'journey'}
+                onClick={() => setFilterMode('journey')}
+              >
+                {t('mode.journey')}
+              </button>
+              <button
+                className={filterMode === 'countries' ? 'active' : ''}
+                aria-pressed={filterMode === 'countries'}
+                onClick={() => setFilterMode('countries')}
+              >
+                {t('mode.countries')}
+              </button>
+              <button
+                className={filterMode === 'destinations' ? 'active' : ''}
+                aria-pressed={filterMode === 'destinations'}
+                onClick={() => setFilterMode('destinations')}
+              >
+                {t('mode.destinations')}
+              </button>
+            </div>
+
+            {filterMode === 'countries' ? (
+              <CountrySelector
+                countries={countryCounts}
+                selection={countrySelection}
+                onSelectionChange={setCountrySelection}
+              />
+            ) : filterMode === 'destinations' ? (
+              <StationAutocomplete
+                stationGroups={displayStationGroups}
+                selectedGroups={fromStationGroups}
+                onGroupAdd={handleOriginGroupAdd}
+                onGroupRemove={handleFromGroupRemove}
+                groupingEnabled={groupingEnabled}
+                onToggleGrouping={handleToggleGrouping}
+                title={t('destinations.originTitle')}
+                placeholder={t('journey.fromPlaceholder')}
+                selectedLabel={t('destinations.originSelected')}
+              />
+            ) : filterMode === 'journey' ? (
+              <>
+                <StationAutocomplete
+                  stationGroups={displayStationGroups}
+                  selectedGroups={fromStationGroups}
+                  onGroupAdd={handleFromGroupAdd}
+                  onGroupRemove={handleFromGroupRemove}
+                  groupingEnabled={groupingEnabled}
+                  onToggleGrouping={handleToggleGrouping}
+                  title={t('journey.from')}
+                  placeholder={t('journey.fromPlaceholder')}
+                  selectedLabel={t('journey.fromSelected')}
+                />
+                <StationAutocomplete
+                  stationGroups={displayStationGroups}
+                  selectedGroups={toStationGroups}
+                  onGroupAdd={handleToGroupAdd}
+                  onGroupRemove={handleToGroupRemove}
+                  title={t('journey.to')}
+                  placeholder={t('journey.toPlaceholder')}
+                  selectedLabel={t('journey.toSelected')}
+                />
+                <div className="transfer-options">
+                  <label className="transfer-toggle">
+                    <input
+                      type="checkbox"
+                      checked={transferSettings.enabled}
+                      onChange={handleToggleTransfers}
+                    />
+                    <span>{t('journey.transfers')}</span>
+                  </label>
+                  {transferSettings.enabled && (
+                    <label className="transfer-time">
+                      <span>{t('journey.minTransfer')}</span>
+                      <input
+                        type="number"
+                        min="0"
+                        step="5"
+                        value={transferSettings.minTransferMinutes}
+                        onChange={handleMinTransferChange}
+                      />
+                    </label>
+                  )}
+                </div>
+              </>
+            ) : (
+              <StationAutocomplete 
+                stationGroups={displayStationGroups}
+                selectedGroups={selectedStationGroups}
+                onGroupAdd={handleStationGroupAdd}
+                onGroupRemove={handleStationGroupRemove}
+                groupingEnabled={groupingEnabled}
+                onToggleGrouping={handleToggleGrouping}
+              />
+            )}
           
-          <div className="trip-info">
-            <h3>Filtered Trips</h3>
-            <p>{filteredTrips.length} trip(s) found</p>
+            <TripFilters
+              classCategories={classCategories}
+              operators={operators}
+              filters={tripFilters}
+              onFiltersChange={setTripFilters}
+            />
+
+            {routeIds.length > 0 && (
+              <div className="route-selection">
+                <span>
+                  {t('route.selected', { names: routeIds.map(id => routes[id]?.route_short_name || id).join(', ') })}
+                </span>
+                <button onClick={() => setRouteIds([])}>{t('route.clear')}</button>
+              </div>
+            )}
+
+            <div className="date-filter">
+              <label htmlFor="travel-date">{t('date.label')}</label>
+              <div className="date-filter-input">
+                <input
+                  id="travel-date"
+                  type="date"
+                  value={travelDate}
+                  onChange={(e) => setTravelDate(e.target.value)}
+                />
+                {travelDate && (
+                  <button onClick={() => setTravelDate('')} aria-label={t('date.clear')}>
+                    ×
+                  </button>
+                )}
+              </div>
+              <small>
+                {travelDate
+                  ? t('date.running', { count: runningTrips.length, total: tripsMatchingFilters.length })
+                  : t('date.any')}
+              </small>
+            </div>
+
+            {!showConnections && (
+              <label className="map-layer-toggle">
+                <input
+                  type="checkbox"
+                  checked={mapLayer === 'routes'}
+                  onChange={(e) => setMapLayer(e.target.checked ? 'routes' : 'trips')}
+                />
+                <span>{t('map.showRoutes')}</span>
+              </label>
+            )}
+
+            {filterMode === 'destinations' && fromStationGroups.length > 0 ? (
+              <DestinationList
+                destinations={destinations}
+                metric={destinationMetric}
+                onMetricChange={setDestinationMetric}
+                sortBy={destinationSort}
+                onSortChange={setDestinationSort}
+                selectedTripId={selectedTrip?.trip.trip_id ?? null}
+                onTripSelect={handleTripSelect}
+              />
+            ) : showConnections ? (
+              <div className="trip-info">
+                <h3>{t('connections.title')}</h3>
+                <p>{t('connections.count', { count: connections.length })}</p>
+
+                {connections.length > 0 && (
+                  <div className="trip-list">
+                    {connections.map((itinerary, index) => (
+                      <button
+                        key={itinerary.legs.map(leg => leg.trip.trip_id).join('|')}
+                        className={`trip-item${itinerary === selectedItinerary ? ' selected' : ''}`}
+                        onClick={() => setSelectedItineraryIndex(index)}
+                      >
+                        <div className="itinerary-summary">
+                          <strong>{formatDuration(itinerary.duration)}</strong>
+                          <span>
+                            {itinerary.transfers === 0 ? t('connections.direct') : t('connections.transfers', { count: itinerary.transfers })}
+                          </span>
+                        </div>
+                        <TripEmissions comparison={connectionEmissions[index]} />
+                        {itinerary.legs.map(leg => (
+                          <div key={leg.trip.trip_id} className="journey-leg">
+                            <strong>{leg.trip.trip_short_name}</strong>
+                            <div>
+                              <span className="journey-time">
+                                {formatTime(leg.departure)}
+                                <sup>{formatDayOffset(leg.departure)}</sup>
+                              </span>
+                              {stops[leg.board.stop_id] ? stopName(stops[leg.board.stop_id]) : leg.board.stop_id}
+                            </div>
+                            <div>
+                              <span className="journey-time">
+                                {formatTime(leg.arrival)}
+                                <sup>{formatDayOffset(leg.arrival)}</sup>
+                              </span>
+                              {stops[leg.alight.stop_id] ? stopName(stops[leg.alight.stop_id]) : leg.alight.stop_id}
+                            </div>
+                          </div>
+                        ))}
+                      </button>
+                    ))}
+                  </div>
+                )}
+              </div>
+            ) : (
+              <div className="trip-info">
+                <h3>{t('trips.title')}</h3>
+                <p>
+                  {t('trips.count', { count: filteredTrips.length })}
+                  {visibleTrips.length < filteredTrips.length && `, ${t('trips.hidden', { count: filteredTrips.length - visibleTrips.length })}`}
+                </p>
+
+                {emissionsTotal.count > 0 && <EmissionsTotal total={emissionsTotal} />}
             
-            {filteredTrips.length > 0 && (
-              <div className="trip-list">
-                {filteredTrips.map(({ trip }) => (
-                  <div key={trip.trip_id} className="trip-item">
-                    <strong>{trip.trip_short_name}</strong>
-                    <br />
-                    {trip.trip_origin} → {trip.trip_headsign}
+                {visibleTrips.length > 0 && (
+                  <TripExport trips={visibleTrips} stops={stops} />
+                )}
+
+                {visibleTrips.length > 0 && (
+                  <div className="trip-list">
+                    {visibleTrips.map(({ trip, journey }) => (
+                      <button
+                        key={trip.trip_id}
+                        className={`trip-item${trip.trip_id === selectedTripId ? ' selected' : ''}`}
+                        onClick={() => handleTripSelect(trip.trip_id)}
+                        aria-pressed={trip.trip_id === selectedTripId}
+                      >
+                        <strong>{trip.trip_short_name}</strong>
+                        <br />
+                        {placeName(trip.trip_origin)} → {placeName(trip.trip_headsign)}
+                        <TripEmissions comparison={tripEmissions.get(trip.trip_id)} />
+                        {journey && (
+                          <div className="journey-leg">
+                            <div>
+                              <span className="journey-time">
+                                {formatTime(journey.departure)}
+                                <sup>{formatDayOffset(journey.departure)}</sup>
+                              </span>
+                              {stops[journey.board.stop_id] ? stopName(stops[journey.board.stop_id]) : journey.board.stop_id}
+                            </div>
+                            <div>
+                              <span className="journey-time">
+                                {formatTime(journey.arrival)}
+                                <sup>{formatDayOffset(journey.arrival)}</sup>
+                              </span>
+                              {stops[journey.alight.stop_id] ? stopName(stops[journey.alight.stop_id]) : journey.alight.stop_id}
+                            </div>
+                            {journey.duration !== null && (
+                              <div className="journey-duration">{t('trips.duration', { duration: formatDuration(journey.duration) })}</div>
+                            )}
+                          </div>
+                        )}
+                      </button>
+                    ))}
                   </div>
-                ))}
+                )}
               </div>
             )}
-          </div>
-        </aside>
-
-        <main className="map-container">
-          <TripMap 
-            stops={stops}
-            filteredTrips={filteredTrips}
-            selectedStationGroups={selectedStationGroups}
-          />
-        </main>
+
+            {selectedTrip && !showConnections && (
+              <TripDetails
+                trip={selectedTrip.trip}
+                tripStops={selectedTrip.stops}
+                stops={stops}
+                onClose={() => setSelectedTripId(null)}
+              />
+            )}
+
+            <EmbedSnippet search={urlSearch} />
+          </aside>
+
+          <main className="map-container">
+            {tripMap}
+          </main>
+        </div>
       </div>
-    </div>
+    </I18nContext.Provider>
   )
 }
 
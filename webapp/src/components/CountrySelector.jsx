@@ -0,0 +1,67 @@
+import { useI18n } from '../i18n/I18nContext'
+import './CountrySelector.css'
+
+// Country mode: pick countries a trip has to serve and optionally where it goes from and to
+function CountrySelector({ countries, selection, onSelectionChange }) {
+  const { t } = useI18n()
+  const toggleCountry = (code) => {
+    const selected = selection.countries.includes(code)
+      ? selection.countries.filter(c => c !== code)
+      : [...selection.countries, code]
+    onSelectionChange({ ...selection, countries: selected })
+  }
+
+  const options = [...countries].sort((a, b) => a.name.localeCompare(b.name))
+
+  return (
+    <div className="country-selector">
+      <fieldset>
+        <legend>{t('countries.servingAll')}</legend>
+        <div className="filter-chips">
+          {countries.map(country => (
+            <label
+              key={country.code}
+              className={`filter-chip${selection.countries.includes(country.code) ? ' active' : ''}`}
+              title={country.name}
+            >
+              <input
+                type="checkbox"
+                checked={selection.countries.includes(country.code)}
+                onChange={() => toggleCountry(country.code)}
+              />
+              {country.code}
+              <span className="country-count">{country.count}</span>
+            </label>
+          ))}
+        </div>
+      </fieldset>
+
+      <fieldset className="country-direction">
+        <legend>{t('countries.direction')}</legend>
+        <select
+          aria-label={t('countries.from')}
+          value={selection.from}
+          onChange={(e) => onSelectionChange({ ...selection, from: e.target.value })}
+        >
+          <option value="">{t('countries.any')}</option>
+          {options.map(country => (
+            <option key={country.code} value={country.code}>{country.name}</option>
+          ))}
+        </select>
+        <span aria-hidden="true">→</span>
+        <select
+          aria-label={t('countries.to')}
+          value={selection.to}
+          onChange={(e) => onSelectionChange({ ...selection, to: e.target.value })}
+        >
+          <option value="">{t('countries.any')}</option>
+          {options.map(country => (
+            <option key={country.code} value={country.code}>{country.name}</option>
+          ))}
+        </select>
+      </fieldset>
+    </div>
+  )
+}
+
+export default CountrySelector
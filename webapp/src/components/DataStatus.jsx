@@ -0,0 +1,35 @@
+import { useSyncExternalStore } from 'react'
+import { useI18n } from '../i18n/I18nContext'
+import './DataStatus.css'
+
+function subscribeToConnection(callback) {
+  window.addEventListener('online', callback)
+  window.addEventListener('offline', callback)
+  return () => {
+    window.removeEventListener('online', callback)
+    window.removeEventListener('offline', callback)
+  }
+}
+
+// Date of the timetable data, and a notice while offline that the cached copy is shown
+function DataStatus({ dataDate }) {
+  const { t, language } = useI18n()
+  const isOnline = useSyncExternalStore(subscribeToConnection, () => navigator.onLine)
+
+  if (isOnline && !dataDate) {
+    return null
+  }
+
+  const date = dataDate
+    ? new Intl.DateTimeFormat(language, { dateStyle: 'medium', timeStyle: 'short' }).format(dataDate)
+    : null
+
+  return (
+    <div className={`data-status${isOnline ? '' : ' offline'}`} role="status">
+      {!isOnline && <span className="data-status-badge">{t('data.offline')}</span>}
+      {date && t(isOnline ? 'data.asOf' : 'data.cachedAsOf', { date })}
+    </div>
+  )
+}
+
+export default DataStatus
@@ -0,0 +1,71 @@
+import { formatTime, formatDuration, formatDayOffset } from '../utils/time'
+import { DESTINATION_METRICS } from '../utils/destinations'
+import { useI18n } from '../i18n/I18nContext'
+import './DestinationList.css'
+
+const SORT_OPTIONS = [...Object.keys(DESTINATION_METRICS), 'name']
+
+// Sidebar list of the destinations reachable on a single trip, with the shading of the map
+function DestinationList({ destinations, metric, onMetricChange, sortBy, onSortChange, selectedTripId, onTripSelect }) {
+  const { t } = useI18n()
+
+  return (
+    <div className="trip-info destination-list">
+      <h3>{t('destinations.title')}</h3>
+      <p>{t('destinations.count', { count: destinations.length })}</p>
+
+      <div className="destination-controls">
+        <label>
+          <span>{t('destinations.shadeBy')}</span>
+          <select value={metric} onChange={(e) => onMetricChange(e.target.value)}>
+            {Object.entries(DESTINATION_METRICS).map(([value, label]) => (
+              <option key={value} value={value}>{t(`destinations.metric.${value}`, { defaultValue: label })}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          <span>{t('destinations.sortBy')}</span>
+          <select value={sortBy} onChange={(e) => onSortChange(e.target.value)}>
+            {SORT_OPTIONS.map(value => (
+              <option key={value} value={value}>
+                {t(`destinations.metric.${value}`, { defaultValue: DESTINATION_METRICS[value] })}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {destinations.length > 0 && (
+        <div className="trip-list">
+          {destinations.map(destination => (
+            <button
+              key={destination.key}
+              className={`trip-item${destination.trip.trip_id === selectedTripId ? ' selected' : ''}`}
+              onClick={() => onTripSelect(destination.trip.trip_id)}
+              aria-pressed={destination.trip.trip_id === selectedTripId}
+            >
+              <div className="destination-title">
+                <span className="destination-swatch" style={{ background: destination.color }} />
+                <strong>{destination.name}</strong>
+                {destination.country && <span className="destination-country">{destination.country}</span>}
+              </div>
+              <div className="destination-times">
+                <span>
+                  {t('destinations.arrival')} {destination.arrival !== null ? formatTime(destination.arrival) : '?'}
+                  <sup>{formatDayOffset(destination.arrival)}</sup>
+                </span>
+                <span>{destination.duration !== null ? formatDuration(destination.duration) : t('destinations.durationUnknown')}</span>
+              </div>
+              <small>
+                {destination.trip.trip_short_name}
+                {destination.tripIds.length > 1 && ` ${t('destinations.fastestOf', { count: destination.tripIds.length })}`}
+              </small>
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default DestinationList
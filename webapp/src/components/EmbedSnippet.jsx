@@ -0,0 +1,84 @@
+import { useState } from 'react'
+import { buildEmbedUrl } from '../utils/urlState'
+import { useI18n } from '../i18n/I18nContext'
+import './EmbedSnippet.css'
+
+const DEFAULT_SIZE = { width: 600, height: 450 }
+
+// Quotes and ampersands would end or garble the attribute value
+function escapeAttribute(value) {
+  return value.replace(/&/g, '&amp;').replace(/"/g, '&quot;')
+}
+
+// iframe code showing the current view on another website, e.g. "night trains from Vienna"
+function EmbedSnippet({ search }) {
+  const { t } = useI18n()
+  const [size, setSize] = useState(DEFAULT_SIZE)
+  // The code last copied, so the button shows it was copied until the view or size changes
+  const [copiedCode, setCopiedCode] = useState(null)
+
+  const src = buildEmbedUrl(search, `${window.location.origin}${window.location.pathname}`)
+  const code = `<iframe src="${escapeAttribute(src)}" width="${size.width}" height="${size.height}" ` +
+    `style="border:0" title="${escapeAttribute(t('app.title'))}" loading="lazy"></iframe>`
+
+  const handleSizeChange = (key, value) => {
+    const pixels = parseInt(value, 10)
+    setSize(prev => ({ ...prev, [key]: isNaN(pixels) ? DEFAULT_SIZE[key] : Math.max(200, pixels) }))
+  }
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(code)
+      setCopiedCode(code)
+    } catch (err) {
+      console.error('Failed to copy the embed code:', err)
+    }
+  }
+
+  return (
+    <details className="embed-snippet">
+      <summary>{t('embed.title')}</summary>
+      <p>{t('embed.description')}</p>
+
+      <div className="embed-snippet-size">
+        <label>
+          <span>{t('embed.width')}</span>
+          <input
+            type="number"
+            min="200"
+            step="10"
+            value={size.width}
+            onChange={(e) => handleSizeChange('width', e.target.value)}
+          />
+        </label>
+        <label>
+          <span>{t('embed.height')}</span>
+          <input
+            type="number"
+            min="200"
+            step="10"
+            value={size.height}
+            onChange={(e) => handleSizeChange('height', e.target.value)}
+          />
+        </label>
+      </div>
+
+      <textarea
+        readOnly
+        rows={4}
+        value={code}
+        aria-label={t('embed.code')}
+        onFocus={(e) => e.target.select()}
+      />
+
+      <div className="embed-snippet-actions">
+        <button onClick={handleCopy}>
+          {copiedCode === code ? t('embed.copied') : t('embed.copy')}
+        </button>
+        <a href={src} target="_blank" rel="noopener">{t('embed.preview')}</a>
+      </div>
+    </details>
+  )
+}
+
+export default EmbedSnippet
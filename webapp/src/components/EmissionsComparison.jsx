@@ -0,0 +1,45 @@
+import { formatEmissions } from '../utils/emissions'
+import { useI18n } from '../i18n/I18nContext'
+import './EmissionsComparison.css'
+
+// CO₂e of a train ride next to a flight and a car ride between the same stations, as bars
+function EmissionsComparison({ comparison, title }) {
+  const { t } = useI18n()
+  const rows = [
+    { key: 'train', label: t('emissions.train'), value: comparison.train.emissions },
+    { key: 'car', label: t('emissions.car'), value: comparison.car },
+    { key: 'flight', label: t('emissions.flight'), value: comparison.flight }
+  ]
+  const max = Math.max(...rows.map(row => row.value ?? 0))
+
+  if (rows.every(row => row.value === null)) {
+    return null
+  }
+
+  return (
+    <div className="emissions-comparison">
+      <h4>{title ?? t('emissions.title')}</h4>
+      <dl>
+        {rows.map(row => (
+          <div key={row.key} className={`emissions-row ${row.key}`}>
+            <dt>{row.label}</dt>
+            <dd>
+              <span className="emissions-track">
+                <span className="emissions-bar" style={{ width: max > 0 ? `${((row.value ?? 0) / max) * 100}%` : 0 }} />
+              </span>
+              <span className="emissions-value">
+                {row.value !== null ? formatEmissions(row.value) : t('common.unknown')}
+                {row.key === 'train' && comparison.train.estimated && row.value !== null && ` ${t('emissions.estimate')}`}
+              </span>
+            </dd>
+          </div>
+        ))}
+      </dl>
+      {comparison.saving !== null && comparison.saving > 0 && (
+        <p className="emissions-saving">{t('emissions.saving', { amount: formatEmissions(comparison.saving) })}</p>
+      )}
+    </div>
+  )
+}
+
+export default EmissionsComparison
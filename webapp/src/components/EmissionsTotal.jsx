@@ -0,0 +1,30 @@
+import { formatEmissions } from '../utils/emissions'
+import { useI18n } from '../i18n/I18nContext'
+import './EmissionsComparison.css'
+
+// Summed CO₂e of all listed trips compared to flying and driving the same city pairs
+function EmissionsTotal({ total }) {
+  const { t } = useI18n()
+
+  return (
+    <div className="emissions-total">
+      {total.saving > 0 && (
+        <div className="emissions-total-saving">
+          {t(total.count === 1 ? 'emissions.totalSavingOne' : 'emissions.totalSaving', { count: total.count })}
+          {' '}<strong>{formatEmissions(total.saving)} CO₂e</strong>
+          {' '}{t('emissions.perPassenger')}
+        </div>
+      )}
+      <small>
+        {t('emissions.totals', {
+          train: formatEmissions(total.train),
+          car: formatEmissions(total.car),
+          flight: formatEmissions(total.flight)
+        })}
+        {total.count < total.total && ` ${t('emissions.leftOut', { count: total.total - total.count })}`}
+      </small>
+    </div>
+  )
+}
+
+export default EmissionsTotal
@@ -0,0 +1,21 @@
+import { LANGUAGES } from '../i18n'
+import { useI18n } from '../i18n/I18nContext'
+import './LanguageSwitcher.css'
+
+// Language selection in the header; the names are written in their own language
+function LanguageSwitcher({ language, onLanguageChange }) {
+  const { t } = useI18n()
+
+  return (
+    <label className="language-switcher">
+      <span className="visually-hidden">{t('app.language')}</span>
+      <select value={language} onChange={(e) => onLanguageChange(e.target.value)}>
+        {Object.entries(LANGUAGES).map(([code, name]) => (
+          <option key={code} value={code} lang={code}>{name}</option>
+        ))}
+      </select>
+    </label>
+  )
+}
+
+export default LanguageSwitcher
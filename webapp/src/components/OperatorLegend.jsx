@@ -0,0 +1,32 @@
+import { useI18n } from '../i18n/I18nContext'
+import './OperatorLegend.css'
+
+// Map legend listing the operators of the shown trips; clicking an operator hides or shows its trips
+function OperatorLegend({ operators, onToggle }) {
+  const { t } = useI18n()
+
+  return (
+    <div className="operator-legend">
+      <h4>{t('operators.title')}</h4>
+      <ul>
+        {operators.map(operator => (
+          <li key={operator.id}>
+            <button
+              className={operator.hidden ? 'hidden' : ''}
+              onClick={() => onToggle(operator.id)}
+              aria-pressed={!operator.hidden}
+              title={t(operator.hidden ? 'operators.show' : 'operators.hide', { name: operator.name })}
+            >
+              <span className="operator-swatch" style={{ background: operator.color }} />
+              {operator.logoUrl && <img src={operator.logoUrl} alt="" loading="lazy" />}
+              <span className="operator-name">{operator.name}</span>
+              <span className="operator-count">{operator.count}</span>
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  )
+}
+
+export default OperatorLegend
@@ -0,0 +1,72 @@
+import { formatTime, parseTime } from '../utils/time'
+import { useI18n } from '../i18n/I18nContext'
+
+// Departure and arrival per direction from the trips, for routes missing in view_ontd_map.json
+function getTripDirections(trips, placeName) {
+  return trips.map(({ trip }) => ({
+    tripShortName: trip.trip_short_name,
+    origin: placeName(trip.trip_origin),
+    departure: formatTime(parseTime(trip.origin_departure_time)),
+    destination: placeName(trip.trip_headsign),
+    arrival: formatTime(parseTime(trip.destination_arrival_time)),
+    irregularities: trip.irregularities
+  }))
+}
+
+function RoutePopup({ route, trips, agencies, directions, onShowOnly }) {
+  const { t, placeName } = useI18n()
+  const title = route?.route_short_name || trips.map(({ trip }) => trip.trip_short_name).join(' = ')
+  const shownDirections = directions.length > 0 ? directions : getTripDirections(trips, placeName)
+
+  return (
+    <div className="route-popup">
+      {route?.picture && (
+        <img className="route-popup-picture" src={route.picture} alt="" loading="lazy" />
+      )}
+      <strong>{title}</strong>
+
+      {agencies.length > 0 && (
+        <div className="route-popup-agencies">
+          {agencies.map(agency => (
+            agency.logoUrl
+              ? <img key={agency.id} src={agency.logoUrl} alt={agency.name} title={agency.name} loading="lazy" />
+              : <span key={agency.id}>{agency.name}</span>
+          ))}
+        </div>
+      )}
+
+      {route?.countries && <div>{t('route.countries')}: {route.countries}</div>}
+
+      <ul className="route-popup-directions">
+        {shownDirections.map((direction, index) => (
+          <li key={`${direction.tripShortName}-${index}`}>
+            {direction.tripShortName && <strong>{direction.tripShortName}</strong>}
+            <div>
+              <span className="journey-time">{direction.departure}</span>
+              {placeName(direction.origin)}
+            </div>
+            <div>
+              <span className="journey-time">{direction.arrival}</span>
+              {placeName(direction.destination)}
+            </div>
+            {direction.irregularities && <small>{direction.irregularities}</small>}
+          </li>
+        ))}
+      </ul>
+
+      {route?.source && (
+        <a href={route.source} target="_blank" rel="noopener noreferrer">
+          {t('route.website')}
+        </a>
+      )}
+
+      {onShowOnly && (
+        <button className="route-popup-show-only" onClick={onShowOnly}>
+          {t('route.showOnly')}
+        </button>
+      )}
+    </div>
+  )
+}
+
+export default RoutePopup
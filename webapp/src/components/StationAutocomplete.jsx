@@ -1,99 +1,239 @@
-import { useState, useMemo } from 'react'
+import { useState, useMemo, useRef, useEffect, useId } from 'react'
 import { searchStationGroups } from '../utils/searchInStationGroups.js'
+import { getGroupKey } from '../utils/stationGroups.js'
+import { useI18n } from '../i18n/I18nContext'
 import './StationAutocomplete.css'
 
-function StationAutocomplete({ stationGroups, selectedGroups, onGroupAdd, onGroupRemove, groupingEnabled, onToggleGrouping }) {
+// Station search following the WAI-ARIA combobox pattern: the input keeps the focus while
+// the arrow keys move the active option, which is announced through aria-activedescendant
+function StationAutocomplete({
+  stationGroups,
+  selectedGroups,
+  onGroupAdd,
+  onGroupRemove,
+  groupingEnabled,
+  onToggleGrouping,
+  title,
+  placeholder,
+  selectedLabel
+}) {
+  const { t, stopName, groupName } = useI18n()
   const [searchTerm, setSearchTerm] = useState('')
   const [showSuggestions, setShowSuggestions] = useState(false)
+  const [activeIndex, setActiveIndex] = useState(-1)
+  const inputRef = useRef(null)
+  const removeButtonsRef = useRef(new Map())
+  // Index of the chip whose remove button gets the focus after a removal
+  const pendingFocusRef = useRef(null)
 
-  // Get set of already selected group names
-  const selectedGroupNames = useMemo(
-    () => new Set(selectedGroups.map(g => g.groupName)),
+  const id = useId()
+  const titleId = `${id}-title`
+  const listId = `${id}-listbox`
+  const groupingToggleId = `${id}-grouping`
+  const getOptionId = (index) => `${id}-option-${index}`
+
+  // Get set of already selected group keys
+  const selectedGroupKeys = useMemo(
+    () => new Set(selectedGroups.map(getGroupKey)),
     [selectedGroups]
   )
 
   // Filter station groups based on search term and exclude already selected groups
-  const filteredGroups = searchStationGroups(stationGroups, searchTerm, 20)
-    .filter(group => !selectedGroupNames.has(group.groupName))
+  const filteredGroups = useMemo(
+    () => searchStationGroups(stationGroups, searchTerm, 20)
+      .filter(group => !selectedGroupKeys.has(getGroupKey(group))),
+    [stationGroups, searchTerm, selectedGroupKeys]
+  )
+
+  const isExpanded = showSuggestions && filteredGroups.length > 0
+
+  // Keep the active option visible while moving through a long list
+  useEffect(() => {
+    if (isExpanded && activeIndex >= 0) {
+      document.getElementById(`${id}-option-${activeIndex}`)?.scrollIntoView?.({ block: 'nearest' })
+    }
+  }, [isExpanded, activeIndex, id])
+
+  // Move the focus to the neighbouring chip after one was removed, or back to the input
+  useEffect(() => {
+    if (pendingFocusRef.current === null) {
+      return
+    }
+    const index = Math.min(pendingFocusRef.current, selectedGroups.length - 1)
+    pendingFocusRef.current = null
+    const button = index >= 0 ? removeButtonsRef.current.get(getGroupKey(selectedGroups[index])) : null
+    ;(button ?? inputRef.current)?.focus()
+  }, [selectedGroups])
 
   const handleInputChange = (e) => {
     setSearchTerm(e.target.value)
     setShowSuggestions(true)
+    setActiveIndex(-1)
   }
 
   const handleSelectGroup = (group) => {
     onGroupAdd(group)
     setSearchTerm('')
     setShowSuggestions(false)
+    setActiveIndex(-1)
+  }
+
+  const handleKeyDown = (e) => {
+    switch (e.key) {
+      case 'ArrowDown':
+        e.preventDefault()
+        if (!isExpanded) {
+          setShowSuggestions(true)
+          setActiveIndex(0)
+        } else {
+          setActiveIndex(prev => (prev + 1) % filteredGroups.length)
+        }
+        break
+      case 'ArrowUp':
+        e.preventDefault()
+        if (!isExpanded) {
+          setShowSuggestions(true)
+          setActiveIndex(filteredGroups.length - 1)
+        } else {
+          setActiveIndex(prev => (prev <= 0 ? filteredGroups.length - 1 : prev - 1))
+        }
+        break
+      case 'Enter':
+        if (isExpanded && activeIndex >= 0 && activeIndex < filteredGroups.length) {
+          e.preventDefault()
+          handleSelectGroup(filteredGroups[activeIndex])
+        }
+        break
+      case 'Escape':
+        // The first Escape closes the list, the second one clears the input
+        if (isExpanded) {
+          e.preventDefault()
+          setShowSuggestions(false)
+          setActiveIndex(-1)
+        } else if (searchTerm) {
+          e.preventDefault()
+          setSearchTerm('')
+        }
+        break
+      case 'Tab':
+        setShowSuggestions(false)
+        setActiveIndex(-1)
+        break
+      default:
+        break
+    }
+  }
+
+  const handleRemoveGroup = (groupKey, index) => {
+    pendingFocusRef.current = index
+    onGroupRemove(groupKey)
   }
 
-  const handleRemoveGroup = (groupName) => {
-    onGroupRemove(groupName)
+  // Announced by screen readers whenever the number of suggestions changes
+  let status = ''
+  if (showSuggestions && searchTerm) {
+    status = filteredGroups.length === 0
+      ? t('search.noResults')
+      : t('search.results', { count: filteredGroups.length })
   }
 
   return (
     <div className="station-autocomplete">
       <div className="autocomplete-header">
-        <h2>Filter by Stations</h2>
-        <label htmlFor="grouping-toggle" className="grouping-toggle">
-          <input 
-            id="grouping-toggle"
-            type="checkbox" 
-            checked={groupingEnabled} 
-            onChange={onToggleGrouping}
-            aria-label="Toggle station grouping"
-          />
-          <span>Group nearby stations</span>
-        </label>
+        <h2 id={titleId}>{title ?? t('search.title')}</h2>
+        {onToggleGrouping && (
+          <label htmlFor={groupingToggleId} className="grouping-toggle">
+            <input
+              id={groupingToggleId}
+              type="checkbox"
+              checked={groupingEnabled}
+              onChange={onToggleGrouping}
+            />
+            <span>{t('search.grouping')}</span>
+          </label>
+        )}
       </div>
-      
+
       <div className="search-container">
         <input
+          ref={inputRef}
           type="text"
           className="search-input"
-          placeholder="Search for a station..."
+          role="combobox"
+          aria-labelledby={titleId}
+          aria-autocomplete="list"
+          aria-expanded={isExpanded}
+          aria-controls={listId}
+          aria-activedescendant={isExpanded && activeIndex >= 0 ? getOptionId(activeIndex) : undefined}
+          autoComplete="off"
+          placeholder={placeholder ?? t('search.placeholder')}
           value={searchTerm}
           onChange={handleInputChange}
+          onKeyDown={handleKeyDown}
           onFocus={() => setShowSuggestions(true)}
-          onBlur={() => setTimeout(() => setShowSuggestions(false), 200)}
+          onBlur={() => {
+            setShowSuggestions(false)
+            setActiveIndex(-1)
+          }}
         />
-        
-        {showSuggestions && filteredGroups.length > 0 && (
-          <ul className="suggestions-list">
-            {filteredGroups.map(group => (
-              <li 
-                key={group.groupName}
-                className="suggestion-item"
-                onClick={() => handleSelectGroup(group)}
-              >
-                <div>
-                  <strong>{group.displayName}</strong>
-                  {group.stop_country && <span className="country">{group.stop_country}</span>}
+
+        <ul
+          id={listId}
+          role="listbox"
+          aria-labelledby={titleId}
+          className="suggestions-list"
+          hidden={!isExpanded}
+        >
+          {isExpanded && filteredGroups.map((group, index) => (
+            <li
+              key={getGroupKey(group)}
+              id={getOptionId(index)}
+              role="option"
+              aria-selected={index === activeIndex}
+              className={`suggestion-item${index === activeIndex ? ' active' : ''}`}
+              // Keep the focus in the input, so the list is not closed by its blur
+              onMouseDown={(e) => e.preventDefault()}
+              onMouseMove={() => setActiveIndex(index)}
+              onClick={() => handleSelectGroup(group)}
+            >
+              <div>
+                <strong>{groupName(group)}</strong>
+                {group.stop_country && <span className="country">{group.stop_country}</span>}
+              </div>
+              {group.isGroup && group.stations.length > 0 && (
+                <div className="group-stations">
+                  {group.stations.slice(0, 3).map(stopName).join(', ')}
+                  {group.stations.length > 3 && '...'}
                 </div>
-                {group.isGroup && group.stations.length > 0 && (
-                  <div className="group-stations">
-                    {group.stations.slice(0, 3).map(s => s.stop_name).join(', ')}
-                    {group.stations.length > 3 && '...'}
-                  </div>
-                )}
-              </li>
-            ))}
-          </ul>
-        )}
+              )}
+            </li>
+          ))}
+        </ul>
+
+        <div className="visually-hidden" role="status" aria-live="polite">
+          {status}
+        </div>
       </div>
 
       {selectedGroups.length > 0 && (
         <div className="selected-stations">
-          <h3>Selected Stations:</h3>
+          <h3>{selectedLabel ?? t('search.selected')}</h3>
           <ul className="station-tags">
-            {selectedGroups.map(group => (
-              <li key={group.groupName} className="station-tag">
-                {group.displayName}
+            {selectedGroups.map((group, index) => (
+              <li key={getGroupKey(group)} className="station-tag">
+                {groupName(group)}
                 {group.stop_country && <span className="tag-country">({group.stop_country})</span>}
-                <button 
+                <button
+                  ref={(button) => {
+                    if (button) {
+                      removeButtonsRef.current.set(getGroupKey(group), button)
+                    } else {
+                      removeButtonsRef.current.delete(getGroupKey(group))
+                    }
+                  }}
                   className="remove-btn"
-                  onClick={() => handleRemoveGroup(group.groupName)}
-                  aria-label="Remove station"
+                  onClick={() => handleRemoveGroup(getGroupKey(group), index)}
+                  aria-label={t('search.remove', { name: groupName(group) })}
                 >
                   ×
                 </button>
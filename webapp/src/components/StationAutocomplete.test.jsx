@@ -0,0 +1,172 @@
+import { useState } from 'react'
+import { afterEach, describe, expect, test } from 'vitest'
+import { cleanup, render, screen } from '@testing-library/react'
+import userEvent from '@testing-library/user-event'
+import StationAutocomplete from './StationAutocomplete'
+import { computeGroupId, getGroupKey } from '../utils/stationGroups.js'
+
+afterEach(cleanup)
+
+function station(name, country) {
+  const stop = { stop_id: name, stop_name: name, stop_country: country }
+  return {
+    id: computeGroupId([name]),
+    groupName: name,
+    displayName: name,
+    isGroup: false,
+    stations: [stop],
+    stop_country: country
+  }
+}
+
+// Searching "wien" lists the Vienna stations in this order
+const WIEN_HBF = station('Wien Hbf', 'AT')
+const WIEN_MEIDLING = station('Wien Meidling', 'AT')
+const WIEN_WESTBAHNHOF = station('Wien Westbahnhof', 'AT')
+const STATION_GROUPS = [WIEN_WESTBAHNHOF, WIEN_HBF, station('Venezia Santa Lucia', 'IT'), WIEN_MEIDLING]
+
+// Keeps the selection in state like App does, so chips are added and removed
+function Harness({ initialSelection = [] }) {
+  const [selectedGroups, setSelectedGroups] = useState(initialSelection)
+  return (
+    <StationAutocomplete
+      stationGroups={STATION_GROUPS}
+      selectedGroups={selectedGroups}
+      onGroupAdd={group => setSelectedGroups(prev => [...prev, group])}
+      onGroupRemove={key => setSelectedGroups(prev => prev.filter(group => getGroupKey(group) !== key))}
+      title="From"
+    />
+  )
+}
+
+function setup(initialSelection) {
+  const user = userEvent.setup()
+  render(<Harness initialSelection={initialSelection} />)
+  return { user, input: screen.getByRole('combobox') }
+}
+
+// The option the input points to with aria-activedescendant
+function getActiveOption(input) {
+  const id = input.getAttribute('aria-activedescendant')
+  return id ? document.getElementById(id) : null
+}
+
+describe('StationAutocomplete', () => {
+  test('moves through the options with the arrow keys, wrapping around', async () => {
+    const { user, input } = setup()
+    await user.type(input, 'wien')
+    expect(input.getAttribute('aria-expanded')).toBe('true')
+    expect(screen.getAllByRole('option').map(option => option.textContent))
+      .toEqual(['Wien HbfAT', 'Wien MeidlingAT', 'Wien WestbahnhofAT'])
+    expect(input.hasAttribute('aria-activedescendant')).toBe(false)
+
+    await user.keyboard('{ArrowDown}')
+    expect(getActiveOption(input).textContent).toContain('Wien Hbf')
+    await user.keyboard('{ArrowDown}{ArrowDown}')
+    expect(getActiveOption(input).textContent).toContain('Wien Westbahnhof')
+    await user.keyboard('{ArrowDown}')
+    expect(getActiveOption(input).textContent).toContain('Wien Hbf')
+    await user.keyboard('{ArrowUp}')
+    expect(getActiveOption(input).textContent).toContain('Wien Westbahnhof')
+  })
+
+  test('marks only the active option as selected', async () => {
+    const { user, input } = setup()
+    await user.type(input, 'wien')
+    await user.keyboard('{ArrowDown}{ArrowDown}')
+
+    const selected = screen.getAllByRole('option').filter(option => option.getAttribute('aria-selected') === 'true')
+    expect(selected).toHaveLength(1)
+    expect(selected[0].id).toBe(input.getAttribute('aria-activedescendant'))
+    expect(selected[0].textContent).toContain('Wien Meidling')
+  })
+
+  test('opens the list on the last option with ArrowUp', async () => {
+    const { user, input } = setup()
+    await user.type(input, 'wien')
+    await user.keyboard('{Escape}')
+    expect(input.getAttribute('aria-expanded')).toBe('false')
+
+    await user.keyboard('{ArrowUp}')
+    expect(input.getAttribute('aria-expanded')).toBe('true')
+    expect(getActiveOption(input).textContent).toContain('Wien Westbahnhof')
+  })
+
+  test('selects the active option with Enter', async () => {
+    const { user, input } = setup()
+    await user.type(input, 'wien')
+    await user.keyboard('{ArrowDown}{ArrowDown}{Enter}')
+
+    expect(screen.getByRole('button', { name: 'Remove Wien Meidling' })).toBeTruthy()
+    expect(input.value).toBe('')
+    expect(input.getAttribute('aria-expanded')).toBe('false')
+    expect(document.activeElement).toBe(input)
+
+    // Selected stations are no longer suggested
+    await user.type(input, 'wien')
+    expect(screen.getAllByRole('option').map(option => option.textContent))
+      .toEqual(['Wien HbfAT', 'Wien WestbahnhofAT'])
+  })
+
+  test('ignores Enter without an active option', async () => {
+    const { user, input } = setup()
+    await user.type(input, 'wien')
+    await user.keyboard('{Enter}')
+
+    expect(screen.queryByRole('button', { name: /^Remove/ })).toBeNull()
+    expect(input.value).toBe('wien')
+  })
+
+  test('closes the list with Escape, and clears the input with a second Escape', async () => {
+    const { user, input } = setup()
+    await user.type(input, 'wien')
+    await user.keyboard('{ArrowDown}{Escape}')
+
+    expect(input.getAttribute('aria-expanded')).toBe('false')
+    expect(input.hasAttribute('aria-activedescendant')).toBe(false)
+    expect(screen.queryAllByRole('option')).toHaveLength(0)
+    expect(input.value).toBe('wien')
+
+    await user.keyboard('{Escape}')
+    expect(input.value).toBe('')
+  })
+
+  test('announces the number of results', async () => {
+    const { user, input } = setup()
+    const status = screen.getByRole('status')
+    expect(status.textContent).toBe('')
+
+    await user.type(input, 'wien')
+    expect(status.textContent).toBe('3 station(s) found, use the up and down arrow keys to choose')
+
+    await user.type(input, ' hbf')
+    expect(status.textContent).toBe('1 station(s) found, use the up and down arrow keys to choose')
+
+    await user.type(input, 'x')
+    expect(status.textContent).toBe('No stations found')
+    expect(input.getAttribute('aria-expanded')).toBe('false')
+  })
+
+  test('moves the focus to the next chip after removing one', async () => {
+    const { user } = setup([WIEN_HBF, WIEN_MEIDLING, WIEN_WESTBAHNHOF])
+    await user.click(screen.getByRole('button', { name: 'Remove Wien Meidling' }))
+
+    expect(screen.queryByRole('button', { name: 'Remove Wien Meidling' })).toBeNull()
+    expect(document.activeElement).toBe(screen.getByRole('button', { name: 'Remove Wien Westbahnhof' }))
+  })
+
+  test('moves the focus to the previous chip after removing the last one', async () => {
+    const { user } = setup([WIEN_HBF, WIEN_MEIDLING])
+    await user.click(screen.getByRole('button', { name: 'Remove Wien Meidling' }))
+
+    expect(document.activeElement).toBe(screen.getByRole('button', { name: 'Remove Wien Hbf' }))
+  })
+
+  test('moves the focus back to the input after removing the only chip', async () => {
+    const { user, input } = setup([WIEN_HBF])
+    await user.click(screen.getByRole('button', { name: 'Remove Wien Hbf' }))
+
+    expect(screen.queryByRole('button', { name: /^Remove/ })).toBeNull()
+    expect(document.activeElement).toBe(input)
+  })
+})
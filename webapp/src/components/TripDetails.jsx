@@ -0,0 +1,96 @@
+import { useMemo } from 'react'
+import { getStopTimeline, formatTime, formatDayOffset, formatDuration } from '../utils/time'
+import { AMENITY_FIELDS, getAmenityStatus, isFlagSet, splitClasses } from '../utils/tripAttributes'
+import { compareEmissions } from '../utils/emissions'
+import { useI18n } from '../i18n/I18nContext'
+import EmissionsComparison from './EmissionsComparison'
+import './TripDetails.css'
+
+function TripDetails({ trip, tripStops, stops, onClose }) {
+  const { t, stopName, placeName } = useI18n()
+  const timeline = useMemo(() => getStopTimeline(tripStops), [tripStops])
+  const classes = splitClasses(trip.classes)
+  const emissions = compareEmissions(trip, tripStops, stops)
+
+  const facts = [
+    { label: t('trip.duration'), value: formatDuration(trip.duration_minutes) || t('common.unknown') },
+    { label: t('trip.classes'), value: classes.length > 0 ? classes.join(', ') : t('common.unknown') },
+    ...AMENITY_FIELDS.map(({ field, label }) => {
+      const status = getAmenityStatus(trip[field])
+      return { label: t(`amenities.${field}`, { defaultValue: label }), value: t(`common.${status}`), status }
+    }),
+    {
+      label: t('trip.distance'),
+      value: emissions.train.distance !== null
+        ? `${Math.round(emissions.train.distance)} km${trip.distance === '' || trip.distance === undefined ? ` ${t('emissions.estimate')}` : ''}`
+        : t('common.unknown')
+    }
+  ]
+
+  return (
+    <section className="trip-details" aria-label={t('trip.timetableOf', { name: trip.trip_short_name })}>
+      <div className="trip-details-header">
+        <div>
+          <h3>{trip.trip_short_name}</h3>
+          <div className="trip-details-route">{placeName(trip.trip_origin)} → {placeName(trip.trip_headsign)}</div>
+        </div>
+        <button className="close-btn" onClick={onClose} aria-label={t('trip.close')}>
+          ×
+        </button>
+      </div>
+
+      {trip.irregularities && (
+        <div className="trip-irregularities">{trip.irregularities}</div>
+      )}
+
+      <table className="timetable">
+        <thead>
+          <tr>
+            <th>{t('trip.station')}</th>
+            <th>{t('trip.arrival')}</th>
+            <th>{t('trip.departure')}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {tripStops.map((ts, index) => {
+            const stop = stops[ts.stop_id]
+            const { arrival, departure } = timeline[index]
+            return (
+              <tr key={ts.train_stop_id}>
+                <td>
+                  {stop ? stopName(stop) : ts.stop_id}
+                  <div className="stop-flags">
+                    {isFlagSet(ts.no_entry) && <span className="stop-flag" title={t('trip.noEntryTitle')}>{t('trip.noEntry')}</span>}
+                    {isFlagSet(ts.no_exit) && <span className="stop-flag" title={t('trip.noExitTitle')}>{t('trip.noExit')}</span>}
+                    {isFlagSet(ts.border_control) && <span className="stop-flag border" title={t('trip.borderControlTitle')}>{t('trip.borderControl')}</span>}
+                  </div>
+                </td>
+                <td className="time">
+                  {formatTime(arrival)}
+                  <sup>{formatDayOffset(arrival)}</sup>
+                </td>
+                <td className="time">
+                  {formatTime(departure)}
+                  <sup>{formatDayOffset(departure)}</sup>
+                </td>
+              </tr>
+            )
+          })}
+        </tbody>
+      </table>
+
+      <dl className="trip-facts">
+        {facts.map(({ label, value, status }) => (
+          <div key={label} className={status ? `trip-fact amenity-${status}` : 'trip-fact'}>
+            <dt>{label}</dt>
+            <dd>{value}</dd>
+          </div>
+        ))}
+      </dl>
+
+      <EmissionsComparison comparison={emissions} />
+    </section>
+  )
+}
+
+export default TripDetails
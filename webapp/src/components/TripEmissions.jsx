@@ -0,0 +1,24 @@
+import { formatEmissions } from '../utils/emissions'
+import { useI18n } from '../i18n/I18nContext'
+
+// One line with the CO₂e of a ride and its saving compared to flying, for the trip and connection lists
+function TripEmissions({ comparison }) {
+  const { t } = useI18n()
+
+  if (!comparison || comparison.train.emissions === null) {
+    return null
+  }
+
+  const train = t(comparison.train.estimated ? 'emissions.trainEstimate' : 'emissions.trainExact', {
+    amount: formatEmissions(comparison.train.emissions)
+  })
+  return (
+    <div className="trip-emissions">
+      {comparison.saving !== null && comparison.saving > 0
+        ? t('emissions.trainSaving', { train, saving: formatEmissions(comparison.saving) })
+        : train}
+    </div>
+  )
+}
+
+export default TripEmissions
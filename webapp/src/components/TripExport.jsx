@@ -0,0 +1,46 @@
+import { useState } from 'react'
+import { EXPORT_FORMATS } from '../utils/geoExport'
+import { useI18n } from '../i18n/I18nContext'
+import './TripExport.css'
+
+// Offer a generated file as a download
+function downloadFile(content, fileName, mimeType) {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }))
+  const link = document.createElement('a')
+  link.href = url
+  link.download = fileName
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  URL.revokeObjectURL(url)
+}
+
+function TripExport({ trips, stops }) {
+  const { t } = useI18n()
+  const [format, setFormat] = useState('geojson')
+
+  const handleExport = () => {
+    const { extension, mimeType, build } = EXPORT_FORMATS[format]
+    const date = new Date().toISOString().slice(0, 10)
+    downloadFile(build(trips, stops), `night-trains-${date}.${extension}`, mimeType)
+  }
+
+  return (
+    <div className="trip-export">
+      <select
+        value={format}
+        onChange={(e) => setFormat(e.target.value)}
+        aria-label={t('export.format')}
+      >
+        {Object.entries(EXPORT_FORMATS).map(([key, { label }]) => (
+          <option key={key} value={key}>{label}</option>
+        ))}
+      </select>
+      <button onClick={handleExport}>
+        {t('export.button', { count: trips.length })}
+      </button>
+    </div>
+  )
+}
+
+export default TripExport
@@ -0,0 +1,95 @@
+import { AMENITY_FIELDS } from '../utils/tripAttributes'
+import { useI18n } from '../i18n/I18nContext'
+import './TripFilters.css'
+
+function TripFilters({ classCategories, operators = [], filters, onFiltersChange }) {
+  const { t } = useI18n()
+  const activeCount = filters.classes.length + filters.amenities.length + filters.agencies.length
+
+  const toggle = (key, value) => {
+    const values = filters[key].includes(value)
+      ? filters[key].filter(v => v !== value)
+      : [...filters[key], value]
+    onFiltersChange({ ...filters, [key]: values })
+  }
+
+  const handleReset = () => {
+    onFiltersChange({ classes: [], amenities: [], agencies: [] })
+  }
+
+  return (
+    <div className="trip-filters">
+      <div className="trip-filters-header">
+        <h3>{t('filters.title')}</h3>
+        {activeCount > 0 && (
+          <button className="reset-filters" onClick={handleReset}>
+            {t('filters.reset', { count: activeCount })}
+          </button>
+        )}
+      </div>
+
+      {operators.length > 0 && (
+        <fieldset>
+          <legend>{t('filters.operators')}</legend>
+          <div className="filter-chips">
+            {operators.map(operator => (
+              <label
+                key={operator.id}
+                className={`filter-chip${filters.agencies.includes(operator.id) ? ' active' : ''}`}
+                title={operator.name}
+              >
+                <input
+                  type="checkbox"
+                  checked={filters.agencies.includes(operator.id)}
+                  onChange={() => toggle('agencies', operator.id)}
+                />
+                <span className="operator-dot" style={{ background: operator.color }} />
+                {operator.id}
+              </label>
+            ))}
+          </div>
+        </fieldset>
+      )}
+
+      <fieldset>
+        <legend>{t('filters.classes')}</legend>
+        <div className="filter-chips">
+          {classCategories.map(category => (
+            <label
+              key={category}
+              className={`filter-chip${filters.classes.includes(category) ? ' active' : ''}`}
+            >
+              <input
+                type="checkbox"
+                checked={filters.classes.includes(category)}
+                onChange={() => toggle('classes', category)}
+              />
+              {t(`classes.${category}`, { defaultValue: category })}
+            </label>
+          ))}
+        </div>
+      </fieldset>
+
+      <fieldset>
+        <legend>{t('filters.amenities')}</legend>
+        <div className="filter-chips">
+          {AMENITY_FIELDS.map(({ field, label }) => (
+            <label
+              key={field}
+              className={`filter-chip${filters.amenities.includes(field) ? ' active' : ''}`}
+            >
+              <input
+                type="checkbox"
+                checked={filters.amenities.includes(field)}
+                onChange={() => toggle('amenities', field)}
+              />
+              {t(`amenities.${field}`, { defaultValue: label })}
+            </label>
+          ))}
+        </div>
+      </fieldset>
+    </div>
+  )
+}
+
+export default TripFilters
@@ -1,9 +1,19 @@
 import { useEffect, useRef, useMemo } from 'react'
-import { MapContainer, TileLayer, Polyline, Marker, CircleMarker, Popup, useMap } from 'react-leaflet'
+import { MapContainer, TileLayer, Polyline, Polygon, Marker, CircleMarker, Popup, Tooltip, useMap, useMapEvents } from 'react-leaflet'
 import L from 'leaflet'
 import 'leaflet/dist/leaflet.css'
+import { formatTime, formatDuration, formatDayOffset } from '../utils/time'
+import { groupTripsByRoute, getRouteAgencies, getRouteDirections } from '../utils/routes'
+import { getAgencyColor, getMainAgencyId } from '../utils/agencies'
+import RoutePopup from './RoutePopup'
+import OperatorLegend from './OperatorLegend'
+import EmissionsComparison from './EmissionsComparison'
+import { useI18n } from '../i18n/I18nContext'
 import './TripMap.css'
 
+const ITINERARY_COLOR = '#e8590c'
+const COUNTRY_COLOR = '#667eea'
+
 // Fix Leaflet default icon issue
 delete L.Icon.Default.prototype._getIconUrl
 L.Icon.Default.mergeOptions({
@@ -13,10 +23,25 @@ L.Icon.Default.mergeOptions({
 })
 
 // Component to fit map bounds when trips change
-function MapBoundsUpdater({ filteredTrips, stops }) {
+// If the map was opened with an explicit view (e.g. from a shared URL), the first fit is skipped
+function MapBoundsUpdater({ filteredTrips, stops, hasInitialView }) {
   const map = useMap()
+  const keepInitialViewRef = useRef(hasInitialView)
+
+  // The explicit view is kept until the user moves the map
+  useMapEvents({
+    dragstart: () => { keepInitialViewRef.current = false },
+    zoomstart: (e) => { if (e.originalEvent) keepInitialViewRef.current = false }
+  })
 
   useEffect(() => {
+    if (keepInitialViewRef.current) {
+      if (filteredTrips.length > 0) {
+        keepInitialViewRef.current = false
+      }
+      return
+    }
+
     if (filteredTrips.length === 0) {
       // Default view of Europe
       map.setView([50.0, 10.0], 5)
@@ -43,8 +68,68 @@ function MapBoundsUpdater({ filteredTrips, stops }) {
   return null
 }
 
-function TripMap({ stops, filteredTrips, selectedStationGroups }) {
+// Component to report the map center and zoom after the user or the app moved the map
+function MapViewTracker({ onViewChange }) {
+  useMapEvents({
+    moveend: (e) => {
+      const map = e.target
+      const center = map.getCenter()
+      onViewChange({ center: [center.lat, center.lng], zoom: map.getZoom() })
+    }
+  })
+  return null
+}
+
+function TripMap({
+  stops,
+  filteredTrips,
+  selectedStationGroups,
+  itinerary,
+  selectedTripId,
+  onTripSelect,
+  initialView,
+  onViewChange,
+  mapLayer = 'trips',
+  routes = {},
+  agencies = {},
+  routeMapEntries = {},
+  operators = [],
+  onOperatorToggle,
+  onRouteSelect,
+  countries = [],
+  destinations = [],
+  tripEmissions = new Map(),
+  compact = false,
+  fullMapUrl = null
+}) {
+  const { t, stopName, placeName, agencyName } = useI18n()
   const mapRef = useRef(null)
+  // Itineraries are always drawn leg by leg
+  const showRoutes = mapLayer === 'routes' && !itinerary
+
+  // When an itinerary is shown, only draw the ridden part of each leg
+  const displayedTrips = useMemo(() => {
+    if (!itinerary) {
+      return filteredTrips
+    }
+    return itinerary.legs.map(leg => ({
+      trip: leg.trip,
+      stops: leg.stops.slice(leg.boardIndex, leg.alightIndex + 1)
+    }))
+  }, [itinerary, filteredTrips])
+
+  // Stops where the itinerary changes trains, with arrival and departure times
+  const transferStops = useMemo(() => {
+    const transfers = new Map()
+    if (itinerary) {
+      itinerary.legs.slice(1).forEach((leg, index) => {
+        const previous = itinerary.legs[index]
+        transfers.set(previous.alight.stop_id, { previous, next: leg })
+        transfers.set(leg.board.stop_id, { previous, next: leg })
+      })
+    }
+    return transfers
+  }, [itinerary])
 
   // Create a Set of selected station IDs for quick lookup
   const selectedStationIds = useMemo(() => {
@@ -67,7 +152,7 @@ function TripMap({ stops, filteredTrips, selectedStationGroups }) {
   const selectedStationsNotOnRoute = useMemo(() => {
     // Collect all stop IDs that appear in filtered trips
     const stopsOnRoutes = new Set()
-    filteredTrips.forEach(({ stops: tripStops }) => {
+    displayedTrips.forEach(({ stops: tripStops }) => {
       tripStops.forEach(ts => {
         stopsOnRoutes.add(ts.stop_id)
       })
@@ -92,33 +177,124 @@ function TripMap({ stops, filteredTrips, selectedStationGroups }) {
       })
     }
     return notOnRoute
-  }, [selectedStationGroups, filteredTrips, stops])
+  }, [selectedStationGroups, displayedTrips, stops])
 
-  // Generate random colors for different trips
-  const getColorForTrip = (index) => {
-    const colors = [
-      '#667eea', '#764ba2', '#f093fb', '#4facfe',
-      '#43e97b', '#fa709a', '#fee140', '#30cfd0'
-    ]
-    return colors[index % colors.length]
-  }
+  // One entry per route with the merged paths of both directions
+  const routeGroups = useMemo(
+    () => showRoutes ? groupTripsByRoute(displayedTrips, routes) : [],
+    [showRoutes, displayedTrips, routes]
+  )
 
   return (
-    <div className="trip-map">
+    <div className={`trip-map${compact ? ' compact' : ''}`}>
       <MapContainer
         ref={mapRef}
-        center={[50.0, 10.0]}
-        zoom={5}
+        center={initialView ? initialView.center : [50.0, 10.0]}
+        zoom={initialView ? initialView.zoom : 5}
+        // Embedded in another page, scrolling the page must not zoom the map
+        scrollWheelZoom={!compact}
         style={{ width: '100%', height: '100%' }}
       >
         <TileLayer
           attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
           url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+          // Load tiles with CORS, so the service worker can cache them for offline use
+          crossOrigin="anonymous"
         />
 
-        <MapBoundsUpdater filteredTrips={filteredTrips} stops={stops} />
+        <MapBoundsUpdater filteredTrips={displayedTrips} stops={stops} hasInitialView={Boolean(initialView)} />
+        {onViewChange && <MapViewTracker onViewChange={onViewChange} />}
+
+        {/* Shade the selected countries, approximated by the area covered by their stations */}
+        {countries.filter(country => country.outline.length > 0).map(country => (
+          <Polygon
+            key={`country-${country.code}`}
+            positions={country.outline}
+            pathOptions={{ color: COUNTRY_COLOR, weight: 1, dashArray: '4 4', fillOpacity: 0.08 }}
+          >
+            <Tooltip sticky>{t('map.countryTrips', { name: country.name, count: country.count })}</Tooltip>
+          </Polygon>
+        ))}
+
+        {showRoutes && routeGroups.map(({ routeId, route, trips: routeTrips, paths }) => {
+          const positions = paths
+            .map(path => path
+              .map(stopId => stops[stopId])
+              .filter(stop => stop && stop.stop_lat && stop.stop_lon)
+              .map(stop => [stop.stop_lat, stop.stop_lon]))
+            .filter(line => line.length > 1)
+          if (positions.length === 0) return null
+
+          const color = getAgencyColor(getMainAgencyId(routeTrips[0].trip))
+          const title = route?.route_short_name || routeTrips.map(({ trip }) => trip.trip_short_name).join(' = ')
+          const routeStopIds = [...new Set(paths.flat())]
+          // A trip selected in the list highlights its route
+          const isSelectedRoute = routeTrips.some(({ trip }) => trip.trip_id === selectedTripId)
+          const isDimmed = selectedTripId !== null && selectedTripId !== undefined && !isSelectedRoute
+
+          return (
+            <div key={`route-${routeId}`}>
+              <Polyline
+                positions={positions}
+                pathOptions={{
+                  color: color,
+                  weight: isSelectedRoute ? 6 : 4,
+                  opacity: isDimmed ? 0.15 : isSelectedRoute ? 1 : 0.8
+                }}
+              >
+                <Popup>
+                  <RoutePopup
+                    route={route}
+                    trips={routeTrips}
+                    agencies={route ? getRouteAgencies(route, agencies, agencyName) : []}
+                    directions={getRouteDirections(routeMapEntries[routeId])}
+                    onShowOnly={onRouteSelect && route ? () => onRouteSelect(routeId) : null}
+                  />
+                </Popup>
+              </Polyline>
+
+              {routeStopIds.map(stopId => {
+                const stop = stops[stopId]
+                if (!stop || !stop.stop_lat || !stop.stop_lon) return null
+
+                const popup = (
+                  <Popup>
+                    <div className="stop-popup">
+                      <strong>{stopName(stop)}</strong>
+                      {stop.stop_country && <div>{t('map.country')}: {stop.stop_country}</div>}
+                      <div style={{ marginTop: '0.5rem', color: '#666' }}>
+                        <strong>{title}</strong>
+                      </div>
+                    </div>
+                  </Popup>
+                )
+
+                return selectedStationIds.has(stopId) ? (
+                  <Marker key={stopId} position={[stop.stop_lat, stop.stop_lon]}>
+                    {popup}
+                  </Marker>
+                ) : (
+                  <CircleMarker
+                    key={stopId}
+                    center={[stop.stop_lat, stop.stop_lon]}
+                    radius={4}
+                    pathOptions={{
+                      fillColor: color,
+                      fillOpacity: isDimmed ? 0.15 : 0.6,
+                      color: color,
+                      opacity: isDimmed ? 0.15 : 1,
+                      weight: 1
+                    }}
+                  >
+                    {popup}
+                  </CircleMarker>
+                )
+              })}
+            </div>
+          )
+        })}
 
-        {filteredTrips.map(({ trip, stops: tripStops }, index) => {
+        {!showRoutes && displayedTrips.map(({ trip, stops: tripStops }) => {
           // Get coordinates for all stops in this trip
           const coordinates = tripStops
             .map(ts => {
@@ -132,17 +308,35 @@ function TripMap({ stops, filteredTrips, selectedStationGroups }) {
 
           if (coordinates.length === 0) return null
 
-          const color = getColorForTrip(index)
+          const color = itinerary ? ITINERARY_COLOR : getAgencyColor(getMainAgencyId(trip))
+          const isSelectedTrip = trip.trip_id === selectedTripId
+          // Dim all other trips while one trip is selected
+          const isDimmed = selectedTripId !== null && selectedTripId !== undefined && !isSelectedTrip
 
           return (
             <div key={trip.trip_id}>
               {/* Draw the route line */}
               <Polyline
                 positions={coordinates}
-                color={color}
-                weight={3}
-                opacity={0.7}
-              />
+                pathOptions={{
+                  color: color,
+                  weight: isSelectedTrip ? 6 : 3,
+                  opacity: isDimmed ? 0.15 : isSelectedTrip ? 1 : 0.7
+                }}
+                eventHandlers={onTripSelect ? { click: () => onTripSelect(trip.trip_id) } : undefined}
+              >
+                {!itinerary && tripEmissions.has(trip.trip_id) && (
+                  <Popup>
+                    <div className="stop-popup">
+                      <strong>{trip.trip_short_name}</strong>
+                      <div>{placeName(trip.trip_origin)} → {placeName(trip.trip_headsign)}</div>
+                      <div style={{ marginTop: '0.5rem' }}>
+                        <EmissionsComparison comparison={tripEmissions.get(trip.trip_id)} />
+                      </div>
+                    </div>
+                  </Popup>
+                )}
+              </Polyline>
 
               {/* Add markers for selected stops, circles for other stops */}
               {tripStops.map((ts, stopIndex) => {
@@ -150,9 +344,31 @@ function TripMap({ stops, filteredTrips, selectedStationGroups }) {
                 if (!stop || !stop.stop_lat || !stop.stop_lon) return null
 
                 const isSelected = selectedStationIds.has(ts.stop_id)
+                const transfer = transferStops.get(ts.stop_id)
 
-                // Use Marker for selected stations, CircleMarker for others
-                if (isSelected) {
+                // Use Marker for selected stations and transfers, CircleMarker for others
+                if (transfer) {
+                  return (
+                    <Marker
+                      key={ts.train_stop_id}
+                      position={[stop.stop_lat, stop.stop_lon]}
+                    >
+                      <Popup>
+                        <div className="stop-popup">
+                          <strong>{stopName(stop)}</strong>
+                          {stop.stop_country && <div>{t('map.country')}: {stop.stop_country}</div>}
+                          <div style={{ marginTop: '0.5rem', color: '#666' }}>
+                            {t('map.changeTrains')}
+                            <br />
+                            {t('map.arriveWith', { time: formatTime(transfer.previous.arrival), train: transfer.previous.trip.trip_short_name })}
+                            <br />
+                            {t('map.departWith', { time: formatTime(transfer.next.departure), train: transfer.next.trip.trip_short_name })}
+                          </div>
+                        </div>
+                      </Popup>
+                    </Marker>
+                  )
+                } else if (isSelected) {
                   return (
                     <Marker
                       key={ts.train_stop_id}
@@ -160,12 +376,12 @@ function TripMap({ stops, filteredTrips, selectedStationGroups }) {
                     >
                       <Popup>
                         <div className="stop-popup">
-                          <strong>{stop.stop_name}</strong>
-                          {stop.stop_country && <div>Country: {stop.stop_country}</div>}
+                          <strong>{stopName(stop)}</strong>
+                          {stop.stop_country && <div>{t('map.country')}: {stop.stop_country}</div>}
                           <div style={{ marginTop: '0.5rem', color: '#666' }}>
                             <strong>{trip.trip_short_name}</strong>
                             <br />
-                            Stop {stopIndex + 1} of {tripStops.length}
+                            {t('map.stopOf', { index: stopIndex + 1, count: tripStops.length })}
                           </div>
                         </div>
                       </Popup>
@@ -179,19 +395,20 @@ function TripMap({ stops, filteredTrips, selectedStationGroups }) {
                       radius={4}
                       pathOptions={{
                         fillColor: color,
-                        fillOpacity: 0.6,
+                        fillOpacity: isDimmed ? 0.15 : 0.6,
                         color: color,
+                        opacity: isDimmed ? 0.15 : 1,
                         weight: 1
                       }}
                     >
                       <Popup>
                         <div className="stop-popup">
-                          <strong>{stop.stop_name}</strong>
-                          {stop.stop_country && <div>Country: {stop.stop_country}</div>}
+                          <strong>{stopName(stop)}</strong>
+                          {stop.stop_country && <div>{t('map.country')}: {stop.stop_country}</div>}
                           <div style={{ marginTop: '0.5rem', color: '#666' }}>
                             <strong>{trip.trip_short_name}</strong>
                             <br />
-                            Stop {stopIndex + 1} of {tripStops.length}
+                            {t('map.stopOf', { index: stopIndex + 1, count: tripStops.length })}
                           </div>
                         </div>
                       </Popup>
@@ -203,6 +420,30 @@ function TripMap({ stops, filteredTrips, selectedStationGroups }) {
           )
         })}
 
+        {/* Destinations reachable from the origin, shaded by arrival time or duration */}
+        {destinations.filter(destination => destination.lat && destination.lon).map(destination => (
+          <CircleMarker
+            key={`destination-${destination.key}`}
+            center={[destination.lat, destination.lon]}
+            radius={7}
+            pathOptions={{ fillColor: destination.color, fillOpacity: 0.9, color: 'white', weight: 2 }}
+          >
+            <Popup>
+              <div className="stop-popup">
+                <strong>{destination.name}</strong>
+                {destination.country && <div>{t('map.country')}: {destination.country}</div>}
+                <div style={{ marginTop: '0.5rem', color: '#666' }}>
+                  {t('destinations.arrival')} {formatTime(destination.arrival)}{formatDayOffset(destination.arrival) && ` (${formatDayOffset(destination.arrival)})`}
+                  {destination.duration !== null && ` ${t('map.after', { duration: formatDuration(destination.duration) })}`}
+                  <br />
+                  {t('map.with', { train: destination.trip.trip_short_name })}
+                  {destination.tripIds.length > 1 && ` ${t('destinations.fastestOf', { count: destination.tripIds.length })}`}
+                </div>
+              </div>
+            </Popup>
+          </CircleMarker>
+        ))}
+
         {/* Add markers for selected stations not on any route */}
         {selectedStationsNotOnRoute.map((stop) => (
           <Marker
@@ -211,10 +452,10 @@ function TripMap({ stops, filteredTrips, selectedStationGroups }) {
           >
             <Popup>
               <div className="stop-popup">
-                <strong>{stop.stop_name}</strong>
-                {stop.stop_country && <div>Country: {stop.stop_country}</div>}
+                <strong>{stopName(stop)}</strong>
+                {stop.stop_country && <div>{t('map.country')}: {stop.stop_country}</div>}
                 <div style={{ marginTop: '0.5rem', color: '#666' }}>
-                  Not on any displayed route
+                  {t('map.notOnRoute')}
                 </div>
               </div>
             </Popup>
@@ -222,11 +463,25 @@ function TripMap({ stops, filteredTrips, selectedStationGroups }) {
         ))}
       </MapContainer>
 
-      {filteredTrips.length === 0 && (
+      {operators.length > 0 && (
+        <OperatorLegend operators={operators} onToggle={onOperatorToggle} />
+      )}
+
+      {displayedTrips.length === 0 && (
         <div className="map-overlay">
-          <p>Select stations to display trips on the map</p>
+          <p>
+            {operators.length > 0
+              ? t('map.allHidden')
+              : compact ? t('map.noTrips') : t('map.empty')}
+          </p>
         </div>
       )}
+
+      {fullMapUrl && (
+        <a className="map-full-link" href={fullMapUrl} target="_blank" rel="noopener">
+          {t('map.viewFull')}
+        </a>
+      )}
     </div>
   )
 }
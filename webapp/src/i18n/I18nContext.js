@@ -0,0 +1,16 @@
+/**
+ * React context providing the translation functions of the selected language
+ */
+
+import { createContext, useContext } from 'react';
+import { createI18n, DEFAULT_LANGUAGE } from './index.js';
+
+export const I18nContext = createContext(createI18n(DEFAULT_LANGUAGE, new Map()));
+
+/**
+ * Get the translation functions of the selected language, see createI18n
+ * @returns {Object} { language, t, stopName, placeName, agencyName, countryName, groupName }
+ */
+export function useI18n() {
+  return useContext(I18nContext);
+}
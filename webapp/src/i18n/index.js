@@ -0,0 +1,67 @@
+/**
+ * Internationalization of the UI: message catalogs per language and localized data names
+ */
+
+import en from './messages/en.js';
+import de from './messages/de.js';
+import fr from './messages/fr.js';
+import { getLocalizedStopName, getLocalizedPlaceName, getLocalizedAgencyName } from '../utils/translations.js';
+import { getCountryName } from '../utils/countries.js';
+
+export const LANGUAGES = {
+  en: 'English',
+  de: 'Deutsch',
+  fr: 'Français'
+};
+export const DEFAULT_LANGUAGE = 'en';
+
+const MESSAGES = { en, de, fr };
+
+/**
+ * Pick the first of the browser's preferred languages that the UI supports
+ * @returns {string} Language code
+ */
+export function getBrowserLanguage() {
+  const preferred = typeof navigator !== 'undefined' ? navigator.languages ?? [navigator.language] : [];
+  const supported = preferred
+    .map(code => String(code ?? '').split('-')[0].toLowerCase())
+    .find(code => code in LANGUAGES);
+  return supported ?? DEFAULT_LANGUAGE;
+}
+
+/**
+ * Create the translation functions for a language
+ * @param {string} language - Language code, one of LANGUAGES
+ * @param {Map} translationIndex - Result of buildTranslationIndex for translations.json
+ * @returns {Object} { language, t, stopName, placeName, agencyName, countryName, groupName }
+ */
+export function createI18n(language, translationIndex) {
+  const messages = MESSAGES[language] ?? MESSAGES[DEFAULT_LANGUAGE];
+
+  /**
+   * Translate a message, replacing placeholders such as {count} with the given params.
+   * Unknown keys fall back to English, then to params.defaultValue, then to the key itself.
+   */
+  const t = (key, params = {}) => {
+    const template = messages[key] ?? en[key] ?? params.defaultValue ?? key;
+    return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+  };
+
+  const stopName = (stop) => getLocalizedStopName(stop, language, translationIndex);
+  const placeName = (name) => (name ? getLocalizedPlaceName(name, language, translationIndex) : name);
+
+  // Station groups are named after their city, single stations after the station
+  const groupName = (group) => (group.isGroup
+    ? t('search.groupName', { name: placeName(group.groupName), count: group.stations.length })
+    : stopName(group.stations[0] ?? { stop_name: group.displayName }));
+
+  return {
+    language,
+    t,
+    stopName,
+    placeName,
+    agencyName: (agency) => getLocalizedAgencyName(agency, language, translationIndex),
+    countryName: (code) => getCountryName(code, language),
+    groupName
+  };
+}
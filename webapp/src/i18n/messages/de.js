@@ -0,0 +1,161 @@
+/**
+ * German messages
+ */
+
+export default {
+  'app.title': 'Nachtzug-Karte',
+  'app.subtitle': 'Fahrten nach Bahnhöfen filtern und auf der Karte ansehen',
+  'app.loading': 'Daten werden geladen...',
+  'app.error': 'Fehler: {message}',
+  'app.language': 'Sprache',
+
+  'data.asOf': 'Datenstand {date}',
+  'data.cachedAsOf': 'Fahrplan auf diesem Gerät gespeichert, Datenstand {date}',
+  'data.offline': 'Offline',
+
+  'common.yes': 'Ja',
+  'common.no': 'Nein',
+  'common.unknown': 'Unbekannt',
+
+  'mode.label': 'Filtermodus',
+  'mode.stations': 'Beliebiger Bahnhof',
+  'mode.journey': 'Von / Nach',
+  'mode.countries': 'Länder',
+  'mode.destinations': 'Ziele',
+
+  'search.title': 'Nach Bahnhöfen filtern',
+  'search.placeholder': 'Bahnhof suchen...',
+  'search.selected': 'Ausgewählte Bahnhöfe:',
+  'search.grouping': 'Nahe Bahnhöfe zusammenfassen',
+  'search.groupName': '{name} ({count} Bahnhöfe)',
+  'search.noResults': 'Keine Bahnhöfe gefunden',
+  'search.results': '{count} Bahnhof/Bahnhöfe gefunden, mit den Pfeiltasten nach oben und unten auswählen',
+  'search.remove': '{name} entfernen',
+
+  'journey.from': 'Von',
+  'journey.fromPlaceholder': 'Abfahrtsbahnhof suchen...',
+  'journey.fromSelected': 'Abfahrt ab:',
+  'journey.to': 'Nach',
+  'journey.toPlaceholder': 'Ankunftsbahnhof suchen...',
+  'journey.toSelected': 'Ankunft in:',
+  'journey.transfers': 'Verbindungen mit Umstieg einbeziehen',
+  'journey.minTransfer': 'Mindestumstiegszeit (Min.)',
+
+  'date.label': 'Abfahrtsdatum',
+  'date.clear': 'Abfahrtsdatum löschen',
+  'date.running': 'Züge, die an diesem Tag an ihrem Startbahnhof abfahren ({count} von {total} verkehren)',
+  'date.any': 'Beliebiges Datum',
+
+  'filters.title': 'Betreiber, Komfort & Ausstattung',
+  'filters.reset': 'Zurücksetzen ({count})',
+  'filters.operators': 'Betreiber (einer davon)',
+  'filters.classes': 'Klassen (eine davon)',
+  'filters.amenities': 'An Bord erforderlich',
+
+  'classes.Seat': 'Sitzplatz',
+  'classes.Couchette': 'Liegewagen',
+  'classes.Sleeper': 'Schlafwagen',
+  'classes.Capsule': 'Kapsel',
+
+  'amenities.catering': 'Verpflegung',
+  'amenities.plugs': 'Steckdosen',
+  'amenities.wheelchair_accessible': 'Rollstuhlgerecht',
+  'amenities.bikes_allowed': 'Fahrradmitnahme',
+  'amenities.car_transport': 'Autotransport',
+
+  'countries.servingAll': 'Fährt durch alle',
+  'countries.direction': 'Von Land / nach Land (in Halte-Reihenfolge)',
+  'countries.from': 'Von Land',
+  'countries.to': 'Nach Land',
+  'countries.any': 'Beliebig',
+
+  'destinations.title': 'Ziele',
+  'destinations.count': '{count} Ziel(e) ohne Umstieg erreichbar',
+  'destinations.originTitle': 'Abfahrt ab',
+  'destinations.originSelected': 'Wohin komme ich ab:',
+  'destinations.shadeBy': 'Karte einfärben nach',
+  'destinations.sortBy': 'Sortieren nach',
+  'destinations.metric.duration': 'Reisedauer',
+  'destinations.metric.arrival': 'Ankunftszeit',
+  'destinations.metric.name': 'Name',
+  'destinations.arrival': 'Ankunft',
+  'destinations.durationUnknown': 'Dauer unbekannt',
+  'destinations.fastestOf': '(schnellster von {count} Zügen)',
+
+  'connections.title': 'Verbindungen',
+  'connections.count': '{count} Verbindung(en) gefunden',
+  'connections.direct': 'Direkt',
+  'connections.transfers': '{count} Umstieg(e)',
+
+  'trips.title': 'Gefilterte Fahrten',
+  'trips.count': '{count} Fahrt(en) gefunden',
+  'trips.hidden': '{count} in der Legende ausgeblendet',
+  'trips.duration': 'Dauer: {duration}',
+
+  'trip.timetableOf': 'Fahrplan von {name}',
+  'trip.close': 'Fahrplan schließen',
+  'trip.station': 'Bahnhof',
+  'trip.arrival': 'An',
+  'trip.departure': 'Ab',
+  'trip.noEntry': 'nur Ausstieg',
+  'trip.noEntryTitle': 'Kein Einstieg an diesem Halt',
+  'trip.noExit': 'nur Einstieg',
+  'trip.noExitTitle': 'Kein Ausstieg an diesem Halt',
+  'trip.borderControl': 'Grenzkontrolle',
+  'trip.borderControlTitle': 'Grenzkontrolle',
+  'trip.duration': 'Dauer',
+  'trip.classes': 'Klassen',
+  'trip.distance': 'Entfernung',
+
+  'emissions.title': 'CO₂e pro Person',
+  'emissions.train': 'Nachtzug',
+  'emissions.car': 'Auto',
+  'emissions.flight': 'Flug',
+  'emissions.estimate': '(geschätzt)',
+  'emissions.saving': 'Spart {amount} gegenüber dem Fliegen',
+  'emissions.trainExact': '{amount} CO₂e',
+  'emissions.trainEstimate': '~{amount} CO₂e',
+  'emissions.trainSaving': '{train}, spart {saving} gegenüber dem Fliegen',
+  'emissions.totalSavingOne': 'Mit diesem Zug statt des Flugzeugs sparen Sie',
+  'emissions.totalSaving': 'Mit diesen {count} Zügen statt des Flugzeugs sparen Sie',
+  'emissions.perPassenger': 'pro Person',
+  'emissions.totals': 'Nachtzug {train}, Auto {car}, Flug {flight}',
+  'emissions.leftOut': '({count} Fahrt(en) ohne ausreichende Daten nicht berücksichtigt)',
+
+  'operators.title': 'Betreiber',
+  'operators.show': 'Fahrten von {name} einblenden',
+  'operators.hide': 'Fahrten von {name} ausblenden',
+
+  'export.format': 'Exportformat',
+  'export.button': '{count} Fahrt(en) exportieren',
+
+  'route.countries': 'Länder',
+  'route.website': 'Offizielle Website',
+  'route.showOnly': 'Nur diese Linie zeigen',
+  'route.selected': 'Linie: {names}',
+  'route.clear': 'Alle Linien zeigen',
+
+  'map.country': 'Land',
+  'map.countryTrips': '{name}: {count} Fahrt(en)',
+  'map.changeTrains': 'Umstieg',
+  'map.arriveWith': 'Ankunft {time} mit {train}',
+  'map.departWith': 'Abfahrt {time} mit {train}',
+  'map.stopOf': 'Halt {index} von {count}',
+  'map.after': 'nach {duration}',
+  'map.with': 'mit {train}',
+  'map.notOnRoute': 'Auf keiner angezeigten Strecke',
+  'map.allHidden': 'Alle Betreiber sind in der Legende ausgeblendet',
+  'map.empty': 'Bahnhöfe, Länder oder Betreiber auswählen, um Fahrten auf der Karte anzuzeigen',
+  'map.noTrips': 'Keine Fahrten vorhanden',
+  'map.viewFull': 'Ganze Karte öffnen ↗',
+  'map.showRoutes': 'Linien auf der Karte zeigen (beide Richtungen als eine Linie)',
+
+  'embed.title': 'Karte einbetten',
+  'embed.description': 'Die aktuelle Auswahl auf der eigenen Website zeigen. Die eingebettete Karte hat keine Seitenleiste und verlinkt auf die vollständige Karte.',
+  'embed.width': 'Breite',
+  'embed.height': 'Höhe',
+  'embed.code': 'Einbettungscode',
+  'embed.copy': 'Code kopieren',
+  'embed.copied': 'Kopiert',
+  'embed.preview': 'Vorschau'
+};
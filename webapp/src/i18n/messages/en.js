@@ -0,0 +1,161 @@
+/**
+ * English messages, also used for keys missing in the other catalogs
+ */
+
+export default {
+  'app.title': 'Night Train Map',
+  'app.subtitle': 'Filter trips by stations and view them on the map',
+  'app.loading': 'Loading data...',
+  'app.error': 'Error: {message}',
+  'app.language': 'Language',
+
+  'data.asOf': 'Data as of {date}',
+  'data.cachedAsOf': 'Showing the timetable saved on this device, data as of {date}',
+  'data.offline': 'Offline',
+
+  'common.yes': 'Yes',
+  'common.no': 'No',
+  'common.unknown': 'Unknown',
+
+  'mode.label': 'Filter mode',
+  'mode.stations': 'Any station',
+  'mode.journey': 'From / To',
+  'mode.countries': 'Countries',
+  'mode.destinations': 'Destinations',
+
+  'search.title': 'Filter by Stations',
+  'search.placeholder': 'Search for a station...',
+  'search.selected': 'Selected Stations:',
+  'search.grouping': 'Group nearby stations',
+  'search.groupName': '{name} ({count} stations)',
+  'search.noResults': 'No stations found',
+  'search.results': '{count} station(s) found, use the up and down arrow keys to choose',
+  'search.remove': 'Remove {name}',
+
+  'journey.from': 'From',
+  'journey.fromPlaceholder': 'Search for a departure station...',
+  'journey.fromSelected': 'Departing from:',
+  'journey.to': 'To',
+  'journey.toPlaceholder': 'Search for an arrival station...',
+  'journey.toSelected': 'Arriving at:',
+  'journey.transfers': 'Include connections with transfers',
+  'journey.minTransfer': 'Minimum transfer time (min)',
+
+  'date.label': 'Departure date',
+  'date.clear': 'Clear departure date',
+  'date.running': 'Showing trains departing from their origin on this date ({count} of {total} run)',
+  'date.any': 'Any date',
+
+  'filters.title': 'Operators, Comfort & Amenities',
+  'filters.reset': 'Reset ({count})',
+  'filters.operators': 'Operators (any of)',
+  'filters.classes': 'Classes (any of)',
+  'filters.amenities': 'Required on board',
+
+  'classes.Seat': 'Seat',
+  'classes.Couchette': 'Couchette',
+  'classes.Sleeper': 'Sleeper',
+  'classes.Capsule': 'Capsule',
+
+  'amenities.catering': 'Catering',
+  'amenities.plugs': 'Power plugs',
+  'amenities.wheelchair_accessible': 'Wheelchair accessible',
+  'amenities.bikes_allowed': 'Bikes allowed',
+  'amenities.car_transport': 'Car transport',
+
+  'countries.servingAll': 'Serving all of',
+  'countries.direction': 'From country / to country (in stop order)',
+  'countries.from': 'From country',
+  'countries.to': 'To country',
+  'countries.any': 'Any',
+
+  'destinations.title': 'Destinations',
+  'destinations.count': '{count} destination(s) reachable without changing trains',
+  'destinations.originTitle': 'Departing from',
+  'destinations.originSelected': 'Where can I get from:',
+  'destinations.shadeBy': 'Shade map by',
+  'destinations.sortBy': 'Sort by',
+  'destinations.metric.duration': 'Travel duration',
+  'destinations.metric.arrival': 'Arrival time',
+  'destinations.metric.name': 'Name',
+  'destinations.arrival': 'Arrival',
+  'destinations.durationUnknown': 'Duration unknown',
+  'destinations.fastestOf': '(fastest of {count} trains)',
+
+  'connections.title': 'Connections',
+  'connections.count': '{count} connection(s) found',
+  'connections.direct': 'Direct',
+  'connections.transfers': '{count} transfer(s)',
+
+  'trips.title': 'Filtered Trips',
+  'trips.count': '{count} trip(s) found',
+  'trips.hidden': '{count} hidden in the legend',
+  'trips.duration': 'Duration: {duration}',
+
+  'trip.timetableOf': 'Timetable of {name}',
+  'trip.close': 'Close timetable',
+  'trip.station': 'Station',
+  'trip.arrival': 'Arr.',
+  'trip.departure': 'Dep.',
+  'trip.noEntry': 'exit only',
+  'trip.noEntryTitle': 'No boarding at this stop',
+  'trip.noExit': 'entry only',
+  'trip.noExitTitle': 'No alighting at this stop',
+  'trip.borderControl': 'border control',
+  'trip.borderControlTitle': 'Border control',
+  'trip.duration': 'Duration',
+  'trip.classes': 'Classes',
+  'trip.distance': 'Distance',
+
+  'emissions.title': 'CO₂e per passenger',
+  'emissions.train': 'Night train',
+  'emissions.car': 'Car',
+  'emissions.flight': 'Flight',
+  'emissions.estimate': '(estimate)',
+  'emissions.saving': 'Saves {amount} compared to flying',
+  'emissions.trainExact': '{amount} CO₂e',
+  'emissions.trainEstimate': '~{amount} CO₂e',
+  'emissions.trainSaving': '{train}, saves {saving} compared to flying',
+  'emissions.totalSavingOne': 'Taking this train instead of flying saves',
+  'emissions.totalSaving': 'Taking these {count} trains instead of flying saves',
+  'emissions.perPassenger': 'per passenger',
+  'emissions.totals': 'Night train {train}, car {car}, flight {flight}',
+  'emissions.leftOut': '({count} trip(s) without enough data left out)',
+
+  'operators.title': 'Operators',
+  'operators.show': 'Show trips of {name}',
+  'operators.hide': 'Hide trips of {name}',
+
+  'export.format': 'Export format',
+  'export.button': 'Export {count} trip(s)',
+
+  'route.countries': 'Countries',
+  'route.website': 'Official website',
+  'route.showOnly': 'Show only this route',
+  'route.selected': 'Route: {names}',
+  'route.clear': 'Show all routes',
+
+  'map.country': 'Country',
+  'map.countryTrips': '{name}: {count} trip(s)',
+  'map.changeTrains': 'Change trains',
+  'map.arriveWith': 'Arrive {time} with {train}',
+  'map.departWith': 'Depart {time} with {train}',
+  'map.stopOf': 'Stop {index} of {count}',
+  'map.after': 'after {duration}',
+  'map.with': 'with {train}',
+  'map.notOnRoute': 'Not on any displayed route',
+  'map.allHidden': 'All operators are hidden in the legend',
+  'map.empty': 'Select stations, countries or operators to display trips on the map',
+  'map.noTrips': 'No trips to show',
+  'map.viewFull': 'View full map ↗',
+  'map.showRoutes': 'Show routes on the map (both directions as one line)',
+
+  'embed.title': 'Embed this map',
+  'embed.description': 'Show the current selection on your own website. The embedded map has no sidebar and links to the full map.',
+  'embed.width': 'Width',
+  'embed.height': 'Height',
+  'embed.code': 'Embed code',
+  'embed.copy': 'Copy code',
+  'embed.copied': 'Copied',
+  'embed.preview': 'Preview'
+};
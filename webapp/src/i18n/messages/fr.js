@@ -0,0 +1,161 @@
+/**
+ * French messages
+ */
+
+export default {
+  'app.title': 'Carte des trains de nuit',
+  'app.subtitle': 'Filtrer les trajets par gare et les afficher sur la carte',
+  'app.loading': 'Chargement des données...',
+  'app.error': 'Erreur : {message}',
+  'app.language': 'Langue',
+
+  'data.asOf': 'Données du {date}',
+  'data.cachedAsOf': 'Horaires enregistrés sur cet appareil, données du {date}',
+  'data.offline': 'Hors ligne',
+
+  'common.yes': 'Oui',
+  'common.no': 'Non',
+  'common.unknown': 'Inconnu',
+
+  'mode.label': 'Mode de filtre',
+  'mode.stations': 'Toute gare',
+  'mode.journey': 'De / À',
+  'mode.countries': 'Pays',
+  'mode.destinations': 'Destinations',
+
+  'search.title': 'Filtrer par gares',
+  'search.placeholder': 'Rechercher une gare...',
+  'search.selected': 'Gares sélectionnées :',
+  'search.grouping': 'Regrouper les gares proches',
+  'search.groupName': '{name} ({count} gares)',
+  'search.noResults': 'Aucune gare trouvée',
+  'search.results': '{count} gare(s) trouvée(s), choisissez avec les flèches haut et bas',
+  'search.remove': 'Retirer {name}',
+
+  'journey.from': 'De',
+  'journey.fromPlaceholder': 'Rechercher une gare de départ...',
+  'journey.fromSelected': 'Départ de :',
+  'journey.to': 'À',
+  'journey.toPlaceholder': 'Rechercher une gare d’arrivée...',
+  'journey.toSelected': 'Arrivée à :',
+  'journey.transfers': 'Inclure les correspondances',
+  'journey.minTransfer': 'Temps de correspondance minimal (min)',
+
+  'date.label': 'Date de départ',
+  'date.clear': 'Effacer la date de départ',
+  'date.running': 'Trains partant de leur gare d’origine à cette date ({count} sur {total} circulent)',
+  'date.any': 'Toute date',
+
+  'filters.title': 'Opérateurs, confort et services',
+  'filters.reset': 'Réinitialiser ({count})',
+  'filters.operators': 'Opérateurs (l’un d’eux)',
+  'filters.classes': 'Classes (l’une d’elles)',
+  'filters.amenities': 'Requis à bord',
+
+  'classes.Seat': 'Place assise',
+  'classes.Couchette': 'Couchette',
+  'classes.Sleeper': 'Voiture-lit',
+  'classes.Capsule': 'Capsule',
+
+  'amenities.catering': 'Restauration',
+  'amenities.plugs': 'Prises électriques',
+  'amenities.wheelchair_accessible': 'Accessible en fauteuil roulant',
+  'amenities.bikes_allowed': 'Vélos acceptés',
+  'amenities.car_transport': 'Transport de voitures',
+
+  'countries.servingAll': 'Desservant tous les pays',
+  'countries.direction': 'Pays de départ / pays d’arrivée (dans l’ordre des arrêts)',
+  'countries.from': 'Pays de départ',
+  'countries.to': 'Pays d’arrivée',
+  'countries.any': 'Tous',
+
+  'destinations.title': 'Destinations',
+  'destinations.count': '{count} destination(s) accessible(s) sans changer de train',
+  'destinations.originTitle': 'Au départ de',
+  'destinations.originSelected': 'Où aller depuis :',
+  'destinations.shadeBy': 'Colorer la carte selon',
+  'destinations.sortBy': 'Trier par',
+  'destinations.metric.duration': 'Durée du trajet',
+  'destinations.metric.arrival': 'Heure d’arrivée',
+  'destinations.metric.name': 'Nom',
+  'destinations.arrival': 'Arrivée',
+  'destinations.durationUnknown': 'Durée inconnue',
+  'destinations.fastestOf': '(le plus rapide de {count} trains)',
+
+  'connections.title': 'Correspondances',
+  'connections.count': '{count} itinéraire(s) trouvé(s)',
+  'connections.direct': 'Direct',
+  'connections.transfers': '{count} correspondance(s)',
+
+  'trips.title': 'Trajets filtrés',
+  'trips.count': '{count} trajet(s) trouvé(s)',
+  'trips.hidden': '{count} masqué(s) dans la légende',
+  'trips.duration': 'Durée : {duration}',
+
+  'trip.timetableOf': 'Horaires du {name}',
+  'trip.close': 'Fermer les horaires',
+  'trip.station': 'Gare',
+  'trip.arrival': 'Arr.',
+  'trip.departure': 'Dép.',
+  'trip.noEntry': 'descente uniquement',
+  'trip.noEntryTitle': 'Pas de montée à cet arrêt',
+  'trip.noExit': 'montée uniquement',
+  'trip.noExitTitle': 'Pas de descente à cet arrêt',
+  'trip.borderControl': 'contrôle frontalier',
+  'trip.borderControlTitle': 'Contrôle frontalier',
+  'trip.duration': 'Durée',
+  'trip.classes': 'Classes',
+  'trip.distance': 'Distance',
+
+  'emissions.title': 'CO₂e par passager',
+  'emissions.train': 'Train de nuit',
+  'emissions.car': 'Voiture',
+  'emissions.flight': 'Avion',
+  'emissions.estimate': '(estimation)',
+  'emissions.saving': 'Économise {amount} par rapport à l’avion',
+  'emissions.trainExact': '{amount} CO₂e',
+  'emissions.trainEstimate': '~{amount} CO₂e',
+  'emissions.trainSaving': '{train}, économise {saving} par rapport à l’avion',
+  'emissions.totalSavingOne': 'Prendre ce train plutôt que l’avion économise',
+  'emissions.totalSaving': 'Prendre ces {count} trains plutôt que l’avion économise',
+  'emissions.perPassenger': 'par passager',
+  'emissions.totals': 'Train de nuit {train}, voiture {car}, avion {flight}',
+  'emissions.leftOut': '({count} trajet(s) sans données suffisantes non compté(s))',
+
+  'operators.title': 'Opérateurs',
+  'operators.show': 'Afficher les trajets de {name}',
+  'operators.hide': 'Masquer les trajets de {name}',
+
+  'export.format': 'Format d’export',
+  'export.button': 'Exporter {count} trajet(s)',
+
+  'route.countries': 'Pays',
+  'route.website': 'Site officiel',
+  'route.showOnly': 'Afficher uniquement cette ligne',
+  'route.selected': 'Ligne : {names}',
+  'route.clear': 'Afficher toutes les lignes',
+
+  'map.country': 'Pays',
+  'map.countryTrips': '{name} : {count} trajet(s)',
+  'map.changeTrains': 'Changement de train',
+  'map.arriveWith': 'Arrivée {time} avec le {train}',
+  'map.departWith': 'Départ {time} avec le {train}',
+  'map.stopOf': 'Arrêt {index} sur {count}',
+  'map.after': 'après {duration}',
+  'map.with': 'avec le {train}',
+  'map.notOnRoute': 'Sur aucune ligne affichée',
+  'map.allHidden': 'Tous les opérateurs sont masqués dans la légende',
+  'map.empty': 'Sélectionnez des gares, des pays ou des opérateurs pour afficher des trajets sur la carte',
+  'map.noTrips': 'Aucun trajet à afficher',
+  'map.viewFull': 'Voir la carte complète ↗',
+  'map.showRoutes': 'Afficher les lignes sur la carte (les deux sens en une ligne)',
+
+  'embed.title': 'Intégrer cette carte',
+  'embed.description': 'Affichez la sélection actuelle sur votre propre site. La carte intégrée n’a pas de panneau latéral et renvoie vers la carte complète.',
+  'embed.width': 'Largeur',
+  'embed.height': 'Hauteur',
+  'embed.code': 'Code d’intégration',
+  'embed.copy': 'Copier le code',
+  'embed.copied': 'Copié',
+  'embed.preview': 'Aperçu'
+};
@@ -0,0 +1,247 @@
+/**
+ * Service worker making the app usable without a connection, e.g. on the train itself.
+ * Built into dist/sw.js by the service worker plugin in vite.config.js, which fills in
+ * the precache manifest with the built files and their version.
+ *
+ * - App shell: precached per build, index.html is fetched from the network first
+ * - /data/*.json: precached, then served from the cache while fresh according to the
+ *   response's Cache-Control (see nginx.conf) and revalidated once stale; without a
+ *   connection the last cached snapshot is used
+ * - Map tiles and CDN files: cached when viewed, with the same freshness rules; opaque
+ *   responses, whose headers can't be read, are fresh for a fixed time after fetching
+ */
+
+const { version: VERSION, files: PRECACHE_FILES } = self.__PRECACHE_MANIFEST;
+
+const SHELL_CACHE = `shell-${VERSION}`;
+const DATA_CACHE = 'data';
+const TILE_CACHE = 'map-tiles';
+const CDN_CACHE = 'cdn';
+// Times at which opaque responses were fetched, keyed by their request
+const FETCH_TIME_CACHE = 'fetch-times';
+
+// Data files loaded by App.jsx; the optional ones may be missing from a snapshot
+const DATA_FILES = [
+  '/data/stops.json',
+  '/data/timetable.json',
+  '/data/indexes.json',
+  '/data/station-groups.json',
+  '/data/calendar.json',
+  '/data/calendar_dates.json',
+  '/data/classes.json',
+  '/data/routes.json',
+  '/data/agencies.json'
+];
+const OPTIONAL_DATA_FILES = ['/data/view_ontd_map.json', '/data/translations.json'];
+
+// Number of map tiles kept, roughly 15-20 KB each; the cache is trimmed when the service
+// worker is activated and at most once per TRIM_INTERVAL seconds while tiles are fetched
+const MAX_TILES = 2000;
+const TRIM_INTERVAL = 60;
+// Seconds an opaque response stays fresh: a week for tiles, as the OSM tile usage policy asks,
+// and longer for the CDN files, whose URLs carry their version
+const OPAQUE_MAX_AGE = {
+  [TILE_CACHE]: 7 * 24 * 60 * 60,
+  [CDN_CACHE]: 30 * 24 * 60 * 60
+};
+// Seconds to wait for the network before falling back to a stale cached copy
+const NETWORK_TIMEOUT = 5;
+
+const TILE_HOST = /(^|\.)tile\.openstreetmap\.org$/;
+const CDN_HOST = 'unpkg.com';
+
+// Cross-origin responses don't expose their Date header, so the time of caching is added
+const CACHED_AT_HEADER = 'X-Cached-At';
+
+/**
+ * Check whether a response can be cached. Opaque responses of cross-origin files loaded
+ * without CORS, e.g. the Leaflet marker icons, don't tell their status.
+ */
+function isCacheable(response) {
+  return response.ok || response.type === 'opaque';
+}
+
+/**
+ * Check whether a cached response may still be used without revalidation, based on its
+ * Cache-Control max-age or Expires header and the time it was served
+ */
+function isFresh(response) {
+  const cacheControl = response.headers.get('Cache-Control') ?? '';
+  if (/no-cache|no-store/.test(cacheControl)) {
+    return false;
+  }
+  const served = Number(response.headers.get(CACHED_AT_HEADER)) || Date.parse(response.headers.get('Date') ?? '');
+  if (Number.isNaN(served)) {
+    return false;
+  }
+  const maxAge = cacheControl.match(/max-age=(\d+)/);
+  const expires = maxAge
+    ? served + Number(maxAge[1]) * 1000
+    : Date.parse(response.headers.get('Expires') ?? '');
+  return !Number.isNaN(expires) && Date.now() < expires;
+}
+
+/**
+ * Check whether a cached response of a cache may still be used without revalidation.
+ * Opaque responses have no readable headers, so their fetch time is looked up in
+ * FETCH_TIME_CACHE and they are fresh for OPAQUE_MAX_AGE of their cache.
+ */
+async function isCachedFresh(cacheName, request, cached) {
+  if (cached.type !== 'opaque') {
+    return isFresh(cached);
+  }
+  const maxAge = OPAQUE_MAX_AGE[cacheName];
+  const fetchTime = await caches.match(request, { cacheName: FETCH_TIME_CACHE });
+  const fetched = Number(fetchTime?.headers.get(CACHED_AT_HEADER));
+  return Boolean(maxAge && fetched) && Date.now() < fetched + maxAge * 1000;
+}
+
+/**
+ * Fetch a request and store the response in a cache, with the time it was cached
+ */
+async function fetchAndCache(cacheName, request, options) {
+  const response = await fetch(request, options);
+  if (isCacheable(response)) {
+    const cache = await caches.open(cacheName);
+    const cachedAt = String(Date.now());
+    if (response.type === 'opaque') {
+      // An opaque response can't be rebuilt with another header, so its time is stored apart
+      const fetchTimes = await caches.open(FETCH_TIME_CACHE);
+      await Promise.all([
+        cache.put(request, response.clone()),
+        fetchTimes.put(request, new Response(null, { headers: { [CACHED_AT_HEADER]: cachedAt } }))
+      ]);
+    } else {
+      const stored = response.clone();
+      const headers = new Headers(stored.headers);
+      headers.set(CACHED_AT_HEADER, cachedAt);
+      await cache.put(request, new Response(stored.body, { status: stored.status, statusText: stored.statusText, headers }));
+    }
+  }
+  return response;
+}
+
+/**
+ * Serve a cached response while it is fresh, otherwise revalidate it with the server.
+ * If the network fails or takes too long, the stale copy is used; the revalidation then
+ * still updates the cache for the next time.
+ */
+async function fromCacheWhileFresh(event, cacheName, { onUpdate } = {}) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(event.request);
+  if (cached && await isCachedFresh(cacheName, event.request, cached)) {
+    return cached;
+  }
+
+  // no-cache lets the browser revalidate with If-Modified-Since / If-None-Match
+  const update = fetchAndCache(cacheName, event.request, { cache: 'no-cache' }).then(async response => {
+    if (onUpdate && isCacheable(response)) {
+      await onUpdate();
+    }
+    return response;
+  });
+  if (!cached) {
+    return update;
+  }
+  event.waitUntil(update.catch(() => {}));
+
+  // A server error doesn't replace the cached copy either
+  const timeout = new Promise(resolve => setTimeout(() => resolve(cached), NETWORK_TIMEOUT * 1000));
+  return Promise.race([
+    update.then(response => (isCacheable(response) ? response : cached), () => cached),
+    timeout
+  ]);
+}
+
+/**
+ * Delete the oldest map tiles beyond MAX_TILES, with their fetch times
+ */
+async function trimTileCache() {
+  const [cache, fetchTimes] = await Promise.all([caches.open(TILE_CACHE), caches.open(FETCH_TIME_CACHE)]);
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - MAX_TILES))
+    .flatMap(key => [cache.delete(key), fetchTimes.delete(key)]));
+}
+
+// Time of the last trim; a restarted service worker trims at the first tile it fetches
+let lastTileTrim = 0;
+
+/**
+ * Trim the tile cache unless it was trimmed less than TRIM_INTERVAL seconds ago, so that
+ * panning the map doesn't list the whole cache for every tile
+ */
+async function trimTileCacheOccasionally() {
+  if (Date.now() - lastTileTrim < TRIM_INTERVAL * 1000) {
+    return;
+  }
+  lastTileTrim = Date.now();
+  await trimTileCache();
+}
+
+/**
+ * Serve index.html from the network, so a new build is picked up, or from the cache offline
+ */
+async function handleNavigation() {
+  try {
+    return await fetchAndCache(SHELL_CACHE, '/index.html', { cache: 'no-cache' });
+  } catch {
+    const cached = await caches.match('/index.html', { cacheName: SHELL_CACHE });
+    return cached ?? Response.error();
+  }
+}
+
+self.addEventListener('install', event => {
+  event.waitUntil((async () => {
+    const shell = await caches.open(SHELL_CACHE);
+    await shell.addAll(PRECACHE_FILES);
+
+    // A snapshot that is already cached and still fresh is kept
+    const data = await caches.open(DATA_CACHE);
+    await Promise.all([...DATA_FILES, ...OPTIONAL_DATA_FILES].map(async file => {
+      const cached = await data.match(file);
+      if (!cached || !(await isCachedFresh(DATA_CACHE, file, cached))) {
+        await fetchAndCache(DATA_CACHE, file, { cache: 'no-cache' }).catch(error => {
+          if (DATA_FILES.includes(file)) {
+            throw error;
+          }
+        });
+      }
+    }));
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil((async () => {
+    // Remove the app shells of previous builds; data and tiles are shared between builds
+    const names = await caches.keys();
+    await Promise.all(names
+      .filter(name => name.startsWith('shell-') && name !== SHELL_CACHE)
+      .map(name => caches.delete(name)));
+    await trimTileCache();
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  if (request.method !== 'GET') {
+    return;
+  }
+  const url = new URL(request.url);
+
+  if (url.origin === self.location.origin) {
+    if (request.mode === 'navigate') {
+      event.respondWith(handleNavigation());
+    } else if (url.pathname.startsWith('/data/') && url.pathname.endsWith('.json')) {
+      event.respondWith(fromCacheWhileFresh(event, DATA_CACHE));
+    } else if (PRECACHE_FILES.includes(url.pathname)) {
+      // Built files have hashed names, so a cached copy never changes
+      event.respondWith(caches.match(request, { cacheName: SHELL_CACHE }).then(cached => cached ?? fetch(request)));
+    }
+  } else if (TILE_HOST.test(url.hostname)) {
+    event.respondWith(fromCacheWhileFresh(event, TILE_CACHE, { onUpdate: trimTileCacheOccasionally }));
+  } else if (url.hostname === CDN_HOST) {
+    event.respondWith(fromCacheWhileFresh(event, CDN_CACHE));
+  }
+});
@@ -0,0 +1,68 @@
+/**
+ * Utility functions for the operators (agencies.json) of trips
+ */
+
+import { hashString } from './stationGroups.js';
+
+/**
+ * Get the operators of a trip. Trains run jointly by several operators list all of them,
+ * e.g. "CFR/MÁV"; the first one is the trip's main operator.
+ * @param {Object} trip - Trip object
+ * @returns {Array} Array of agency_ids
+ */
+export function getTripAgencyIds(trip) {
+  return String(trip.agency_id ?? '').split('/').map(id => id.trim()).filter(Boolean);
+}
+
+/**
+ * Get the main operator of a trip
+ * @param {Object} trip - Trip object
+ * @returns {string} agency_id, or empty string if unknown
+ */
+export function getMainAgencyId(trip) {
+  return getTripAgencyIds(trip)[0] ?? '';
+}
+
+/**
+ * Get the color of an operator. The color only depends on the agency_id, so an operator keeps
+ * its color whatever else is selected or added to agencies.json.
+ * @param {string} agencyId - agency_id
+ * @returns {string} CSS color
+ */
+export function getAgencyColor(agencyId) {
+  if (!agencyId) {
+    return '#888888';
+  }
+  const hash = hashString(agencyId);
+  const hue = hash % 360;
+  // Vary the lightness a little so operators with close hues stay distinguishable
+  const lightness = 38 + (Math.floor(hash / 360) % 3) * 8;
+  return `hsl(${hue}, 70%, ${lightness}%)`;
+}
+
+/**
+ * List the operators of a set of trips, e.g. for a legend or a filter
+ * @param {Array} trips - Trip objects
+ * @param {Object} agencies - agencies.json entries keyed by agency_id
+ * @param {Function} getName - Name of an agencies.json entry, e.g. a localized one (default: agency_name)
+ * @returns {Array} Array of { id, name, logoUrl, color, count } sorted by number of trips
+ */
+export function getOperators(trips, agencies, getName = agency => agency.agency_name) {
+  const counts = new Map();
+  trips.forEach(trip => {
+    const agencyId = getMainAgencyId(trip);
+    if (agencyId) {
+      counts.set(agencyId, (counts.get(agencyId) || 0) + 1);
+    }
+  });
+
+  return [...counts.entries()]
+    .map(([id, count]) => ({
+      id,
+      name: (agencies[id] && getName(agencies[id])) || id,
+      logoUrl: agencies[id]?.agency_logo_url || '',
+      color: getAgencyColor(id),
+      count
+    }))
+    .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+}
@@ -0,0 +1,216 @@
+import { canBoard, canAlight } from './journeys.js';
+import { getGroupKey } from './stationGroups.js';
+import { getStopTimeline } from './time.js';
+
+const MINUTES_PER_DAY = 24 * 60;
+const MAX_WAIT_DAYS = 7;
+
+export const DEFAULT_MIN_TRANSFER_MINUTES = 30;
+export const DEFAULT_MAX_TRANSFERS = 2;
+
+/**
+ * Map every stop ID to the key of the station group it belongs to.
+ * Stops that are not part of any group are their own transfer point.
+ * @param {Array} stationGroups - Array of station groups from station-groups.json
+ * @returns {Map} Map of stop_id to group key
+ */
+export function buildTransferGroups(stationGroups) {
+  const groupOfStop = new Map();
+  stationGroups.forEach(group => {
+    group.stations.forEach(station => {
+      groupOfStop.set(station.stop_id, getGroupKey(group));
+    });
+  });
+  return groupOfStop;
+}
+
+/**
+ * Departure (or arrival, if no departure is given) time of a stop in the trip timeline
+ */
+function departureAt(timeline, index) {
+  return timeline[index].departure ?? timeline[index].arrival;
+}
+
+/**
+ * Arrival (or departure, if no arrival is given) time of a stop in the trip timeline
+ */
+function arrivalAt(timeline, index) {
+  return timeline[index].arrival ?? timeline[index].departure;
+}
+
+/**
+ * Create a leg with times shifted so the boarding happens at or after `earliest`
+ * @param {Object} entry - { trip, stops, timeline } of the ridden trip
+ * @param {number} boardIndex - Index of the boarding stop
+ * @param {number} alightIndex - Index of the alighting stop
+ * @param {number|null} earliest - Earliest possible boarding time (itinerary minutes), null for the first leg
+ * @param {Function|null} runsOnDay - Optional (trip, dayOffset) => boolean restricting the days a trip runs
+ * @returns {Object|null} Leg or null if the times are unknown or the trip does not run
+ */
+function createLeg(entry, boardIndex, alightIndex, earliest, runsOnDay) {
+  const tripDeparture = departureAt(entry.timeline, boardIndex);
+  const tripArrival = arrivalAt(entry.timeline, alightIndex);
+  if (tripDeparture === null || tripArrival === null) {
+    return null;
+  }
+
+  // Take the first departure after `earliest` on a day the trip runs
+  let days = 0;
+  if (earliest !== null) {
+    days = Math.ceil((earliest - tripDeparture) / MINUTES_PER_DAY);
+  }
+  if (runsOnDay) {
+    // The first leg has to depart on the search day itself
+    const lastDay = earliest === null ? days : days + MAX_WAIT_DAYS;
+    while (days <= lastDay && !runsOnDay(entry.trip, days)) {
+      days++;
+    }
+    if (days > lastDay) {
+      return null;
+    }
+  }
+  const shift = days * MINUTES_PER_DAY;
+
+  return {
+    trip: entry.trip,
+    stops: entry.stops,
+    boardIndex,
+    alightIndex,
+    board: entry.stops[boardIndex],
+    alight: entry.stops[alightIndex],
+    departure: tripDeparture + shift,
+    arrival: tripArrival + shift
+  };
+}
+
+/**
+ * Turn a list of legs into an itinerary
+ */
+function createItinerary(legs) {
+  const departure = legs[0].departure;
+  const arrival = legs[legs.length - 1].arrival;
+  return {
+    legs,
+    departure,
+    arrival,
+    duration: arrival - departure,
+    transfers: legs.length - 1
+  };
+}
+
+/**
+ * Find itineraries with up to `maxTransfers` changes between two sets of station groups.
+ * Transfers are possible between any two stops of the same station group, as long as
+ * the connecting train leaves at least `minTransferMinutes` after the arrival.
+ * Without a `runsOnDay` option, trains are assumed to run every day.
+ * @param {Array} trips - Array of trip objects
+ * @param {Object} stopsByTrip - timetable.json trip_stops (trip_id -> stops sorted by stop_sequence)
+ * @param {Array} stationGroups - All station groups, defining where transfers are possible
+ * @param {Set} fromStopIds - Stop IDs of the selected origin station groups
+ * @param {Set} toStopIds - Stop IDs of the selected destination station groups
+ * @param {Object} options - { minTransferMinutes, maxTransfers, limit, runsOnDay }
+ * @returns {Array} Itineraries { legs, departure, arrival, duration, transfers } sorted by duration
+ */
+export function findConnections(trips, stopsByTrip, stationGroups, fromStopIds, toStopIds, options = {}) {
+  const {
+    minTransferMinutes = DEFAULT_MIN_TRANSFER_MINUTES,
+    maxTransfers = DEFAULT_MAX_TRANSFERS,
+    limit = 20,
+    runsOnDay = null
+  } = options;
+
+  const groupOfStop = buildTransferGroups(stationGroups);
+  const transferKey = (stopId) => groupOfStop.get(stopId) ?? stopId;
+
+  // Prepare trips with their sorted stops and timelines, and index boarding points by group
+  const boardingsByGroup = new Map();
+  const entries = [];
+
+  trips.forEach(trip => {
+    const stops = stopsByTrip[trip.trip_id];
+    if (!stops || stops.length < 2) {
+      return;
+    }
+    const entry = { trip, stops, timeline: getStopTimeline(stops) };
+    entries.push(entry);
+
+    stops.forEach((ts, index) => {
+      if (index === stops.length - 1 || !canBoard(ts)) {
+        return;
+      }
+      const key = transferKey(ts.stop_id);
+      if (!boardingsByGroup.has(key)) {
+        boardingsByGroup.set(key, []);
+      }
+      boardingsByGroup.get(key).push({ entry, index });
+    });
+  });
+
+  // Keep only the fastest itinerary per sequence of trips
+  const bestByTrips = new Map();
+  const addItinerary = (legs) => {
+    const itinerary = createItinerary(legs);
+    const key = legs.map(leg => leg.trip.trip_id).join('|');
+    const existing = bestByTrips.get(key);
+    if (!existing || itinerary.duration < existing.duration) {
+      bestByTrips.set(key, itinerary);
+    }
+  };
+
+  // Ride a trip from `boardIndex` and either finish at the destination or continue the search
+  const ride = (entry, boardIndex, legs, earliest, transfersLeft) => {
+    // Never return to a station group the itinerary already passed through
+    const visitedGroups = new Set(legs.map(leg => transferKey(leg.board.stop_id)));
+    visitedGroups.add(transferKey(entry.stops[boardIndex].stop_id));
+
+    for (let j = boardIndex + 1; j < entry.stops.length; j++) {
+      const ts = entry.stops[j];
+      if (!canAlight(ts) || fromStopIds.has(ts.stop_id) || visitedGroups.has(transferKey(ts.stop_id))) {
+        continue;
+      }
+
+      const isDestination = toStopIds.has(ts.stop_id);
+      if (!isDestination && transfersLeft === 0) {
+        continue;
+      }
+
+      const leg = createLeg(entry, boardIndex, j, earliest, runsOnDay);
+      if (!leg) {
+        continue;
+      }
+      const nextLegs = [...legs, leg];
+
+      if (isDestination) {
+        addItinerary(nextLegs);
+      } else {
+        transferAt(ts.stop_id, nextLegs, transfersLeft - 1);
+      }
+    }
+  };
+
+  // Board every other trip that stops in the same station group
+  const transferAt = (stopId, legs, transfersLeft) => {
+    const boardings = boardingsByGroup.get(transferKey(stopId)) || [];
+    const usedTrips = new Set(legs.map(leg => leg.trip.trip_id));
+    const earliest = legs[legs.length - 1].arrival + minTransferMinutes;
+
+    boardings.forEach(({ entry, index }) => {
+      if (usedTrips.has(entry.trip.trip_id)) {
+        return;
+      }
+      ride(entry, index, legs, earliest, transfersLeft);
+    });
+  };
+
+  entries.forEach(entry => {
+    entry.stops.forEach((ts, index) => {
+      if (fromStopIds.has(ts.stop_id) && canBoard(ts)) {
+        ride(entry, index, [], null, maxTransfers);
+      }
+    });
+  });
+
+  return [...bestByTrips.values()]
+    .sort((a, b) => a.duration - b.duration || a.transfers - b.transfers)
+    .slice(0, limit);
+}
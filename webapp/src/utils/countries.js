@@ -0,0 +1,129 @@
+/**
+ * Utility functions for the country exploration mode, based on the countries field of trips.json
+ * and the stop_country of stops.json
+ */
+
+// Intl.DisplayNames instances per language
+const countryNames = new Map();
+
+/**
+ * Get the countries a trip serves
+ * @param {Object} trip - Trip object with countries such as "CZ, DE, NL, BE"
+ * @returns {Array} Array of country codes
+ */
+export function getTripCountries(trip) {
+  return String(trip.countries ?? '').split(',').map(code => code.trim()).filter(Boolean);
+}
+
+/**
+ * Get the name of a country
+ * @param {string} code - ISO 3166-1 alpha-2 code
+ * @param {string} language - Language of the name (default: 'en')
+ * @returns {string} Country name, or the code if unknown
+ */
+export function getCountryName(code, language = 'en') {
+  try {
+    if (!countryNames.has(language)) {
+      countryNames.set(language, new Intl.DisplayNames([language], { type: 'region' }));
+    }
+    return countryNames.get(language).of(code) || code;
+  } catch {
+    return code;
+  }
+}
+
+/**
+ * Count the trips serving each country
+ * @param {Array} trips - Trip objects
+ * @param {string} language - Language of the country names (default: 'en')
+ * @returns {Array} Array of { code, name, count } sorted by number of trips
+ */
+export function getCountryCounts(trips, language = 'en') {
+  const counts = new Map();
+  trips.forEach(trip => {
+    getTripCountries(trip).forEach(code => {
+      counts.set(code, (counts.get(code) || 0) + 1);
+    });
+  });
+
+  return [...counts.entries()]
+    .map(([code, count]) => ({ code, name: getCountryName(code, language), count }))
+    .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+}
+
+/**
+ * Get the countries of a trip in the order its stops are served
+ * @param {Array} tripStops - Ordered stops of the trip
+ * @param {Object} stops - stops.json entries keyed by stop_id
+ * @returns {Array} Country codes, each listed once per stretch in that country
+ */
+export function getStopCountrySequence(tripStops, stops) {
+  const sequence = [];
+  tripStops.forEach(ts => {
+    const country = stops[ts.stop_id]?.stop_country;
+    if (country && sequence[sequence.length - 1] !== country) {
+      sequence.push(country);
+    }
+  });
+  return sequence;
+}
+
+/**
+ * Check whether a trip matches a country selection
+ * @param {Object} trip - Trip object
+ * @param {Array} tripStops - Ordered stops of the trip
+ * @param {Object} stops - stops.json entries keyed by stop_id
+ * @param {Object} selection - { countries: [codes], from: code, to: code }
+ * @returns {boolean} True if the trip serves all selected countries and, if both from and to are
+ *   given, calls in the from country before calling in the to country
+ */
+export function matchesCountrySelection(trip, tripStops, stops, selection) {
+  const tripCountries = getTripCountries(trip);
+  if (!selection.countries.every(code => tripCountries.includes(code))) {
+    return false;
+  }
+  if (!selection.from || !selection.to) {
+    return true;
+  }
+
+  const sequence = getStopCountrySequence(tripStops, stops);
+  if (sequence.length === 0) {
+    // Without stop countries the order is unknown; the countries field is not in stop order
+    return tripCountries.includes(selection.from) && tripCountries.includes(selection.to);
+  }
+  const fromIndex = sequence.indexOf(selection.from);
+  return fromIndex !== -1 && sequence.indexOf(selection.to, selection.from === selection.to ? fromIndex : fromIndex + 1) !== -1;
+}
+
+/**
+ * Approximate the outline of a country by the convex hull of its stops
+ * @param {string} code - Country code
+ * @param {Object} stops - stops.json entries keyed by stop_id
+ * @returns {Array} Polygon as array of [lat, lon], empty if the country has fewer than 3 stops
+ */
+export function getCountryOutline(code, stops) {
+  const points = Object.values(stops)
+    .filter(stop => stop.stop_country === code && stop.stop_lat && stop.stop_lon)
+    .map(stop => [Number(stop.stop_lon), Number(stop.stop_lat)])
+    .sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+  if (points.length < 3) {
+    return [];
+  }
+
+  // Andrew's monotone chain
+  const cross = (o, a, b) => (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+  const buildChain = (chainPoints) => {
+    const chain = [];
+    chainPoints.forEach(point => {
+      while (chain.length >= 2 && cross(chain[chain.length - 2], chain[chain.length - 1], point) <= 0) {
+        chain.pop();
+      }
+      chain.push(point);
+    });
+    chain.pop();
+    return chain;
+  };
+  const hull = [...buildChain(points), ...buildChain([...points].reverse())];
+
+  return hull.length >= 3 ? hull.map(([lon, lat]) => [lat, lon]) : [];
+}
@@ -0,0 +1,121 @@
+/**
+ * Utility functions for the destinations mode, which answers "where can I get overnight from here"
+ * with the stops reachable on a single trip from the selected station group
+ */
+
+import { canBoard, canAlight } from './journeys.js';
+import { buildTransferGroups } from './connections.js';
+import { getGroupKey } from './stationGroups.js';
+import { getStopTimeline } from './time.js';
+
+const MINUTES_PER_DAY = 24 * 60;
+
+export const DESTINATION_METRICS = {
+  duration: 'Travel duration',
+  arrival: 'Arrival time'
+};
+
+/**
+ * Find every station group reachable on a single trip from the origin stops.
+ * A destination is reached by boarding at the last origin stop before it where boarding is allowed,
+ * and only counts if alighting is allowed there. Destinations reached by several trips keep the
+ * fastest one.
+ * @param {Array} trips - Array of trip objects
+ * @param {Object} stopsByTrip - timetable.json trip_stops (trip_id -> stops sorted by stop_sequence)
+ * @param {Array} stationGroups - Station groups; stops outside any group are destinations of their own
+ * @param {Set} fromStopIds - Stop IDs of the selected origin station group
+ * @returns {Array} Array of { key, name, country, stopId, group, trip, departure, arrival, duration, tripIds }
+ *   where arrival is counted from midnight of the departure day
+ */
+export function findDestinations(trips, stopsByTrip, stationGroups, fromStopIds) {
+  const groupOfStop = buildTransferGroups(stationGroups);
+  const groupsByKey = new Map(stationGroups.map(group => [getGroupKey(group), group]));
+  const destinations = new Map();
+
+  trips.forEach(trip => {
+    const tripStops = stopsByTrip[trip.trip_id] || [];
+    const timeline = getStopTimeline(tripStops);
+    let boardIndex = -1;
+
+    tripStops.forEach((ts, index) => {
+      if (fromStopIds.has(ts.stop_id)) {
+        if (canBoard(ts)) {
+          boardIndex = index;
+        }
+        return;
+      }
+      if (boardIndex === -1 || !canAlight(ts)) {
+        return;
+      }
+
+      const departure = timeline[boardIndex].departure ?? timeline[boardIndex].arrival;
+      const arrival = timeline[index].arrival ?? timeline[index].departure;
+      const duration = departure !== null && arrival !== null ? arrival - departure : null;
+      const key = groupOfStop.get(ts.stop_id) ?? ts.stop_id;
+
+      if (!destinations.has(key)) {
+        const group = groupsByKey.get(key) ?? null;
+        destinations.set(key, {
+          key,
+          name: group?.displayName ?? ts.stop_id,
+          country: group?.stop_country ?? '',
+          group,
+          tripIds: new Set()
+        });
+      }
+      const destination = destinations.get(key);
+      destination.tripIds.add(trip.trip_id);
+
+      const isFaster = destination.trip === undefined ||
+        (duration !== null && (destination.duration === null || duration < destination.duration));
+      if (isFaster) {
+        Object.assign(destination, {
+          stopId: ts.stop_id,
+          trip,
+          departure,
+          arrival: arrival !== null && departure !== null
+            ? arrival - Math.floor(departure / MINUTES_PER_DAY) * MINUTES_PER_DAY
+            : arrival,
+          duration
+        });
+      }
+    });
+  });
+
+  return [...destinations.values()].map(destination => ({
+    ...destination,
+    tripIds: [...destination.tripIds]
+  }));
+}
+
+/**
+ * Sort destinations by a metric, with unknown values last
+ * @param {Array} destinations - Result of findDestinations
+ * @param {string} sortBy - 'duration', 'arrival' or 'name'
+ * @returns {Array} New sorted array
+ */
+export function sortDestinations(destinations, sortBy) {
+  return [...destinations].sort((a, b) => {
+    if (sortBy === 'name') {
+      return a.name.localeCompare(b.name);
+    }
+    const valueA = a[sortBy] ?? Infinity;
+    const valueB = b[sortBy] ?? Infinity;
+    return valueA - valueB || a.name.localeCompare(b.name);
+  });
+}
+
+/**
+ * Get the color of a destination on a green (low) to red (high) scale
+ * @param {number|null} value - Value of the metric
+ * @param {number} min - Lowest value of all destinations
+ * @param {number} max - Highest value of all destinations
+ * @returns {string} CSS color, grey if the value is unknown
+ */
+export function getDestinationColor(value, min, max) {
+  if (value === null || value === undefined) {
+    return '#888888';
+  }
+  const ratio = max > min ? (value - min) / (max - min) : 0;
+  return `hsl(${Math.round(120 - ratio * 120)}, 70%, 40%)`;
+}
@@ -0,0 +1,210 @@
+/**
+ * Utility functions to estimate the CO₂ emissions of a train ride and compare them with a flight
+ * and a car ride between the same stations. Values from trips.json (distance, emissions_co2e,
+ * co2_per_km) are used where available, missing ones are estimated from the stop coordinates.
+ */
+
+import distance from '@turf/distance';
+
+// Train: grams CO₂e per passenger-km of an electric train, like most night trains in Europe.
+// trips.json doesn't say how a trip is hauled, so diesel stretches are estimated too low.
+export const TRAIN_FACTORS = { gramsPerKm: 20 };
+
+// Rail lines are longer than the great-circle distance between their stops
+const RAIL_DETOUR = 1.2;
+
+// Flight: great-circle distance plus a fixed detour for approach and holding (ICAO),
+// grams CO₂e per passenger-km including non-CO₂ effects of short-haul flights
+export const FLIGHT_FACTORS = { detourKm: 95, gramsPerKm: 246 };
+
+// Car: road distance as a share of the great-circle distance, grams CO₂e per passenger-km
+// of an average car with 1.5 occupants
+export const CAR_FACTORS = { roadFactor: 1.3, gramsPerKm: 115 };
+
+/**
+ * Read a numeric trips.json value, treating blank cells as missing
+ */
+function toNumber(value) {
+  if (value === '' || value === null || value === undefined) {
+    return null;
+  }
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Great-circle distance between two stops in kilometers
+ * @param {Object} stopA - stops.json entry
+ * @param {Object} stopB - stops.json entry
+ * @returns {number|null} Distance, or null if a stop has no coordinates
+ */
+export function getGreatCircleDistance(stopA, stopB) {
+  if (!stopA?.stop_lat || !stopA?.stop_lon || !stopB?.stop_lat || !stopB?.stop_lon) {
+    return null;
+  }
+  return distance(
+    [Number(stopA.stop_lon), Number(stopA.stop_lat)],
+    [Number(stopB.stop_lon), Number(stopB.stop_lat)],
+    { units: 'kilometers' }
+  );
+}
+
+/**
+ * Sum the stop-to-stop great-circle distances of a part of a trip, skipping stops without coordinates
+ * @returns {number|null} Distance in kilometers, or null if fewer than two stops have coordinates
+ */
+function getPathDistance(tripStops, stops, fromIndex, toIndex) {
+  const located = tripStops
+    .slice(fromIndex, toIndex + 1)
+    .map(ts => stops[ts.stop_id])
+    .filter(stop => stop?.stop_lat && stop?.stop_lon);
+  if (located.length < 2) {
+    return null;
+  }
+  return located.slice(1).reduce((sum, stop, index) => sum + getGreatCircleDistance(located[index], stop), 0);
+}
+
+/**
+ * Estimate the distance and emissions of a ride on a trip
+ * @param {Object} trip - Trip object
+ * @param {Array} tripStops - Ordered stops of the trip
+ * @param {Object} stops - stops.json entries keyed by stop_id
+ * @param {number} boardIndex - Index of the boarding stop (default: origin)
+ * @param {number} alightIndex - Index of the alighting stop (default: destination)
+ * @returns {Object} { distance, emissions, estimated } in km and kg CO₂e per passenger, null if unknown;
+ *   estimated is true unless the emissions come straight from trips.json
+ */
+export function getTrainEmissions(trip, tripStops, stops, boardIndex = 0, alightIndex = tripStops.length - 1) {
+  const isFullTrip = boardIndex === 0 && alightIndex === tripStops.length - 1;
+  const tripDistance = toNumber(trip.distance);
+  const tripEmissions = toNumber(trip.emissions_co2e);
+
+  let rideDistance = null;
+  if (isFullTrip && tripDistance !== null) {
+    rideDistance = tripDistance;
+  } else {
+    const legPath = getPathDistance(tripStops, stops, boardIndex, alightIndex);
+    const fullPath = isFullTrip ? legPath : getPathDistance(tripStops, stops, 0, tripStops.length - 1);
+    if (legPath !== null) {
+      // Scale the stop-to-stop distance to the rail distance of the trip where it is known
+      rideDistance = tripDistance !== null && fullPath ? legPath * tripDistance / fullPath : legPath * RAIL_DETOUR;
+    }
+  }
+
+  if (isFullTrip && tripEmissions !== null) {
+    return { distance: rideDistance, emissions: tripEmissions, estimated: false };
+  }
+  const gramsPerKm = toNumber(trip.co2_per_km) ?? TRAIN_FACTORS.gramsPerKm;
+  return {
+    distance: rideDistance,
+    emissions: rideDistance !== null ? rideDistance * gramsPerKm / 1000 : null,
+    estimated: true
+  };
+}
+
+/**
+ * Estimate the emissions of a flight between two places
+ * @param {number|null} greatCircleKm - Great-circle distance in kilometers
+ * @returns {number|null} kg CO₂e per passenger
+ */
+export function getFlightEmissions(greatCircleKm) {
+  if (greatCircleKm === null) {
+    return null;
+  }
+  return (greatCircleKm + FLIGHT_FACTORS.detourKm) * FLIGHT_FACTORS.gramsPerKm / 1000;
+}
+
+/**
+ * Estimate the emissions of a car ride between two places
+ * @param {number|null} greatCircleKm - Great-circle distance in kilometers
+ * @returns {number|null} kg CO₂e per passenger
+ */
+export function getCarEmissions(greatCircleKm) {
+  if (greatCircleKm === null) {
+    return null;
+  }
+  return greatCircleKm * CAR_FACTORS.roadFactor * CAR_FACTORS.gramsPerKm / 1000;
+}
+
+/**
+ * Compare a ride on a trip with a flight and a car ride between its boarding and alighting stops
+ * @param {Object} trip - Trip object
+ * @param {Array} tripStops - Ordered stops of the trip
+ * @param {Object} stops - stops.json entries keyed by stop_id
+ * @param {number} boardIndex - Index of the boarding stop (default: origin)
+ * @param {number} alightIndex - Index of the alighting stop (default: destination)
+ * @returns {Object} { train, flight, car, saving } with train as returned by getTrainEmissions and
+ *   the others in kg CO₂e per passenger; saving is flight minus train, null if unknown
+ */
+export function compareEmissions(trip, tripStops, stops, boardIndex = 0, alightIndex = tripStops.length - 1) {
+  const train = getTrainEmissions(trip, tripStops, stops, boardIndex, alightIndex);
+  const cityDistance = getGreatCircleDistance(stops[tripStops[boardIndex]?.stop_id], stops[tripStops[alightIndex]?.stop_id]);
+  const flight = getFlightEmissions(cityDistance);
+  const car = getCarEmissions(cityDistance);
+  return {
+    train,
+    flight,
+    car,
+    saving: train.emissions !== null && flight !== null ? flight - train.emissions : null
+  };
+}
+
+/**
+ * Compare an itinerary with transfers with a direct flight and car ride from its first boarding
+ * to its last alighting stop
+ * @param {Object} itinerary - Itinerary from findConnections with legs of { trip, stops, boardIndex, alightIndex }
+ * @param {Object} stops - stops.json entries keyed by stop_id
+ * @returns {Object} Same shape as compareEmissions
+ */
+export function compareItineraryEmissions(itinerary, stops) {
+  const legs = itinerary.legs.map(leg => getTrainEmissions(leg.trip, leg.stops, stops, leg.boardIndex, leg.alightIndex));
+  const first = itinerary.legs[0];
+  const last = itinerary.legs[itinerary.legs.length - 1];
+  const isKnown = legs.every(leg => leg.emissions !== null);
+  const train = {
+    distance: legs.every(leg => leg.distance !== null) ? legs.reduce((sum, leg) => sum + leg.distance, 0) : null,
+    emissions: isKnown ? legs.reduce((sum, leg) => sum + leg.emissions, 0) : null,
+    estimated: legs.some(leg => leg.estimated)
+  };
+  const cityDistance = getGreatCircleDistance(stops[first.board.stop_id], stops[last.alight.stop_id]);
+  const flight = getFlightEmissions(cityDistance);
+  return {
+    train,
+    flight,
+    car: getCarEmissions(cityDistance),
+    saving: train.emissions !== null && flight !== null ? flight - train.emissions : null
+  };
+}
+
+/**
+ * Sum the comparisons of several rides, leaving out rides with unknown values
+ * @param {Array} comparisons - Results of compareEmissions
+ * @returns {Object} { train, flight, car, saving, count, total } in kg CO₂e, where count is the
+ *   number of rides included and total the number of rides given
+ */
+export function sumEmissions(comparisons) {
+  const complete = comparisons.filter(c => c.train.emissions !== null && c.flight !== null && c.car !== null);
+  return {
+    train: complete.reduce((sum, c) => sum + c.train.emissions, 0),
+    flight: complete.reduce((sum, c) => sum + c.flight, 0),
+    car: complete.reduce((sum, c) => sum + c.car, 0),
+    saving: complete.reduce((sum, c) => sum + c.saving, 0),
+    count: complete.length,
+    total: comparisons.length
+  };
+}
+
+/**
+ * Format an amount of CO₂e, e.g. "14 kg" or "1.2 t"
+ * @param {number|null} kg - Amount in kilograms
+ * @returns {string} Formatted amount, or empty string if unknown
+ */
+export function formatEmissions(kg) {
+  if (kg === null || kg === undefined) {
+    return '';
+  }
+  if (Math.abs(kg) >= 1000) {
+    return `${(kg / 1000).toFixed(1)} t`;
+  }
+  return `${Math.abs(kg) < 10 ? kg.toFixed(1) : Math.round(kg)} kg`;
+}
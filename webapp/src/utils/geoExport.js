@@ -0,0 +1,209 @@
+/**
+ * Utility functions to export trips as GeoJSON, KML or GPX for other map tools (uMap, QGIS,
+ * Google My Maps, ...). Used by the export button of the webapp and scripts/export-routes.js.
+ */
+
+/**
+ * Collect the stops of a trip that have coordinates
+ * @param {Array} tripStops - Ordered stops of the trip
+ * @param {Object} stops - stops.json entries keyed by stop_id
+ * @returns {Array} Array of { ts, stop } with the trip stop and its stops.json entry
+ */
+function getLocatedStops(tripStops, stops) {
+  return tripStops
+    .map(ts => ({ ts, stop: stops[ts.stop_id] }))
+    .filter(({ stop }) => stop && stop.stop_lat && stop.stop_lon);
+}
+
+/**
+ * Properties describing a trip in the exported files
+ */
+function getTripProperties(trip) {
+  return {
+    trip_id: trip.trip_id,
+    trip_short_name: trip.trip_short_name || '',
+    route_id: trip.route_id ?? '',
+    agency_id: trip.agency_id || '',
+    trip_origin: trip.trip_origin || '',
+    trip_headsign: trip.trip_headsign || '',
+    departure_time: trip.origin_departure_time || '',
+    arrival_time: trip.destination_arrival_time || '',
+    countries: trip.countries || '',
+    classes: trip.classes || ''
+  };
+}
+
+/**
+ * Properties describing a stop of a trip in the exported files
+ */
+function getStopProperties(trip, ts, stop) {
+  return {
+    trip_id: trip.trip_id,
+    trip_short_name: trip.trip_short_name || '',
+    stop_id: ts.stop_id,
+    stop_name: stop.stop_name || ts.stop_id,
+    stop_country: stop.stop_country || '',
+    stop_sequence: ts.stop_sequence,
+    arrival_time: ts.arrival_time || '',
+    departure_time: ts.departure_time || ''
+  };
+}
+
+function getTripName(trip) {
+  const name = trip.trip_short_name || trip.trip_id;
+  return trip.trip_origin && trip.trip_headsign ? `${name}: ${trip.trip_origin} - ${trip.trip_headsign}` : name;
+}
+
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Build a GeoJSON FeatureCollection with a LineString per trip and a Point per stop of each trip
+ * @param {Array} tripsWithStops - Array of { trip, stops } with the ordered stops of each trip
+ * @param {Object} stops - stops.json entries keyed by stop_id
+ * @returns {string} GeoJSON document
+ */
+export function buildGeoJson(tripsWithStops, stops) {
+  const features = [];
+  tripsWithStops.forEach(({ trip, stops: tripStops }) => {
+    const located = getLocatedStops(tripStops, stops);
+    if (located.length < 2) {
+      return;
+    }
+    features.push({
+      type: 'Feature',
+      geometry: {
+        type: 'LineString',
+        coordinates: located.map(({ stop }) => [Number(stop.stop_lon), Number(stop.stop_lat)])
+      },
+      properties: getTripProperties(trip)
+    });
+    located.forEach(({ ts, stop }) => {
+      features.push({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [Number(stop.stop_lon), Number(stop.stop_lat)] },
+        properties: getStopProperties(trip, ts, stop)
+      });
+    });
+  });
+  return JSON.stringify({ type: 'FeatureCollection', features });
+}
+
+/**
+ * Build a KML document with a folder per trip holding its line and stops
+ * @param {Array} tripsWithStops - Array of { trip, stops } with the ordered stops of each trip
+ * @param {Object} stops - stops.json entries keyed by stop_id
+ * @param {string} title - Name of the document
+ * @returns {string} KML document
+ */
+export function buildKml(tripsWithStops, stops, title = 'Night trains') {
+  const extendedData = (properties) => [
+    '<ExtendedData>',
+    ...Object.entries(properties).map(([name, value]) => `<Data name="${escapeXml(name)}"><value>${escapeXml(value)}</value></Data>`),
+    '</ExtendedData>'
+  ].join('');
+
+  const folders = tripsWithStops.map(({ trip, stops: tripStops }) => {
+    const located = getLocatedStops(tripStops, stops);
+    if (located.length < 2) {
+      return null;
+    }
+    const coordinates = located.map(({ stop }) => `${stop.stop_lon},${stop.stop_lat}`).join(' ');
+    const stopPlacemarks = located.map(({ ts, stop }) => [
+      '      <Placemark>',
+      `        <name>${escapeXml(stop.stop_name || ts.stop_id)}</name>`,
+      `        ${extendedData(getStopProperties(trip, ts, stop))}`,
+      `        <Point><coordinates>${stop.stop_lon},${stop.stop_lat}</coordinates></Point>`,
+      '      </Placemark>'
+    ].join('\n'));
+
+    return [
+      '    <Folder>',
+      `      <name>${escapeXml(getTripName(trip))}</name>`,
+      '      <Placemark>',
+      `        <name>${escapeXml(getTripName(trip))}</name>`,
+      `        ${extendedData(getTripProperties(trip))}`,
+      `        <LineString><tessellate>1</tessellate><coordinates>${coordinates}</coordinates></LineString>`,
+      '      </Placemark>',
+      ...stopPlacemarks,
+      '    </Folder>'
+    ].join('\n');
+  }).filter(Boolean);
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    '  <Document>',
+    `    <name>${escapeXml(title)}</name>`,
+    ...folders,
+    '  </Document>',
+    '</kml>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Build a GPX document with a track per trip and a waypoint per stop
+ * @param {Array} tripsWithStops - Array of { trip, stops } with the ordered stops of each trip
+ * @param {Object} stops - stops.json entries keyed by stop_id
+ * @param {string} title - Name of the document
+ * @returns {string} GPX document
+ */
+export function buildGpx(tripsWithStops, stops, title = 'Night trains') {
+  const waypoints = new Map();
+  const tracks = tripsWithStops.map(({ trip, stops: tripStops }) => {
+    const located = getLocatedStops(tripStops, stops);
+    if (located.length < 2) {
+      return null;
+    }
+    // Waypoints are listed once per station, with the trips calling there
+    located.forEach(({ ts, stop }) => {
+      if (!waypoints.has(ts.stop_id)) {
+        waypoints.set(ts.stop_id, { stop, name: stop.stop_name || ts.stop_id, trips: [] });
+      }
+      waypoints.get(ts.stop_id).trips.push(trip.trip_short_name || trip.trip_id);
+    });
+
+    return [
+      '  <trk>',
+      `    <name>${escapeXml(getTripName(trip))}</name>`,
+      `    <desc>${escapeXml(trip.trip_id)}</desc>`,
+      '    <trkseg>',
+      ...located.map(({ stop }) => `      <trkpt lat="${stop.stop_lat}" lon="${stop.stop_lon}"/>`),
+      '    </trkseg>',
+      '  </trk>'
+    ].join('\n');
+  }).filter(Boolean);
+
+  const waypointElements = [...waypoints.values()].map(({ stop, name, trips }) => [
+    `  <wpt lat="${stop.stop_lat}" lon="${stop.stop_lon}">`,
+    `    <name>${escapeXml(name)}</name>`,
+    `    <desc>${escapeXml(trips.join(', '))}</desc>`,
+    '  </wpt>'
+  ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="Night Train Map" xmlns="http://www.topografix.com/GPX/1/1">',
+    `  <metadata><name>${escapeXml(title)}</name></metadata>`,
+    ...waypointElements,
+    ...tracks,
+    '</gpx>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Supported export formats with their file extension and MIME type
+ */
+export const EXPORT_FORMATS = {
+  geojson: { label: 'GeoJSON', extension: 'geojson', mimeType: 'application/geo+json', build: buildGeoJson },
+  kml: { label: 'KML', extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml', build: buildKml },
+  gpx: { label: 'GPX', extension: 'gpx', mimeType: 'application/gpx+xml', build: buildGpx }
+};
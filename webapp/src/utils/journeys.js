@@ -0,0 +1,111 @@
+import { getStopTimeline } from './time.js';
+
+/**
+ * Check whether passengers may board at a trip stop
+ * @param {Object} tripStop - trip_stop entry
+ * @returns {boolean} True unless the stop is marked no_entry
+ */
+export function canBoard(tripStop) {
+  return Number(tripStop.no_entry) !== 1;
+}
+
+/**
+ * Check whether passengers may alight at a trip stop
+ * @param {Object} tripStop - trip_stop entry
+ * @returns {boolean} True unless the stop is marked no_exit
+ */
+export function canAlight(tripStop) {
+  return Number(tripStop.no_exit) !== 1;
+}
+
+/**
+ * Collect all stop IDs of the given station groups
+ * @param {Array} groups - Array of station groups
+ * @param {Object} groupStops - Optional group_stops index from indexes.json (group id -> stop IDs);
+ *   groups missing from it, e.g. flattened single stations, use their own station list
+ * @returns {Set} Set of stop IDs
+ */
+export function getStopIdsOfGroups(groups, groupStops = {}) {
+  const ids = new Set();
+  groups.forEach(group => {
+    const stopIds = groupStops[group.id] ?? group.stations.map(station => station.stop_id);
+    stopIds.forEach(stopId => ids.add(stopId));
+  });
+  return ids;
+}
+
+/**
+ * Collect the IDs of all trips calling at any of the given stops
+ * @param {Object} stopTrips - stop_trips index from indexes.json (stop_id -> trip IDs)
+ * @param {Set} stopIds - Stop IDs
+ * @returns {Set} Set of trip IDs
+ */
+export function getTripIdsAtStops(stopTrips, stopIds) {
+  const tripIds = new Set();
+  stopIds.forEach(stopId => {
+    (stopTrips[stopId] || []).forEach(tripId => tripIds.add(tripId));
+  });
+  return tripIds;
+}
+
+/**
+ * Find the journey leg of a single trip from one set of stops to another.
+ * The leg ends at the first stop of the destination set where alighting is allowed
+ * and starts at the last stop of the origin set before it where boarding is allowed,
+ * i.e. the shortest ride that connects both sets.
+ * @param {Array} tripStops - trip_stop entries of one trip sorted by stop_sequence
+ * @param {Set} fromStopIds - Stop IDs the passenger may board at
+ * @param {Set} toStopIds - Stop IDs the passenger may alight at
+ * @returns {Object|null} { boardIndex, alightIndex, board, alight, departure, arrival, duration } or null
+ */
+export function findJourneyLeg(tripStops, fromStopIds, toStopIds) {
+  let boardIndex = -1;
+
+  for (let i = 0; i < tripStops.length; i++) {
+    const ts = tripStops[i];
+
+    if (boardIndex !== -1 && toStopIds.has(ts.stop_id) && canAlight(ts)) {
+      const timeline = getStopTimeline(tripStops);
+      const departure = timeline[boardIndex].departure ?? timeline[boardIndex].arrival;
+      const arrival = timeline[i].arrival ?? timeline[i].departure;
+
+      return {
+        boardIndex,
+        alightIndex: i,
+        board: tripStops[boardIndex],
+        alight: ts,
+        departure,
+        arrival,
+        duration: departure !== null && arrival !== null ? arrival - departure : null
+      };
+    }
+
+    if (fromStopIds.has(ts.stop_id) && canBoard(ts)) {
+      boardIndex = i;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Find all trips that travel from any of the origin stops to any of the destination stops
+ * @param {Array} trips - Array of trip objects
+ * @param {Object} stopsByTrip - timetable.json trip_stops (trip_id -> stops sorted by stop_sequence)
+ * @param {Set} fromStopIds - Stop IDs of the selected origin station groups
+ * @param {Set} toStopIds - Stop IDs of the selected destination station groups
+ * @returns {Array} Array of { trip, stops, journey } sorted by departure time
+ */
+export function findJourneys(trips, stopsByTrip, fromStopIds, toStopIds) {
+  const matches = [];
+  trips.forEach(trip => {
+    const stopsForTrip = stopsByTrip[trip.trip_id] || [];
+
+    const journey = findJourneyLeg(stopsForTrip, fromStopIds, toStopIds);
+    if (journey) {
+      matches.push({ trip, stops: stopsForTrip, journey });
+    }
+  });
+
+  return matches.sort((a, b) => (a.journey.departure ?? 0) - (b.journey.departure ?? 0));
+}
@@ -2,16 +2,26 @@
  * Utility functions for managing localStorage operations
  */
 
+import { toGroupReference } from './stationGroups.js';
+
 const STORAGE_KEY = 'selectedStationGroups';
 const GROUPING_ENABLED_KEY = 'groupingEnabled';
+const FILTER_MODE_KEY = 'filterMode';
+const JOURNEY_KEY = 'journeyStationGroups';
+const TRANSFER_SETTINGS_KEY = 'transferSettings';
+const TRIP_FILTERS_KEY = 'tripFilters';
+const MAP_LAYER_KEY = 'mapLayer';
+const COUNTRY_SELECTION_KEY = 'countrySelection';
+const LANGUAGE_KEY = 'language';
 
 /**
- * Save selected station groups to localStorage
+ * Save selected station groups to localStorage.
+ * Only the group IDs and member stop IDs are stored, see resolveGroupReferences.
  * @param {Array} stationGroups - Array of selected station group objects
  */
 export function saveSelectedStationGroups(stationGroups) {
   try {
-    const serialized = JSON.stringify(stationGroups);
+    const serialized = JSON.stringify(stationGroups.map(toGroupReference));
     localStorage.setItem(STORAGE_KEY, serialized);
   } catch (error) {
     console.error('Error saving station groups to localStorage:', error);
@@ -19,8 +29,9 @@ export function saveSelectedStationGroups(stationGroups) {
 }
 
 /**
- * Load selected station groups from localStorage
- * @returns {Array} Array of station group objects, or empty array if none found
+ * Load selected station group references from localStorage
+ * @returns {Array} Array of { id, stopIds } references (or group objects saved by older
+ *   versions), or empty array if none found
  */
 export function loadSelectedStationGroups() {
   try {
@@ -74,3 +85,210 @@ export function loadGroupingEnabled() {
     return true; // Default to grouping enabled
   }
 }
+
+/**
+ * Save the active filter mode to localStorage
+ * @param {string} mode - 'stations' or 'journey'
+ */
+export function saveFilterMode(mode) {
+  try {
+    localStorage.setItem(FILTER_MODE_KEY, JSON.stringify(mode));
+  } catch (error) {
+    console.error('Error saving filter mode to localStorage:', error);
+  }
+}
+
+/**
+ * Load the active filter mode from localStorage
+ * @returns {string} 'stations', 'journey', 'countries' or 'destinations' (default: 'stations')
+ */
+export function loadFilterMode() {
+  try {
+    const serialized = localStorage.getItem(FILTER_MODE_KEY);
+    if (serialized === null) {
+      return 'stations';
+    }
+    return JSON.parse(serialized);
+  } catch (error) {
+    console.error('Error loading filter mode from localStorage:', error);
+    return 'stations';
+  }
+}
+
+/**
+ * Save origin and destination station groups of the journey mode to localStorage
+ * @param {Object} journey - Object with `from` and `to` arrays of station groups
+ */
+export function saveJourneyStationGroups(journey) {
+  try {
+    const serialized = JSON.stringify({
+      from: journey.from.map(toGroupReference),
+      to: journey.to.map(toGroupReference)
+    });
+    localStorage.setItem(JOURNEY_KEY, serialized);
+  } catch (error) {
+    console.error('Error saving journey stations to localStorage:', error);
+  }
+}
+
+/**
+ * Load origin and destination station group references of the journey mode from localStorage
+ * @returns {Object} Object with `from` and `to` arrays of references (empty if none found)
+ */
+export function loadJourneyStationGroups() {
+  try {
+    const serialized = localStorage.getItem(JOURNEY_KEY);
+    if (serialized === null) {
+      return { from: [], to: [] };
+    }
+    const journey = JSON.parse(serialized);
+    return { from: journey.from || [], to: journey.to || [] };
+  } catch (error) {
+    console.error('Error loading journey stations from localStorage:', error);
+    return { from: [], to: [] };
+  }
+}
+
+/**
+ * Save the transfer settings of the connection planner to localStorage
+ * @param {Object} settings - { enabled, minTransferMinutes }
+ */
+export function saveTransferSettings(settings) {
+  try {
+    localStorage.setItem(TRANSFER_SETTINGS_KEY, JSON.stringify(settings));
+  } catch (error) {
+    console.error('Error saving transfer settings to localStorage:', error);
+  }
+}
+
+/**
+ * Load the transfer settings of the connection planner from localStorage
+ * @param {number} defaultMinTransferMinutes - Minimum transfer time used if none is saved
+ * @returns {Object} { enabled, minTransferMinutes } (default: transfers disabled)
+ */
+export function loadTransferSettings(defaultMinTransferMinutes) {
+  const defaults = { enabled: false, minTransferMinutes: defaultMinTransferMinutes };
+  try {
+    const serialized = localStorage.getItem(TRANSFER_SETTINGS_KEY);
+    if (serialized === null) {
+      return defaults;
+    }
+    return { ...defaults, ...JSON.parse(serialized) };
+  } catch (error) {
+    console.error('Error loading transfer settings from localStorage:', error);
+    return defaults;
+  }
+}
+
+/**
+ * Save the active operator, class and amenity filters to localStorage
+ * @param {Object} filters - { classes: [categories], amenities: [fields], agencies: [agency_ids] }
+ */
+export function saveTripFilters(filters) {
+  try {
+    localStorage.setItem(TRIP_FILTERS_KEY, JSON.stringify(filters));
+  } catch (error) {
+    console.error('Error saving trip filters to localStorage:', error);
+  }
+}
+
+/**
+ * Load the active operator, class and amenity filters from localStorage
+ * @returns {Object} { classes, amenities, agencies } (default: no filters)
+ */
+export function loadTripFilters() {
+  const defaults = { classes: [], amenities: [], agencies: [] };
+  try {
+    const serialized = localStorage.getItem(TRIP_FILTERS_KEY);
+    if (serialized === null) {
+      return defaults;
+    }
+    return { ...defaults, ...JSON.parse(serialized) };
+  } catch (error) {
+    console.error('Error loading trip filters from localStorage:', error);
+    return defaults;
+  }
+}
+
+/**
+ * Save whether the map shows trips or routes to localStorage
+ * @param {string} layer - 'trips' or 'routes'
+ */
+export function saveMapLayer(layer) {
+  try {
+    localStorage.setItem(MAP_LAYER_KEY, JSON.stringify(layer));
+  } catch (error) {
+    console.error('Error saving map layer to localStorage:', error);
+  }
+}
+
+/**
+ * Load whether the map shows trips or routes from localStorage
+ * @returns {string} 'trips' or 'routes' (default: 'trips')
+ */
+export function loadMapLayer() {
+  try {
+    const serialized = localStorage.getItem(MAP_LAYER_KEY);
+    return serialized !== null && JSON.parse(serialized) === 'routes' ? 'routes' : 'trips';
+  } catch (error) {
+    console.error('Error loading map layer from localStorage:', error);
+    return 'trips';
+  }
+}
+
+/**
+ * Save the countries selected in country mode to localStorage
+ * @param {Object} selection - { countries: [codes], from: code, to: code }
+ */
+export function saveCountrySelection(selection) {
+  try {
+    localStorage.setItem(COUNTRY_SELECTION_KEY, JSON.stringify(selection));
+  } catch (error) {
+    console.error('Error saving country selection to localStorage:', error);
+  }
+}
+
+/**
+ * Load the countries selected in country mode from localStorage
+ * @returns {Object} { countries, from, to } (default: nothing selected)
+ */
+export function loadCountrySelection() {
+  const defaults = { countries: [], from: '', to: '' };
+  try {
+    const serialized = localStorage.getItem(COUNTRY_SELECTION_KEY);
+    if (serialized === null) {
+      return defaults;
+    }
+    return { ...defaults, ...JSON.parse(serialized) };
+  } catch (error) {
+    console.error('Error loading country selection from localStorage:', error);
+    return defaults;
+  }
+}
+
+/**
+ * Save the UI language to localStorage
+ * @param {string} language - Language code, e.g. 'de'
+ */
+export function saveLanguage(language) {
+  try {
+    localStorage.setItem(LANGUAGE_KEY, JSON.stringify(language));
+  } catch (error) {
+    console.error('Error saving language to localStorage:', error);
+  }
+}
+
+/**
+ * Load the UI language from localStorage
+ * @param {string} defaultLanguage - Language used if none was saved, e.g. the browser's
+ * @returns {string} Language code
+ */
+export function loadLanguage(defaultLanguage) {
+  try {
+    const serialized = localStorage.getItem(LANGUAGE_KEY);
+    return serialized !== null ? JSON.parse(serialized) : defaultLanguage;
+  } catch (error) {
+    console.error('Error loading language from localStorage:', error);
+    return defaultLanguage;
+  }
+}
@@ -0,0 +1,94 @@
+/**
+ * Utility functions for the route view, which shows one line per route of routes.json
+ * instead of one line per trip and direction
+ */
+
+const DIRECTIONS = [0, 1];
+const SHEET_ERROR = /^#(REF!|N\/A|VALUE!)/;
+
+/**
+ * Read a text value of view_ontd_map.json, treating Sheets errors such as "#N/A" as empty
+ */
+function getText(value) {
+  const text = value === null || value === undefined ? '' : String(value).trim();
+  return SHEET_ERROR.test(text) ? '' : text;
+}
+
+/**
+ * Group trips by their route, merging the stop sequences of both directions.
+ * A direction that calls at the same stops as another one in reverse order adds no new path.
+ * @param {Array} tripsWithStops - Array of { trip, stops } with the ordered stops of each trip
+ * @param {Object} routes - routes.json entries keyed by route_id
+ * @returns {Array} Array of { routeId, route, trips, paths } in order of first appearance;
+ *   route is null for trips whose route is not in routes.json, paths are arrays of stop_ids
+ */
+export function groupTripsByRoute(tripsWithStops, routes) {
+  const groups = new Map();
+  const pathKeys = new Map();
+
+  tripsWithStops.forEach(tripWithStops => {
+    const routeId = String(tripWithStops.trip.route_id ?? '');
+    if (!groups.has(routeId)) {
+      groups.set(routeId, { routeId, route: routes[routeId] ?? null, trips: [], paths: [] });
+      pathKeys.set(routeId, new Set());
+    }
+    const group = groups.get(routeId);
+    const keys = pathKeys.get(routeId);
+    group.trips.push(tripWithStops);
+
+    const path = tripWithStops.stops.map(ts => ts.stop_id);
+    const key = path.join('\n');
+    const reversedKey = [...path].reverse().join('\n');
+    if (path.length > 1 && !keys.has(key) && !keys.has(reversedKey)) {
+      keys.add(key);
+      group.paths.push(path);
+    }
+  });
+
+  return [...groups.values()];
+}
+
+/**
+ * Get the operators of a route with their logos
+ * @param {Object} route - Route from routes.json
+ * @param {Object} agencies - agencies.json entries keyed by agency_id
+ * @param {Function} getName - Name of an agencies.json entry, e.g. a localized one (default: agency_name)
+ * @returns {Array} Array of { id, name, logoUrl, url }
+ */
+export function getRouteAgencies(route, agencies, getName = agency => agency.agency_name) {
+  const ids = [route.agency_1, route.agency_2, route.agency_3].filter(Boolean);
+  // Older rows only list the operators in agency_id, joined by "/"
+  const agencyIds = ids.length > 0 ? ids : String(route.agency_id ?? '').split('/').map(id => id.trim()).filter(Boolean);
+
+  return [...new Set(agencyIds)].map(id => {
+    const agency = agencies[id];
+    return {
+      id,
+      name: (agency && getName(agency)) || id,
+      logoUrl: agency?.agency_logo_url || '',
+      url: agency?.agency_url || ''
+    };
+  });
+}
+
+/**
+ * Get the scheduled departure and arrival per direction of a route from view_ontd_map.json
+ * @param {Object|undefined} mapEntry - view_ontd_map.json entry of the route
+ * @returns {Array} Array of { tripShortName, origin, departure, destination, arrival, serviceId, irregularities }
+ */
+export function getRouteDirections(mapEntry) {
+  if (!mapEntry) {
+    return [];
+  }
+  return DIRECTIONS
+    .map(direction => ({
+      tripShortName: getText(mapEntry[`trip_short_name_${direction}`]),
+      origin: getText(mapEntry[`origin_trip_${direction}`]),
+      departure: getText(mapEntry[`origin_departure_time_${direction}`]),
+      destination: getText(mapEntry[`destination_trip_${direction}`]),
+      arrival: getText(mapEntry[`destination_arrival_time_${direction}`]),
+      serviceId: getText(mapEntry[`service_id_${direction}`]),
+      irregularities: getText(mapEntry[`irregularities_${direction}`])
+    }))
+    .filter(direction => direction.origin || direction.destination);
+}
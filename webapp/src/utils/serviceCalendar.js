@@ -0,0 +1,166 @@
+/**
+ * Utility functions to answer "does trip X run on date D" using calendar.json and calendar_dates.json
+ */
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const EXCEPTION_ADDED = 1;
+const EXCEPTION_REMOVED = 2;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse a date from the snapshot into a YYYYMMDD number.
+ * Accepts Sheets ISO strings ("2024-05-18T00:00:00.000Z"), GTFS-style integers or
+ * strings (20240518, "20240518") and plain "2024-05-18" dates.
+ * @param {string|number} value - Raw date value
+ * @returns {number|null} Date as YYYYMMDD number, or null if empty or invalid
+ */
+export function parseServiceDate(value) {
+  if (typeof value === 'number') {
+    return value >= 19000101 && value <= 29991231 ? value : null;
+  }
+  if (typeof value !== 'string' || value.trim() === '') {
+    return null;
+  }
+
+  const trimmed = value.trim();
+  if (/^\d{8}$/.test(trimmed)) {
+    return parseInt(trimmed, 10);
+  }
+
+  if (/^\d{4}-\d{2}-\d{2}$/.test(trimmed)) {
+    return parseInt(trimmed.replace(/-/g, ''), 10);
+  }
+
+  const date = new Date(trimmed);
+  if (isNaN(date.getTime())) {
+    return null;
+  }
+  // Sheets exports local midnight as UTC, which can end up late on the previous day;
+  // rounding to the nearest day recovers the intended date
+  const rounded = new Date(Math.round(date.getTime() / MS_PER_DAY) * MS_PER_DAY);
+  return rounded.getUTCFullYear() * 10000 + (rounded.getUTCMonth() + 1) * 100 + rounded.getUTCDate();
+}
+
+/**
+ * Convert a YYYYMMDD number to a UTC Date
+ */
+function toUtcDate(date) {
+  return new Date(Date.UTC(Math.floor(date / 10000), Math.floor(date / 100) % 100 - 1, date % 100));
+}
+
+/**
+ * Add a number of days to a YYYYMMDD date
+ * @param {number} date - Date as YYYYMMDD number
+ * @param {number} days - Number of days to add (may be negative)
+ * @returns {number} Resulting date as YYYYMMDD number
+ */
+export function addDays(date, days) {
+  const result = new Date(toUtcDate(date).getTime() + days * MS_PER_DAY);
+  return result.getUTCFullYear() * 10000 + (result.getUTCMonth() + 1) * 100 + result.getUTCDate();
+}
+
+/**
+ * Build a lookup structure for service calendars and their exceptions
+ * @param {Object} calendar - calendar.json entries keyed by service_id
+ * @param {Object} calendarDates - calendar_dates.json entries keyed by UID
+ * @returns {Object} { services, exceptionsByTrip, exceptionsByService }
+ */
+export function buildServiceCalendar(calendar, calendarDates) {
+  const services = new Map();
+  Object.values(calendar || {}).forEach(entry => {
+    const weekdays = WEEKDAYS.map(day => entry[day]);
+    // Rows without weekday flags (e.g. "-- 2024 --" separators or "Unknown") carry no schedule
+    if (weekdays.some(flag => flag === '' || flag === undefined)) {
+      return;
+    }
+    services.set(entry.service_id, {
+      weekdays: weekdays.map(flag => Number(flag) === 1),
+      startDate: parseServiceDate(entry.start_date),
+      endDate: parseServiceDate(entry.end_date)
+    });
+  });
+
+  const exceptionsByTrip = new Map();
+  const exceptionsByService = new Map();
+  const addException = (map, key, exception) => {
+    if (!map.has(key)) {
+      map.set(key, []);
+    }
+    map.get(key).push(exception);
+  };
+
+  Object.values(calendarDates || {}).forEach(entry => {
+    // The sheet leaves exception_type empty for added periods, its default
+    const type = entry.exception_type === '' || entry.exception_type === undefined
+      ? EXCEPTION_ADDED
+      : Number(entry.exception_type);
+    // Other values are reported by scripts/validate-data.js
+    if (type !== EXCEPTION_ADDED && type !== EXCEPTION_REMOVED) {
+      return;
+    }
+
+    // A row can carry a single date, a date range or both
+    const ranges = [];
+    const date = parseServiceDate(entry.date);
+    if (date !== null) {
+      ranges.push([date, date]);
+    }
+    const from = parseServiceDate(entry.date_from);
+    const until = parseServiceDate(entry.date_until);
+    if (from !== null && until !== null && from <= until) {
+      ranges.push([from, until]);
+    }
+
+    ranges.forEach(([start, end]) => {
+      const exception = { start, end, added: type === EXCEPTION_ADDED };
+      if (entry.train_id) {
+        addException(exceptionsByTrip, entry.train_id, exception);
+      } else if (entry.service_id) {
+        addException(exceptionsByService, entry.service_id, exception);
+      }
+    });
+  });
+
+  return { services, exceptionsByTrip, exceptionsByService };
+}
+
+/**
+ * Check whether a trip departs from its origin on the given date
+ * @param {Object} serviceCalendar - Result of buildServiceCalendar
+ * @param {Object} trip - Trip object from trips.json
+ * @param {number} date - Date as YYYYMMDD number
+ * @returns {boolean|null} True or false, or null if the trip's schedule is unknown
+ */
+export function tripRunsOn(serviceCalendar, trip, date) {
+  const exceptions = [
+    ...(serviceCalendar.exceptionsByTrip.get(trip.trip_id) || []),
+    ...(serviceCalendar.exceptionsByService.get(trip.service_id) || [])
+  ].filter(exception => exception.start <= date && date <= exception.end);
+
+  // Removals take precedence over additions for the same date
+  if (exceptions.some(exception => !exception.added)) {
+    return false;
+  }
+  if (exceptions.some(exception => exception.added)) {
+    return true;
+  }
+
+  const service = serviceCalendar.services.get(trip.service_id);
+  if (!service) {
+    return null;
+  }
+
+  if (service.startDate !== null && date < service.startDate) {
+    return false;
+  }
+  if (service.endDate !== null && date > service.endDate) {
+    return false;
+  }
+
+  // Services without any weekday (e.g. "0-2 days/week") only run on irregular dates
+  if (!service.weekdays.some(Boolean)) {
+    return null;
+  }
+
+  return service.weekdays[toUtcDate(date).getUTCDay()];
+}
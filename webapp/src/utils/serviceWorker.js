@@ -0,0 +1,18 @@
+/**
+ * Registration of the service worker that caches the app, its data and map tiles for offline use
+ */
+
+/**
+ * Register the service worker built into dist/sw.js (see vite.config.js). The dev server
+ * doesn't build it, so nothing is registered there.
+ */
+export function registerServiceWorker() {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) {
+    return;
+  }
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js').catch(error => {
+      console.error('Error registering service worker:', error);
+    });
+  });
+}
@@ -0,0 +1,155 @@
+/**
+ * Utility functions for the station groups from station-groups.json
+ */
+
+/**
+ * 53-bit string hash (cyrb53), stable across platforms and fast enough for build time
+ */
+export function hashString(str) {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < str.length; i++) {
+    const ch = str.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return 4294967296 * (2097151 & h2) + (h1 >>> 0);
+}
+
+/**
+ * Compute the ID of a station group from its member stop IDs.
+ * The ID only depends on which stops are in the group, so it survives renames of the
+ * group and data refreshes as long as the members stay the same.
+ * @param {Array} stopIds - stop_id values of the group members (any order)
+ * @returns {string} Group ID, e.g. "sg-1k3x9q2m4a"
+ */
+export function computeGroupId(stopIds) {
+  const key = stopIds.slice().sort().join('\n');
+  return `sg-${hashString(key).toString(36)}`;
+}
+
+/**
+ * Flatten station groups into individual stations.
+ * Each station becomes its own "group" with the same structure as grouped items.
+ * @param {Array} stationGroups - Array of station groups
+ * @returns {Array} Array of single-station groups
+ */
+export function flattenStationGroups(stationGroups) {
+  const flattenedStations = [];
+  stationGroups.forEach(group => {
+    group.stations.forEach(station => {
+      flattenedStations.push({
+        id: computeGroupId([station.stop_id]),
+        groupName: station.stop_name,  // Used as unique identifier
+        displayName: station.stop_name,  // Used for display in UI
+        isGroup: false,
+        stations: [station],
+        lat: station.lat,
+        lon: station.lon,
+        stop_country: station.stop_country
+      });
+    });
+  });
+  return flattenedStations;
+}
+
+/**
+ * Key used to reference a station group in URLs, localStorage and React lists
+ * @param {Object} group - Station group
+ * @returns {string} Group ID
+ */
+export function getGroupKey(group) {
+  return group.id ?? computeGroupId(group.stations.map(station => station.stop_id));
+}
+
+/**
+ * Find the station groups for a list of keys, skipping keys that no longer exist.
+ * Group names are accepted as keys as well, for links created before groups had IDs.
+ * @param {Array} keys - Group IDs (or names)
+ * @param {Array} groups - Available station groups
+ * @returns {Array} Matching station groups in the order of the keys
+ */
+export function resolveGroupKeys(keys, groups) {
+  const groupsByKey = new Map();
+  groups.forEach(group => {
+    if (!groupsByKey.has(group.groupName)) {
+      groupsByKey.set(group.groupName, group);
+    }
+  });
+  groups.forEach(group => groupsByKey.set(getGroupKey(group), group));
+  return dedupeGroups(keys.map(key => groupsByKey.get(key)).filter(Boolean));
+}
+
+/**
+ * Remove duplicate groups, keeping the first occurrence
+ */
+function dedupeGroups(groups) {
+  const seen = new Set();
+  return groups.filter(group => {
+    const key = getGroupKey(group);
+    if (seen.has(key)) {
+      return false;
+    }
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Reduce a selected station group to what is needed to find it again after a data refresh
+ * @param {Object} group - Station group
+ * @returns {Object} { id, stopIds }
+ */
+export function toGroupReference(group) {
+  return {
+    id: getGroupKey(group),
+    stopIds: group.stations.map(station => station.stop_id)
+  };
+}
+
+/**
+ * Re-resolve saved group references against freshly loaded station groups.
+ * A reference whose ID still exists maps to that group. Otherwise the group changed:
+ * every current group that contains one of its stops is selected, which covers groups
+ * that were split (several matches) or merged into a larger group (one match).
+ * Entries saved as full group objects by older versions are accepted as well.
+ * @param {Array} references - Saved { id, stopIds } references or legacy group objects
+ * @param {Array} groups - Available station groups
+ * @returns {Array} Resolved station groups
+ */
+export function resolveGroupReferences(references, groups) {
+  const groupsById = new Map(groups.map(group => [getGroupKey(group), group]));
+  const groupsByStop = new Map();
+  groups.forEach(group => {
+    group.stations.forEach(station => {
+      if (!groupsByStop.has(station.stop_id)) {
+        groupsByStop.set(station.stop_id, group);
+      }
+    });
+  });
+
+  const resolved = [];
+  references.forEach(reference => {
+    if (!reference) {
+      return;
+    }
+    const stopIds = reference.stopIds
+      ?? (reference.stations || []).map(station => station.stop_id);
+    const id = reference.id ?? (stopIds.length > 0 ? computeGroupId(stopIds) : null);
+
+    if (id && groupsById.has(id)) {
+      resolved.push(groupsById.get(id));
+      return;
+    }
+    stopIds.forEach(stopId => {
+      const group = groupsByStop.get(stopId);
+      if (group) {
+        resolved.push(group);
+      }
+    });
+  });
+
+  return dedupeGroups(resolved);
+}
@@ -0,0 +1,143 @@
+/**
+ * Utility functions for working with the times in trips.json and trip_stop.json
+ */
+
+const MINUTES_PER_DAY = 24 * 60;
+// Largest difference between the time zones of neighbouring countries on the network (e.g. PL/BY)
+const MAX_TIMEZONE_STEP = 3 * 60;
+const SHEETS_EPOCH = Date.UTC(1899, 11, 30);
+
+/**
+ * Parse a time value into minutes after midnight.
+ * Accepts GTFS-style times ("25:10:00", may exceed 24:00) as produced by
+ * scripts/normalize-timetable.js, and raw Google Sheets values: Sheets serializes plain
+ * times as dates on 1899-12-30, e.g. "1899-12-30T20:30:00.000Z", where only the
+ * wall-clock part is meaningful.
+ * @param {string} value - Time value
+ * @returns {number|null} Minutes after midnight, or null if the value is empty or invalid
+ */
+export function parseTime(value) {
+  if (typeof value !== 'string' || value === '') {
+    return null;
+  }
+
+  const match = value.match(/T(\d{2}):(\d{2})/) || value.match(/^(\d{1,2}):(\d{2})/);
+  if (!match) {
+    return null;
+  }
+
+  return parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+}
+
+/**
+ * Compute arrival and departure times for the ordered stops of a trip.
+ * Times are counted in minutes from midnight of the departure day, so a stop
+ * reached after midnight has a value greater than 1440. GTFS-style times already
+ * count that way; for wall-clock times a passed midnight is detected when the time goes backwards
+ * by more than a time zone difference.
+ * @param {Array} tripStops - trip_stop entries sorted by stop_sequence
+ * @param {Array} shifts - Optional minutes to add to the wall-clock time of each stop, e.g. to
+ *   convert local times of stops in other time zones to the time zone of the operating agency
+ * @returns {Array} Array of { arrival, departure } (minutes or null), same order as tripStops
+ */
+export function getStopTimeline(tripStops, shifts = []) {
+  let dayOffset = 0;
+  let previous = null;
+
+  const toAbsolute = (value, shift) => {
+    let minutes = parseTime(value);
+    if (minutes === null) {
+      return null;
+    }
+    if (shift) {
+      minutes = (((minutes + shift) % MINUTES_PER_DAY) + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+    }
+    // Times never go backwards along a trip, so a smaller value means we passed midnight.
+    // A step back of at most a time zone difference is a stop in an earlier time zone whose
+    // shift isn't known, e.g. 09:34 in Curtici (EET) followed by 08:44 in Lőkösháza (CET).
+    if (previous !== null && minutes + dayOffset < previous - MAX_TIMEZONE_STEP) {
+      dayOffset += MINUTES_PER_DAY;
+    }
+    previous = minutes + dayOffset;
+    return previous;
+  };
+
+  return tripStops.map((ts, index) => {
+    const arrival = toAbsolute(ts.arrival_time, shifts[index]);
+    const departure = toAbsolute(ts.departure_time, shifts[index]);
+    return { arrival, departure };
+  });
+}
+
+/**
+ * Format minutes after midnight as HH:MM (wrapping past midnight)
+ * @param {number|null} minutes - Minutes after midnight of the departure day
+ * @returns {string} Formatted time, or empty string if unknown
+ */
+export function formatTime(minutes) {
+  if (minutes === null || minutes === undefined) {
+    return '';
+  }
+  const wrapped = ((minutes % MINUTES_PER_DAY) + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+  const hours = Math.floor(wrapped / 60);
+  const mins = wrapped % 60;
+  return `${String(hours).padStart(2, '0')}:${String(mins).padStart(2, '0')}`;
+}
+
+/**
+ * Format minutes after midnight of the departure day as a GTFS time, e.g. "25:10:00"
+ * @param {number|null} minutes - Minutes after midnight of the departure day
+ * @returns {string} GTFS time (hours may exceed 24), or empty string if unknown
+ */
+export function formatGtfsTime(minutes) {
+  if (minutes === null || minutes === undefined) {
+    return '';
+  }
+  const hours = Math.floor(minutes / 60);
+  const mins = minutes % 60;
+  return `${String(hours).padStart(2, '0')}:${String(mins).padStart(2, '0')}:00`;
+}
+
+/**
+ * Parse a duration exported from Google Sheets into minutes.
+ * Sheets stores durations as an offset from 1899-12-30, so "1899-12-31T02:00:00.000Z" is 26 hours.
+ * @param {string} value - Raw duration value
+ * @returns {number|null} Duration in minutes, or null if the value is empty or invalid
+ */
+export function parseSheetsDuration(value) {
+  if (typeof value !== 'string' || value === '') {
+    return null;
+  }
+  const time = Date.parse(value);
+  if (isNaN(time)) {
+    return null;
+  }
+  return Math.round((time - SHEETS_EPOCH) / 60000);
+}
+
+/**
+ * Describe on which day after the departure day a time falls, e.g. "+1"
+ * @param {number|null} minutes - Minutes after midnight of the departure day
+ * @returns {string} Day offset such as "+1", or empty string for the departure day
+ */
+export function formatDayOffset(minutes) {
+  if (minutes === null || minutes === undefined) {
+    return '';
+  }
+  const days = Math.floor(minutes / MINUTES_PER_DAY);
+  return days > 0 ? `+${days}` : '';
+}
+
+/**
+ * Format a duration in minutes as e.g. "13h 09m"
+ * @param {number|null} minutes - Duration in minutes
+ * @returns {string} Formatted duration, or empty string if unknown
+ */
+export function formatDuration(minutes) {
+  if (minutes === null || minutes === undefined || minutes < 0) {
+    return '';
+  }
+  const hours = Math.floor(minutes / 60);
+  const mins = minutes % 60;
+  return `${hours}h ${String(mins).padStart(2, '0')}m`;
+}
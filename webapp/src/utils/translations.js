@@ -0,0 +1,105 @@
+/**
+ * Utility functions to localize station, city and operator names through translations.json,
+ * falling back to the romanized names of stops.json and agencies.json for non-Latin scripts
+ */
+
+// translations.json marks broken references with Sheets errors such as "#REF!"
+const SHEET_ERROR = /^#(REF!|N\/A|VALUE!)/;
+const LATIN_TEXT = /^[\p{Script=Latin}\p{N}\p{P}\p{S}\s]*$/u;
+
+function isEmpty(value) {
+  return value === null || value === undefined || String(value).trim() === '' || SHEET_ERROR.test(String(value));
+}
+
+function getKey(table, field, language, reference) {
+  return [table, field, language, reference].join('\n');
+}
+
+/**
+ * Get the language of a translations.json language code, e.g. "de" for "de-AT"
+ */
+function getBaseLanguage(languageCode) {
+  return String(languageCode ?? '').split('-')[0].toLowerCase();
+}
+
+/**
+ * Build a lookup of translations.json by table, field, language and record or value
+ * @param {Object} translations - translations.json entries
+ * @returns {Map} Lookup for translateValue
+ */
+export function buildTranslationIndex(translations) {
+  const index = new Map();
+  Object.values(translations || {}).forEach(entry => {
+    if (isEmpty(entry.translation)) {
+      return;
+    }
+    const language = getBaseLanguage(entry.language_code);
+    // GTFS translations reference a record either by its ID or by the translated value
+    if (!isEmpty(entry.record_id)) {
+      index.set(getKey(entry.table_name, entry.field_name, language, `id:${entry.record_id}`), entry.translation);
+    }
+    if (!isEmpty(entry.field_value)) {
+      index.set(getKey(entry.table_name, entry.field_name, language, `value:${entry.field_value}`), entry.translation);
+    }
+  });
+  return index;
+}
+
+/**
+ * Look up the translation of a field value
+ * @param {Map} index - Result of buildTranslationIndex
+ * @param {Object} options - { table, field, language, recordId, value }
+ * @returns {string|null} Translation, or null if there is none
+ */
+export function translateValue(index, { table, field, language, recordId, value }) {
+  if (!index || index.size === 0) {
+    return null;
+  }
+  return (recordId !== undefined && index.get(getKey(table, field, language, `id:${recordId}`))) ||
+    (value !== undefined && index.get(getKey(table, field, language, `value:${value}`))) ||
+    null;
+}
+
+/**
+ * Use the romanized name for names in a non-Latin script, e.g. Cyrillic
+ */
+function withRomanizedFallback(name, romanized) {
+  return !isEmpty(romanized) && !LATIN_TEXT.test(String(name ?? '')) ? romanized : name;
+}
+
+/**
+ * Get the localized name of a station
+ * @param {Object} stop - stops.json entry (or any object with stop_id and stop_name)
+ * @param {string} language - UI language, e.g. "de"
+ * @param {Map} index - Result of buildTranslationIndex
+ * @returns {string} Localized name
+ */
+export function getLocalizedStopName(stop, language, index) {
+  return translateValue(index, { table: 'stops', field: 'stop_name', language, recordId: stop.stop_id, value: stop.stop_name }) ??
+    withRomanizedFallback(stop.stop_name ?? stop.stop_id, stop.stop_name_romanized);
+}
+
+/**
+ * Get the localized name of a city or a place that is only known by name, e.g. the origin of a trip
+ * @param {string} name - City or station name as in the data
+ * @param {string} language - UI language
+ * @param {Map} index - Result of buildTranslationIndex
+ * @returns {string} Localized name
+ */
+export function getLocalizedPlaceName(name, language, index) {
+  return translateValue(index, { table: 'stops', field: 'stop_cityname', language, value: name }) ??
+    translateValue(index, { table: 'stops', field: 'stop_name', language, value: name }) ??
+    name;
+}
+
+/**
+ * Get the localized name of an operator
+ * @param {Object} agency - agencies.json entry
+ * @param {string} language - UI language
+ * @param {Map} index - Result of buildTranslationIndex
+ * @returns {string} Localized name
+ */
+export function getLocalizedAgencyName(agency, language, index) {
+  return translateValue(index, { table: 'agency', field: 'agency_name', language, recordId: agency.agency_id, value: agency.agency_name }) ??
+    withRomanizedFallback(agency.agency_name || agency.agency_id, agency.agency_name_romanized);
+}
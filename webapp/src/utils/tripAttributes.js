@@ -0,0 +1,118 @@
+/**
+ * Utility functions for the amenity and comfort attributes of trips.json
+ */
+
+import { getMainAgencyId } from './agencies.js';
+
+/**
+ * Amenity fields of a trip with their labels.
+ * Values follow the GTFS convention: 1 = available, 2 = not available, 0 or empty = unknown.
+ */
+export const AMENITY_FIELDS = [
+  { field: 'catering', label: 'Catering' },
+  { field: 'plugs', label: 'Power plugs' },
+  { field: 'wheelchair_accessible', label: 'Wheelchair accessible' },
+  { field: 'bikes_allowed', label: 'Bikes allowed' },
+  { field: 'car_transport', label: 'Car transport' }
+];
+
+/**
+ * Interpret an amenity value of a trip
+ * @param {string|number} value - Raw value from trips.json
+ * @returns {string} 'yes', 'no' or 'unknown'
+ */
+export function getAmenityStatus(value) {
+  const number = Number(value);
+  if (value === '' || value === null || value === undefined || isNaN(number)) {
+    return 'unknown';
+  }
+  if (number === 1) {
+    return 'yes';
+  }
+  if (number === 2) {
+    return 'no';
+  }
+  return 'unknown';
+}
+
+/**
+ * Check whether a flag column of trip_stop.json (no_entry, no_exit, border_control) is set
+ * @param {string|number} value - Raw value from trip_stop.json
+ * @returns {boolean} True if the flag is set
+ */
+export function isFlagSet(value) {
+  return Number(value) === 1;
+}
+
+/**
+ * Split the free-text classes field of a trip into its entries
+ * @param {string} classes - e.g. "seat, couchette, sleeper"
+ * @returns {Array} Array of trimmed class names
+ */
+export function splitClasses(classes) {
+  if (typeof classes !== 'string') {
+    return [];
+  }
+  return classes.split(',').map(c => c.trim()).filter(Boolean);
+}
+
+/**
+ * Build a lookup from class names to their main category using classes.json.
+ * Trips use short names like "sleeper" while classes.json lists variants such as
+ * "Sleeper (2-berth)", so entries are matched by full name or by their first word.
+ * @param {Object} classesData - classes.json entries keyed by class_id
+ * @returns {Map} Map of lower-case class name or first word to class_main
+ */
+export function buildClassMapping(classesData) {
+  const mapping = new Map();
+  Object.values(classesData || {}).forEach(({ class_id, class_main }) => {
+    if (!class_id || !class_main) {
+      return;
+    }
+    const name = class_id.trim().toLowerCase();
+    mapping.set(name, class_main);
+    const firstWord = name.split(/[\s(]/)[0];
+    if (!mapping.has(firstWord)) {
+      mapping.set(firstWord, class_main);
+    }
+  });
+  return mapping;
+}
+
+/**
+ * Get the main class categories (Seat, Couchette, Sleeper, Capsule, ...) offered by a trip.
+ * Classes without an entry in classes.json are kept under their own capitalized name.
+ * @param {Object} trip - Trip object
+ * @param {Map} classMapping - Result of buildClassMapping
+ * @returns {Set} Set of class categories
+ */
+export function getClassCategories(trip, classMapping) {
+  const categories = new Set();
+  splitClasses(trip.classes).forEach(name => {
+    const lower = name.toLowerCase();
+    const category = classMapping.get(lower) ?? classMapping.get(lower.split(/[\s(]/)[0]);
+    categories.add(category ?? name.charAt(0).toUpperCase() + name.slice(1));
+  });
+  return categories;
+}
+
+/**
+ * Check whether a trip matches the active operator, amenity and class filters
+ * @param {Object} trip - Trip object
+ * @param {Object} filters - { classes: [categories], amenities: [fields], agencies: [agency_ids] }
+ * @param {Map} classMapping - Result of buildClassMapping
+ * @returns {boolean} True if the main operator of the trip is one of the selected ones and it offers one of
+ *   the selected classes and all selected amenities
+ */
+export function matchesTripFilters(trip, filters, classMapping) {
+  if (filters.agencies.length > 0 && !filters.agencies.includes(getMainAgencyId(trip))) {
+    return false;
+  }
+  if (filters.classes.length > 0) {
+    const categories = getClassCategories(trip, classMapping);
+    if (!filters.classes.some(category => categories.has(category))) {
+      return false;
+    }
+  }
+  return filters.amenities.every(field => getAmenityStatus(trip[field]) === 'yes');
+}
@@ -0,0 +1,153 @@
+/**
+ * Utility functions for encoding the app state in the URL query string, so views can be shared
+ */
+
+// Query parameters that describe the selection; changing them creates a new history entry
+const SELECTION_PARAMS = ['mode', 'station', 'from', 'to', 'operator', 'route', 'country', 'fromCountry', 'toCountry'];
+const MODES = ['stations', 'journey', 'countries', 'destinations'];
+
+const MAP_PRECISION = 4;
+
+// Query parameter switching to the embed mode, which shows only the map
+const EMBED_PARAM = 'embed';
+
+// All query parameters of the app; others, like tracking parameters of a link, are ignored
+const STATE_PARAMS = [
+  ...SELECTION_PARAMS, 'grouping', 'date', 'class', 'amenity', 'transfers', 'minTransfer', 'layer', 'map', EMBED_PARAM
+];
+
+/**
+ * Check whether a URL query string carries any app state
+ * @param {string} search - Query string, e.g. window.location.search
+ * @returns {boolean} True if one of the app's query parameters is present; links with only
+ *   other parameters, e.g. "?utm_source=newsletter", keep the saved selection
+ */
+export function hasUrlState(search) {
+  return [...new URLSearchParams(search).keys()].some(name => STATE_PARAMS.includes(name));
+}
+
+/**
+ * Parse the app state from a URL query string.
+ * Missing parameters result in the default (empty) state.
+ * @param {string} search - Query string, e.g. window.location.search
+ * @returns {Object} Parsed state
+ */
+export function parseUrlState(search) {
+  const params = new URLSearchParams(search);
+
+  const state = {
+    mode: MODES.includes(params.get('mode')) ? params.get('mode') : 'stations',
+    stations: params.getAll('station'),
+    from: params.getAll('from'),
+    to: params.getAll('to'),
+    countrySelection: {
+      countries: params.getAll('country'),
+      from: params.get('fromCountry') || '',
+      to: params.get('toCountry') || ''
+    },
+    groupingEnabled: params.get('grouping') !== '0',
+    travelDate: params.get('date') || '',
+    filters: {
+      classes: params.getAll('class'),
+      amenities: params.getAll('amenity'),
+      agencies: params.getAll('operator')
+    },
+    routes: params.getAll('route'),
+    // Transfer settings are only part of the URL in journey mode
+    transfers: params.get('mode') === 'journey' ? params.get('transfers') === '1' : null,
+    minTransferMinutes: params.has('minTransfer') ? parseInt(params.get('minTransfer'), 10) : null,
+    mapLayer: params.get('layer') === 'routes' ? 'routes' : 'trips',
+    mapView: null,
+    embed: params.get(EMBED_PARAM) === '1'
+  };
+
+  const map = (params.get('map') || '').split(',').map(Number);
+  if (map.length === 3 && map.every(value => !isNaN(value))) {
+    state.mapView = { center: [map[0], map[1]], zoom: map[2] };
+  }
+
+  return state;
+}
+
+/**
+ * Build a URL query string from the app state. The embed mode is not part of it, see buildEmbedUrl.
+ * @param {Object} state - { mode, stations, from, to, countrySelection, groupingEnabled, travelDate, filters, routes, transfers, minTransferMinutes, mapLayer, mapView }
+ * @returns {string} Query string including the leading "?", or empty string
+ */
+export function buildUrlSearch(state) {
+  const params = new URLSearchParams();
+
+  if (state.mode === 'journey') {
+    params.set('mode', 'journey');
+    state.from.forEach(key => params.append('from', key));
+    state.to.forEach(key => params.append('to', key));
+    if (state.transfers) {
+      params.set('transfers', '1');
+      params.set('minTransfer', String(state.minTransferMinutes));
+    }
+  } else if (state.mode === 'destinations') {
+    params.set('mode', 'destinations');
+    state.from.forEach(key => params.append('from', key));
+  } else if (state.mode === 'countries') {
+    params.set('mode', 'countries');
+    state.countrySelection.countries.forEach(code => params.append('country', code));
+    if (state.countrySelection.from) {
+      params.set('fromCountry', state.countrySelection.from);
+    }
+    if (state.countrySelection.to) {
+      params.set('toCountry', state.countrySelection.to);
+    }
+  } else {
+    state.stations.forEach(key => params.append('station', key));
+  }
+
+  if (!state.groupingEnabled) {
+    params.set('grouping', '0');
+  }
+  if (state.travelDate) {
+    params.set('date', state.travelDate);
+  }
+  state.filters.classes.forEach(category => params.append('class', category));
+  state.filters.amenities.forEach(field => params.append('amenity', field));
+  state.filters.agencies.forEach(agencyId => params.append('operator', agencyId));
+  state.routes.forEach(routeId => params.append('route', routeId));
+
+  if (state.mapLayer === 'routes') {
+    params.set('layer', 'routes');
+  }
+  if (state.mapView) {
+    const [lat, lon] = state.mapView.center;
+    params.set('map', [lat.toFixed(MAP_PRECISION), lon.toFixed(MAP_PRECISION), state.mapView.zoom].join(','));
+  }
+
+  const search = params.toString();
+  return search ? `?${search}` : '';
+}
+
+/**
+ * Build the URL of a view in the embed mode, e.g. for an iframe on a partner website.
+ * The map section is left out, so the embedded map fits the trips into the size of the iframe.
+ * @param {string} search - Query string of the view, from buildUrlSearch
+ * @param {string} baseUrl - URL of the app without query string, e.g. "https://example.org/"
+ * @returns {string} URL with the embed parameter
+ */
+export function buildEmbedUrl(search, baseUrl) {
+  const params = new URLSearchParams(search);
+  params.delete('map');
+  params.set(EMBED_PARAM, '1');
+  return `${baseUrl}?${params.toString()}`;
+}
+
+/**
+ * Check whether two query strings describe a different selection
+ * @param {string} a - First query string
+ * @param {string} b - Second query string
+ * @returns {boolean} True if the selection parameters differ
+ */
+export function isSelectionChange(a, b) {
+  const paramsA = new URLSearchParams(a);
+  const paramsB = new URLSearchParams(b);
+  return SELECTION_PARAMS.some(
+    name => paramsA.getAll(name).join('\n') !== paramsB.getAll(name).join('\n')
+  );
+}
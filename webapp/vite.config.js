@@ -1,7 +1,58 @@
+import { createHash } from 'node:crypto'
+import { readFileSync, readdirSync, statSync } from 'node:fs'
+import { join } from 'node:path'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+const MANIFEST_PLACEHOLDER = 'self.__PRECACHE_MANIFEST'
+
+// Emit src/service-worker.js as sw.js with the list of files to precache: the built files
+// and the public files except the data, which the service worker caches on its own.
+// The version changes with every build that changes a file, so old app shells are removed.
+function serviceWorker() {
+  let config
+  return {
+    name: 'service-worker',
+    apply: 'build',
+    enforce: 'post',
+    configResolved(resolvedConfig) {
+      config = resolvedConfig
+    },
+    generateBundle(options, bundle) {
+      const publicFiles = config.publicDir
+        ? readdirSync(config.publicDir)
+          .filter(name => name !== 'data' && statSync(join(config.publicDir, name)).isFile())
+        : []
+      const files = [...Object.keys(bundle).filter(name => !name.endsWith('.map')), ...publicFiles]
+        .map(name => `/${name}`)
+        .sort()
+
+      const hash = createHash('sha256').update(JSON.stringify(files))
+      const indexHtml = bundle['index.html']
+      if (indexHtml) {
+        hash.update(indexHtml.source)
+      }
+      const manifest = { version: hash.digest('hex').slice(0, 12), files }
+
+      const source = readFileSync(join(config.root, 'src/service-worker.js'), 'utf8')
+      if (!source.includes(MANIFEST_PLACEHOLDER)) {
+        this.error(`src/service-worker.js doesn't read ${MANIFEST_PLACEHOLDER}`)
+      }
+      this.emitFile({
+        type: 'asset',
+        fileName: 'sw.js',
+        source: source.replace(MANIFEST_PLACEHOLDER, JSON.stringify(manifest))
+      })
+    }
+  }
+}
+
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), serviceWorker()],
+  // Component tests; the query API in server/ has its own node:test tests
+  test: {
+    environment: 'jsdom',
+    include: ['src/**/*.test.{js,jsx}'],
+  },
 })